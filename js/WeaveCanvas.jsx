@@ -15,7 +15,15 @@ const e = React.createElement;
  * @param {number} [props.intersectionSize=1] - Size of each cell in pixels
  * @param {string} [props.backend='canvas'] - Rendering backend: 'canvas', 'webgl', 'webgpu', 'svg'
  * @param {string} [props.className] - CSS class for the container
- * @param {number} [props.rangeLimit=100] - Number of threads to generate for function-based colors
+ * @param {{ warps?: number, wefts?: number }} [props.period] - Declared repeat of function-valued props;
+ *   without one, functions are evaluated over the visible threads and never repeat
+ * @param {number|Array<number>} [props.warpWidths] - Relative warp widths, repeating (default 1)
+ * @param {number|Array<number>} [props.weftWidths] - Relative weft widths, repeating (default 1)
+ * @param {Object|Array<Object>} [props.warpYarns] - Warp yarn textures `{ twist, noise, plies, heather }`, repeating
+ * @param {Object|Array<Object>} [props.weftYarns] - Weft yarn textures, repeating
+ * @param {Object} [props.overlay] - Grid, major and repeat lines `{ grid, major, repeat }` over the pattern
+ * @param {boolean|Object} [props.camera] - Pan and zoom camera `{ x, y, scale }`, or true to drag and wheel freely
+ * @param {number} [props.rotation] - Degrees to turn the fabric clockwise, e.g. 45 for a bias view
  */
 function WeaveCanvas(props) {
   const {
@@ -28,7 +36,14 @@ function WeaveCanvas(props) {
     displayMode,
     backend = 'canvas',
     className,
-    rangeLimit = 100
+    period,
+    warpWidths,
+    weftWidths,
+    warpYarns,
+    weftYarns,
+    overlay,
+    camera,
+    rotation
   } = props;
 
   const containerRef = React.useRef(null);
@@ -37,48 +52,17 @@ function WeaveCanvas(props) {
     const container = containerRef.current;
     if (!container) return;
 
-    // Prepare threading data
-    let threadingData;
-    if (typeof threading === 'function') {
-      // Generate threading from function
-      const rows = Math.ceil(height / intersectionSize);
-      const cols = Math.ceil(width / intersectionSize);
-      threadingData = Array(rows).fill(0).map((_, j) =>
-        Array(cols).fill(0).map((_, i) => threading(i, j))
-      );
-    } else if (Array.isArray(threading)) {
-      threadingData = threading;
-    } else {
-      console.error('threading must be a function or 2D array');
-      return;
-    }
-
-    // Prepare warp colors
-    let warpColorsData;
-    if (typeof warpColors === 'function') {
-      warpColorsData = Array(rangeLimit).fill(0).map((_, i) => warpColors(i));
-    } else if (Array.isArray(warpColors)) {
-      warpColorsData = warpColors;
-    } else {
-      console.error('warpColors must be a function or array');
-      return;
-    }
-
-    // Prepare weft colors
-    let weftColorsData;
-    if (typeof weftColors === 'function') {
-      weftColorsData = Array(rangeLimit).fill(0).map((_, j) => weftColors(j));
-    } else if (Array.isArray(weftColors)) {
-      weftColorsData = weftColors;
-    } else {
-      console.error('weftColors must be a function or array');
-      return;
-    }
-
+    // Functions are passed through and evaluated by the renderer over the visible
+    // threads (or over the declared period).
     const definition = {
-      threading: threadingData,
-      warp_colors: warpColorsData,
-      weft_colors: weftColorsData
+      threading,
+      warp_colors: warpColors,
+      weft_colors: weftColors,
+      ...(period ? { period } : {}),
+      ...(warpWidths !== undefined ? { warp_widths: warpWidths } : {}),
+      ...(weftWidths !== undefined ? { weft_widths: weftWidths } : {}),
+      ...(warpYarns !== undefined ? { warp_yarns: warpYarns } : {}),
+      ...(weftYarns !== undefined ? { weft_yarns: weftYarns } : {})
     };
 
     const options = {
@@ -86,12 +70,15 @@ function WeaveCanvas(props) {
       height,
       cell_size: intersectionSize,
       display_mode: displayMode || { type: 'simple', cellSize: intersectionSize },
-      backend
+      backend,
+      ...(overlay ? { overlay } : {}),
+      ...(camera ? { camera } : {}),
+      ...(rotation ? { rotation } : {})
     };
 
     // Render the weave
     renderWeave(container, definition, options);
-  }, [threading, warpColors, weftColors, width, height, intersectionSize, backend, rangeLimit, displayMode]);
+  }, [threading, warpColors, weftColors, width, height, intersectionSize, backend, period, displayMode, warpWidths, weftWidths, warpYarns, weftYarns, overlay, camera, rotation]);
 
   return e('div', { ref: containerRef, className });
 }
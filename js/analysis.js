@@ -0,0 +1,169 @@
+/**
+ * Structural properties of periodic weaves, matching the definitions in
+ * `WnW/Weave.lean`. Every function takes a `definition.threading` matrix
+ * (`threading[j][i] === true` when warp `i` is on top at pick `j`) and treats it as
+ * one repeat of an infinite fabric, wrapping indices the same way `wrapIndex` does
+ * in the renderers.
+ */
+
+const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
+
+/**
+ * Count warp-on-top and weft-on-top crossings. `Balanced` in Lean holds exactly
+ * when the two counts are equal.
+ *
+ * @param {boolean[][]} threading
+ * @returns {{ warpOnTop: number, weftOnTop: number, ratio: number, balanced: boolean }}
+ *   `ratio` is warp-on-top over weft-on-top (`Infinity` when the weft never shows).
+ */
+export function weaveBalance(threading) {
+  let warpOnTop = 0;
+  let weftOnTop = 0;
+  for (const row of threading) {
+    for (const cell of row) {
+      if (cell) warpOnTop++;
+      else weftOnTop++;
+    }
+  }
+  return {
+    warpOnTop,
+    weftOnTop,
+    ratio: weftOnTop ? warpOnTop / weftOnTop : Infinity,
+    balanced: warpOnTop === weftOnTop,
+  };
+}
+
+/**
+ * Search for the shift witnessing `Reversible` from `WnW/Weave.lean`:
+ * `w (i, j) = 1 - w (a - i, b + j)` for every crossing, i.e. the back of the cloth
+ * (mirrored across the warp and with every crossing flipped) is the front shifted by
+ * `(a, b)`.
+ *
+ * @param {boolean[][]} threading
+ * @returns {{ reversible: boolean, shift: { a: number, b: number } | null }}
+ *   The first witnessing shift, with `a` a warp offset and `b` a weft offset.
+ */
+export function findReversibleShift(threading) {
+  const height = threading.length;
+  const width = height ? threading[0].length : 0;
+  for (let b = 0; b < height; b++) {
+    for (let a = 0; a < width; a++) {
+      let matches = true;
+      for (let j = 0; j < height && matches; j++) {
+        const back = threading[wrapIndex(b + j, height)];
+        for (let i = 0; i < width; i++) {
+          if (threading[j][i] === back[wrapIndex(a - i, width)]) {
+            matches = false;
+            break;
+          }
+        }
+      }
+      if (matches) return { reversible: true, shift: { a, b } };
+    }
+  }
+  return { reversible: false, shift: null };
+}
+
+/**
+ * Find the longest float on the face of the cloth in each direction: a warp float
+ * is a run of picks with that warp on top, a weft float a run of warps with that
+ * pick on top. Runs wrap around the repeat; a thread on top for the whole repeat
+ * floats forever and reports `Infinity`.
+ *
+ * @param {boolean[][]} threading
+ * @returns {{ warp: { length: number, thread: number, start: number },
+ *             weft: { length: number, thread: number, start: number } }}
+ *   `thread` is the warp (or weft) index and `start` the pick (or warp) where the
+ *   float begins; length `0` means that thread never shows.
+ */
+export function longestFloats(threading) {
+  const height = threading.length;
+  const width = height ? threading[0].length : 0;
+  const warp = { length: 0, thread: -1, start: -1 };
+  const weft = { length: 0, thread: -1, start: -1 };
+
+  for (let i = 0; i < width; i++) {
+    const column = threading.map((row) => row[i]);
+    for (const run of cyclicRuns(column, true)) {
+      if (run.length > warp.length) Object.assign(warp, { length: run.length, thread: i, start: run.start });
+    }
+  }
+  for (let j = 0; j < height; j++) {
+    for (const run of cyclicRuns(threading[j], false)) {
+      if (run.length > weft.length) Object.assign(weft, { length: run.length, thread: j, start: run.start });
+    }
+  }
+  return { warp, weft };
+}
+
+/**
+ * Whether the fabric hangs together: every warp and every weft must interlace at
+ * least once per repeat. A thread that stays on one face for the whole repeat is
+ * never bound into the cloth.
+ *
+ * @param {boolean[][]} threading
+ * @returns {{ hangsTogether: boolean, looseWarps: number[], looseWefts: number[] }}
+ */
+export function weaveConnectivity(threading) {
+  const height = threading.length;
+  const width = height ? threading[0].length : 0;
+  const looseWarps = [];
+  const looseWefts = [];
+  for (let i = 0; i < width; i++) {
+    const first = threading[0][i];
+    if (threading.every((row) => row[i] === first)) looseWarps.push(i);
+  }
+  threading.forEach((row, j) => {
+    if (row.every((cell) => cell === row[0])) looseWefts.push(j);
+  });
+  return {
+    hangsTogether: looseWarps.length === 0 && looseWefts.length === 0,
+    looseWarps,
+    looseWefts,
+  };
+}
+
+/**
+ * Run every analysis over a threading matrix.
+ *
+ * @param {boolean[][]} threading
+ * @returns {{ balance: Object, reversibility: Object, floats: Object, connectivity: Object }}
+ */
+export function analyzeWeave(threading) {
+  return {
+    balance: weaveBalance(threading),
+    reversibility: findReversibleShift(threading),
+    floats: longestFloats(threading),
+    connectivity: weaveConnectivity(threading),
+  };
+}
+
+/**
+ * Maximal runs of `target` in a cyclic sequence. A run that wraps past the end is
+ * reported once, starting at its first index; a sequence made entirely of `target`
+ * is a single run of length `Infinity` starting at 0.
+ *
+ * @param {boolean[]} values
+ * @param {boolean} target
+ * @returns {{ start: number, length: number }[]}
+ */
+export function cyclicRuns(values, target) {
+  const n = values.length;
+  const runs = [];
+  if (!n) return runs;
+  const breakAt = values.findIndex((v) => v !== target);
+  if (breakAt < 0) return [{ start: 0, length: Infinity }];
+
+  // Walk one full cycle starting just after a non-target cell so no run is split.
+  let start = -1;
+  for (let k = 1; k <= n; k++) {
+    const idx = (breakAt + k) % n;
+    if (values[idx] === target) {
+      if (start < 0) start = idx;
+    } else if (start >= 0) {
+      runs.push({ start, length: wrapIndex(idx - start, n) });
+      start = -1;
+    }
+  }
+  return runs;
+}
@@ -0,0 +1,41 @@
+import { describe, test, expect } from 'vitest';
+import { analyzeWeave, cyclicRuns } from './analysis.js';
+import { plain, risingTwill, satin } from './patterns.js';
+
+describe('Weave analysis', () => {
+  test('plain weave is balanced, reversible and tightly bound', () => {
+    const result = analyzeWeave(plain());
+    expect(result.balance).toEqual({ warpOnTop: 2, weftOnTop: 2, ratio: 1, balanced: true });
+    expect(result.reversibility).toEqual({ reversible: true, shift: { a: 1, b: 0 } });
+    expect(result.floats.warp.length).toBe(1);
+    expect(result.floats.weft.length).toBe(1);
+    expect(result.connectivity.hangsTogether).toBe(true);
+  });
+
+  test('satin is unbalanced with long wrapped floats', () => {
+    const result = analyzeWeave(satin(5, 2));
+    expect(result.balance.ratio).toBe(0.25);
+    expect(result.reversibility.reversible).toBe(false);
+    expect(result.floats.weft.length).toBe(4);
+    expect(result.floats.warp.length).toBe(1);
+  });
+
+  test('floats wrap around the repeat and loose threads are reported', () => {
+    // Warp 0 is on top for picks 2, 3 and (wrapping) 0: a float of 3.
+    const threading = [
+      [true, false, false],
+      [false, true, false],
+      [true, false, false],
+      [true, true, false],
+    ];
+    const result = analyzeWeave(threading);
+    expect(result.floats.warp).toEqual({ length: 3, thread: 0, start: 2 });
+    expect(result.floats.weft.length).toBe(2);
+    expect(result.connectivity).toEqual({ hangsTogether: false, looseWarps: [2], looseWefts: [] });
+    // The back of a right-hand twill reads as a left-hand twill, so it is balanced but not reversible.
+    const twill = analyzeWeave(risingTwill(2, 2));
+    expect(twill.balance.balanced).toBe(true);
+    expect(twill.reversibility.reversible).toBe(false);
+    expect(cyclicRuns([true, true, false, true], true)).toEqual([{ start: 3, length: 3 }]);
+  });
+});
@@ -18,7 +18,7 @@ function WeaveCanvas(props) {
     intersectionSize = 1,
     backend = 'canvas',
     className,
-    rangeLimit = 100
+    period
   } = props;
 
   const containerRef = React.useRef(null);
@@ -27,47 +27,11 @@ function WeaveCanvas(props) {
     const container = containerRef.current;
     if (!container) return;
 
-    // Prepare threading data
-    let threadingData;
-    if (typeof threading === 'function') {
-      const rows = Math.ceil(height / intersectionSize);
-      const cols = Math.ceil(width / intersectionSize);
-      threadingData = Array(rows).fill(0).map((_, j) =>
-        Array(cols).fill(0).map((_, i) => threading(i, j))
-      );
-    } else if (Array.isArray(threading)) {
-      threadingData = threading;
-    } else {
-      console.error('threading must be a function or 2D array');
-      return;
-    }
-
-    // Prepare warp colors
-    let warpColorsData;
-    if (typeof warpColors === 'function') {
-      warpColorsData = Array(rangeLimit).fill(0).map((_, i) => warpColors(i));
-    } else if (Array.isArray(warpColors)) {
-      warpColorsData = warpColors;
-    } else {
-      console.error('warpColors must be a function or array');
-      return;
-    }
-
-    // Prepare weft colors
-    let weftColorsData;
-    if (typeof weftColors === 'function') {
-      weftColorsData = Array(rangeLimit).fill(0).map((_, j) => weftColors(j));
-    } else if (Array.isArray(weftColors)) {
-      weftColorsData = weftColors;
-    } else {
-      console.error('weftColors must be a function or array');
-      return;
-    }
-
     const definition = {
-      threading: threadingData,
-      warp_colors: warpColorsData,
-      weft_colors: weftColorsData
+      threading,
+      warp_colors: warpColors,
+      weft_colors: weftColors,
+      ...(period ? { period } : {})
     };
 
     const options = {
@@ -78,7 +42,7 @@ function WeaveCanvas(props) {
     };
 
     renderWeave(container, definition, options);
-  }, [threading, warpColors, weftColors, width, height, intersectionSize, backend, rangeLimit]);
+  }, [threading, warpColors, weftColors, width, height, intersectionSize, backend, period]);
 
   return e('div', { ref: containerRef, className });
 }
@@ -165,8 +129,7 @@ function App() {
         width: 400,
         height: 400,
         intersectionSize: currentExample.intersectionSize,
-        backend,
-        rangeLimit: 100
+        backend
       })
     )
   );
@@ -1,4 +1,7 @@
-import { renderWeave } from './weave.js';
+import { renderWeave, materializeDefinition } from './weave.js';
+import { decomposeDrawdown, fitsLoom } from './draft.js';
+import { reduceDefinition } from './repeat.js';
+import { expandSett } from './sett.js';
 import chroma from 'https://esm.sh/chroma-js';
 
 const canvasContainer = document.getElementById('canvas-container');
@@ -6,14 +9,17 @@ const exampleSelect = document.getElementById('example-select');
 
 const backendSelect = document.getElementById('backend-select');
 const displayModeSelect = document.getElementById('display-mode');
+const sideSelect = document.getElementById('side-select');
 const benchmarkBtn = document.getElementById('benchmark-btn');
 const benchmarkResults = document.getElementById('benchmark-results');
+const loomInfo = document.getElementById('loom-info');
 const valueLabels = {
     cellSize: document.getElementById('cell-size-val'),
     threadThickness: document.getElementById('thread-thickness-val'),
     borderSize: document.getElementById('border-size-val'),
     cutSize: document.getElementById('cut-size-val'),
-    rangeLimit: document.getElementById('range-limit-val'),
+    declaredRepeat: document.getElementById('declared-repeat-val'),
+    rotation: document.getElementById('rotation-val'),
 };
 
 const inputs = {
@@ -28,7 +34,12 @@ const inputs = {
     threading: document.getElementById('threading-func'),
     warpColors: document.getElementById('warp-colors-func'),
     weftColors: document.getElementById('weft-colors-func'),
-    rangeLimit: document.getElementById('range-limit')
+    declaredRepeat: document.getElementById('declared-repeat'),
+    rotation: document.getElementById('rotation'),
+    warpWidths: document.getElementById('warp-widths'),
+    weftWidths: document.getElementById('weft-widths'),
+    yarn: document.getElementById('yarn-select'),
+    overlay: document.getElementById('overlay-select')
 };
 
 const examples = {
@@ -52,8 +63,8 @@ const examples = {
     },
     plaid: {
         threading: "(i, j) => (i + j) % 4 < 2", // Twill base
-        warpColors: "(i) => {\n  const p = i % 60;\n  if (p < 10) return 'red';\n  if (p < 12) return 'yellow';\n  if (p < 22) return 'green';\n  if (p < 24) return 'yellow';\n  if (p < 34) return 'red';\n  if (p < 60) return 'black';\n  return 'black';\n}",
-        weftColors: "(j) => {\n  const p = j % 60;\n  if (p < 10) return 'red';\n  if (p < 12) return 'yellow';\n  if (p < 22) return 'green';\n  if (p < 24) return 'yellow';\n  if (p < 34) return 'red';\n  if (p < 60) return 'black';\n  return 'black';\n}",
+        warpColors: "sett('G10 Y2 R10 K26 /')",
+        weftColors: "sett('G10 Y2 R10 K26 /')",
         intersection: 2
     },
     gradient: {
@@ -81,7 +92,8 @@ function setValueLabel(name, val) {
 }
 
 function toggleInterlacingControls() {
-    const isInterlacing = displayModeSelect.value === 'interlacing';
+    // The shaded mode draws the same threads, so it shares the thread controls.
+    const isInterlacing = ['interlacing', 'shaded'].includes(displayModeSelect.value);
     document.querySelectorAll('.interlacing-only').forEach(el => {
         el.classList.toggle('disabled', !isInterlacing);
         const input = el.querySelector('input');
@@ -89,6 +101,38 @@ function toggleInterlacingControls() {
     });
 }
 
+// Color inputs are function expressions with `chroma` and `sett` in scope;
+// `sett('K4 R24 /')` returns the color of thread `i` in that tartan sett.
+function colorFunction(source) {
+    const sett = (notation) => {
+        const colors = expandSett(notation);
+        return (i) => colors[i % colors.length];
+    };
+    return new Function('chroma', 'sett', 'return ' + source)(chroma, sett);
+}
+
+// Yarn textures offered by the yarn select, used for warp and weft alike.
+const yarnPresets = {
+    plain: undefined,
+    singles: { twist: 'Z', noise: 0.2 },
+    plied: { twist: 'S', noise: 0.1, plies: ['#f4f1e8', '#3a3a3a'] },
+    tweed: { twist: 'Z', noise: 0.35, plies: ['#6b5a45', '#8c7b5e', '#4a5a3c', '#b8860b'], heather: true }
+};
+
+// Overlays offered by the overlay select.
+const overlayPresets = {
+    none: undefined,
+    grid: { grid: true, major: true },
+    repeat: { grid: true, major: true, repeat: true },
+    floats: { grid: true, floats: { limit: 3, style: 'outline' } }
+};
+
+// Width inputs are comma- or space-separated relative widths; blank means 1.
+function parseWidths(text) {
+    const widths = text.split(/[\s,]+/).filter(Boolean).map(Number);
+    return widths.length ? widths : 1;
+}
+
 function debounce(fn, delay = 120) {
     let t;
     return (...args) => {
@@ -103,8 +147,9 @@ async function render() {
     try {
         const width = parseInt(inputs.width.value, 10);
         const height = parseInt(inputs.height.value, 10);
-        const cellSize = parseInt(inputs.cellSize.value, 10);
-        const rangeLimit = parseInt(inputs.rangeLimit.value, 10);
+        const cellSize = parseFloat(inputs.cellSize.value);
+        const declaredRepeat = parseInt(inputs.declaredRepeat.value, 10);
+        const rotation = parseInt(inputs.rotation.value, 10);
         const backend = backendSelect.value;
         const displayMode = buildDisplayMode(cellSize);
 
@@ -112,47 +157,35 @@ async function render() {
         setValueLabel('threadThickness', inputs.threadThickness.value);
         setValueLabel('borderSize', inputs.borderSize.value);
         setValueLabel('cutSize', inputs.cutSize.value);
-        setValueLabel('rangeLimit', rangeLimit);
+        setValueLabel('declaredRepeat', declaredRepeat || 'none');
+        setValueLabel('rotation', rotation);
 
-        // Evaluate functions
+        // The renderers evaluate the functions over the visible threads, or over one
+        // declared repeat when the slider sets one and draw its minimal repeat.
         const threadingFunc = new Function('return ' + inputs.threading.value)();
-        const warpColorFunc = new Function('chroma', 'return ' + inputs.warpColors.value)(chroma);
-        const weftColorFunc = new Function('chroma', 'return ' + inputs.weftColors.value)(chroma);
-
-        const rows = rangeLimit;
-        const cols = rangeLimit;
-        const threading = [];
-        
-        for (let j = 0; j < rows; j++) {
-            const row = [];
-            for (let i = 0; i < cols; i++) {
-                row.push(!!threadingFunc(i, j));
-            }
-            threading.push(row);
-        }
-
-        const warpColors = [];
-        for (let i = 0; i < cols; i++) {
-            warpColors.push(warpColorFunc(i));
-        }
-
-        const weftColors = [];
-        for (let j = 0; j < rows; j++) {
-            weftColors.push(weftColorFunc(j));
-        }
-
         const definition = {
-            threading,
-            warp_colors: warpColors,
-            weft_colors: weftColors
+            threading: (i, j) => !!threadingFunc(i, j),
+            warp_colors: colorFunction(inputs.warpColors.value),
+            weft_colors: colorFunction(inputs.weftColors.value),
+            warp_widths: parseWidths(inputs.warpWidths.value),
+            weft_widths: parseWidths(inputs.weftWidths.value),
+            warp_yarns: yarnPresets[inputs.yarn.value],
+            weft_yarns: yarnPresets[inputs.yarn.value],
         };
+        if (declaredRepeat > 0) {
+            definition.period = { warps: declaredRepeat, wefts: declaredRepeat };
+        }
 
         const options = {
             width,
             height,
             backend,
+            side: sideSelect.value,
             display_mode: displayMode,
             cell_size: displayMode.cellSize,
+            overlay: overlayPresets[inputs.overlay.value],
+            camera: true, // drag to pan, wheel to zoom while the zoom loop is off
+            rotation,
             zoomLoop: {
                 backgroundColor: inputs.zoomBg.value,
                 borderColor: inputs.zoomBorder.value
@@ -160,6 +193,7 @@ async function render() {
         };
 
         await renderWeave(canvasContainer, definition, options);
+        showLoomInfo(definition);
 
     } catch (err) {
         console.error(err);
@@ -167,6 +201,16 @@ async function render() {
     }
 }
 
+function showLoomInfo(definition) {
+    if (!definition.period) {
+        loomInfo.textContent = 'Loom: declare a repeat to analyze the draft';
+        return;
+    }
+    const loom = decomposeDrawdown(reduceDefinition(materializeDefinition(definition)));
+    const fits = [8, 16].map(shafts => `${shafts}-shaft: ${fitsLoom(loom, { shafts }) ? 'yes' : 'no'}`);
+    loomInfo.textContent = `Loom: ${loom.shafts} shafts, ${loom.treadles} treadles (${fits.join(', ')})`;
+}
+
 async function runBenchmark() {
     benchmarkResults.innerHTML = "Running benchmark...";
     const iterations = 5;
@@ -182,25 +226,12 @@ async function runBenchmark() {
     
     // Generate data once
     const threadingFunc = new Function('return ' + inputs.threading.value)();
-    const warpColorFunc = new Function('chroma', 'return ' + inputs.warpColors.value)(chroma);
-    const weftColorFunc = new Function('chroma', 'return ' + inputs.weftColors.value)(chroma);
-
-    const rows = rangeLimit;
-    const cols = rangeLimit;
-    const threading = [];
-    for (let j = 0; j < rows; j++) {
-        const row = [];
-        for (let i = 0; i < cols; i++) {
-            row.push(!!threadingFunc(i, j));
-        }
-        threading.push(row);
-    }
-    const warpColors = [];
-    for (let i = 0; i < cols; i++) { warpColors.push(warpColorFunc(i)); }
-    const weftColors = [];
-    for (let j = 0; j < rows; j++) { weftColors.push(weftColorFunc(j)); }
-
-    const definition = { threading, warp_colors: warpColors, weft_colors: weftColors };
+    const definition = materializeDefinition({
+        threading: (i, j) => !!threadingFunc(i, j),
+        warp_colors: colorFunction(inputs.warpColors.value),
+        weft_colors: colorFunction(inputs.weftColors.value),
+        period: { warps: rangeLimit, wefts: rangeLimit },
+    });
     const options = { width, height, display_mode: displayMode, cell_size: intersectionSize };
 
     // Create a hidden container for benchmarking to not disturb the UI too much
@@ -246,18 +277,21 @@ async function runBenchmark() {
 }
 
 backendSelect.addEventListener('change', debouncedRender);
+sideSelect.addEventListener('change', debouncedRender);
 displayModeSelect.addEventListener('change', () => {
     toggleInterlacingControls();
     debouncedRender();
 });
 benchmarkBtn.addEventListener('click', runBenchmark);
 
-['width', 'height', 'cellSize', 'threadThickness', 'borderSize', 'cutSize', 'rangeLimit'].forEach(key => {
+['width', 'height', 'cellSize', 'threadThickness', 'borderSize', 'cutSize', 'declaredRepeat', 'rotation'].forEach(key => {
     inputs[key].addEventListener('input', debouncedRender);
 });
-['threading', 'warpColors', 'weftColors'].forEach(key => {
+['threading', 'warpColors', 'weftColors', 'warpWidths', 'weftWidths'].forEach(key => {
     inputs[key].addEventListener('input', debouncedRender);
 });
+inputs.yarn.addEventListener('change', debouncedRender);
+inputs.overlay.addEventListener('change', debouncedRender);
 ['zoomBg', 'zoomBorder'].forEach(key => {
     inputs[key].addEventListener('input', debouncedRender);
 });
@@ -273,6 +307,17 @@ function buildDisplayMode(cellSize) {
             cut_size: parseInt(inputs.cutSize.value, 10)
         };
     }
+    if (mode === 'shaded') {
+        return {
+            type: 'shaded',
+            cellSize,
+            thread_thickness: parseInt(inputs.threadThickness.value, 10),
+            cut_size: parseInt(inputs.cutSize.value, 10)
+        };
+    }
+    if (mode === 'draft') {
+        return { type: 'draft', cellSize };
+    }
     return { type: 'simple', cellSize };
 }
 
@@ -0,0 +1,198 @@
+/**
+ * Loom-level weaving drafts.
+ *
+ * A draft describes how a loom produces a fabric rather than the fabric itself:
+ * - `threading[i]` lists the shafts warp thread `i` passes through (usually one),
+ * - `tieup[s][t]` is true when shaft `s` is tied to treadle `t`,
+ * - `treadling[j]` lists the treadles pressed for pick `j`.
+ * All indices are 0-based. With a rising shed the tied shafts lift, so the warp
+ * shows on top; with a sinking shed they drop and the weft shows. A dobby
+ * liftplan is a draft whose tie-up is the identity.
+ */
+
+/**
+ * Build a normalized draft object.
+ *
+ * @param {Object} spec
+ * @param {number} [spec.shafts] - Number of shafts (defaults to the highest shaft used + 1).
+ * @param {number} [spec.treadles] - Number of treadles (defaults to the highest treadle used + 1).
+ * @param {(number|number[]|null)[]} spec.threading - Shaft index (or indices) per warp thread.
+ * @param {boolean[][]} spec.tieup - Matrix indexed `[shaft][treadle]`.
+ * @param {(number|number[]|null)[]} spec.treadling - Treadle index (or indices) per pick.
+ * @param {boolean} [spec.risingShed=true] - Whether tied shafts rise (true) or sink (false).
+ * @param {string[]} [spec.warp_colors] - Colors carried through to the compiled definition.
+ * @param {string[]} [spec.weft_colors] - Colors carried through to the compiled definition.
+ * @returns {Object} Draft with every field filled in and every threading/treadling
+ *   entry normalized to an array of indices.
+ */
+export function createDraft(spec) {
+  const threading = (spec.threading || []).map(toIndexList);
+  const treadling = (spec.treadling || []).map(toIndexList);
+  const tieupRows = spec.tieup || [];
+  const shafts = spec.shafts ?? Math.max(maxIndex(threading) + 1, tieupRows.length);
+  const treadles = spec.treadles ?? tieupRows.reduce((max, row) => Math.max(max, row.length), maxIndex(treadling) + 1);
+
+  checkIndices(threading, shafts, 'threading', 'shaft');
+  checkIndices(treadling, treadles, 'treadling', 'treadle');
+
+  const tieup = [];
+  for (let s = 0; s < shafts; s++) {
+    const row = [];
+    for (let t = 0; t < treadles; t++) row.push(!!(spec.tieup?.[s]?.[t]));
+    tieup.push(row);
+  }
+
+  return {
+    shafts,
+    treadles,
+    threading,
+    tieup,
+    treadling,
+    risingShed: spec.risingShed ?? true,
+    warp_colors: spec.warp_colors,
+    weft_colors: spec.weft_colors,
+  };
+}
+
+/**
+ * Whether a value looks like a draft (as opposed to a drawdown definition).
+ */
+export function isDraft(value) {
+  return !!value && Array.isArray(value.tieup) && Array.isArray(value.treadling);
+}
+
+/**
+ * The shafts lifted on each pick, i.e. the dobby liftplan equivalent of the
+ * tie-up and treadling. Shaft indices are 0-based and sorted.
+ *
+ * @param {Object} draft - A draft from `createDraft`.
+ * @returns {number[][]} Lifted shafts per pick.
+ */
+export function draftLiftplan(draft) {
+  return draft.treadling.map((treadles) => {
+    const lifted = [];
+    for (let s = 0; s < draft.shafts; s++) {
+      if (treadles.some((t) => draft.tieup[s][t])) lifted.push(s);
+    }
+    return lifted;
+  });
+}
+
+/**
+ * Compile a draft into the drawdown definition consumed by every renderer.
+ *
+ * @param {Object} draft - A draft (or draft spec accepted by `createDraft`).
+ * @returns {{ threading: boolean[][], warp_colors: string[], weft_colors: string[] }}
+ */
+export function compileDraft(draft) {
+  const normalized = createDraft(draft);
+  const lifts = draftLiftplan(normalized).map((shafts) => new Set(shafts));
+  const threading = lifts.map((lifted) =>
+    normalized.threading.map((shafts) => {
+      const raised = shafts.some((s) => lifted.has(s));
+      return normalized.risingShed ? raised : !raised;
+    })
+  );
+  return {
+    threading,
+    warp_colors: normalized.warp_colors || ['#ffffff'],
+    weft_colors: normalized.weft_colors || ['#000000'],
+  };
+}
+
+/**
+ * Factor a drawdown into the smallest draft that weaves it, with one shaft per warp
+ * thread and one treadle per pick. Identical warp columns share a shaft, and picks
+ * lifting the same shafts share a treadle; under those constraints both counts are
+ * minimal. Picks that lift nothing need no treadle.
+ *
+ * @param {Object} definition - A definition with a `threading` drawdown matrix.
+ * @returns {{ draft: Object, shafts: number, treadles: number, liftplan: number[][] }}
+ *   The derived draft (colors carried over), its shaft and treadle counts, and the
+ *   dobby liftplan (lifted shafts per pick, 0-based).
+ */
+export function decomposeDrawdown(definition) {
+  const { threading } = definition;
+  if (!threading || !threading.length || !threading[0].length) {
+    throw new Error('Draft: cannot decompose an empty threading');
+  }
+
+  const columnShaft = new Map();
+  const shaftColumns = [];
+  const draftThreading = threading[0].map((_, i) => {
+    const column = threading.map((row) => row[i]);
+    const key = column.map((v) => (v ? '1' : '0')).join('');
+    if (!columnShaft.has(key)) {
+      columnShaft.set(key, shaftColumns.length);
+      shaftColumns.push(column);
+    }
+    return columnShaft.get(key);
+  });
+
+  const liftplan = threading.map((_, j) => {
+    const lifted = [];
+    shaftColumns.forEach((column, s) => {
+      if (column[j]) lifted.push(s);
+    });
+    return lifted;
+  });
+
+  const liftTreadle = new Map();
+  const treadleLifts = [];
+  const treadling = liftplan.map((lifted) => {
+    if (!lifted.length) return null;
+    const key = lifted.join(',');
+    if (!liftTreadle.has(key)) {
+      liftTreadle.set(key, treadleLifts.length);
+      treadleLifts.push(lifted);
+    }
+    return liftTreadle.get(key);
+  });
+
+  const tieup = shaftColumns.map((_, s) => treadleLifts.map((lifted) => lifted.includes(s)));
+  const draft = createDraft({
+    shafts: shaftColumns.length,
+    treadles: treadleLifts.length,
+    threading: draftThreading,
+    tieup,
+    treadling,
+    warp_colors: definition.warp_colors,
+    weft_colors: definition.weft_colors,
+  });
+  return { draft, shafts: draft.shafts, treadles: draft.treadles, liftplan };
+}
+
+/**
+ * Whether a decomposed drawdown can be woven on a loom of the given size.
+ * Omit `treadles` to check a dobby loom, which only needs the liftplan.
+ *
+ * @param {{ shafts: number, treadles: number }} analysis - Result of `decomposeDrawdown`.
+ * @param {{ shafts: number, treadles?: number }} loom
+ * @returns {boolean}
+ */
+export function fitsLoom(analysis, loom) {
+  return analysis.shafts <= loom.shafts && (loom.treadles === undefined || analysis.treadles <= loom.treadles);
+}
+
+function toIndexList(entry) {
+  if (entry === null || entry === undefined) return [];
+  return Array.isArray(entry) ? [...entry] : [entry];
+}
+
+function maxIndex(lists) {
+  let max = -1;
+  for (const list of lists) {
+    for (const idx of list) max = Math.max(max, idx);
+  }
+  return max;
+}
+
+function checkIndices(lists, count, field, noun) {
+  lists.forEach((list, i) => {
+    for (const idx of list) {
+      if (!Number.isInteger(idx) || idx < 0 || idx >= count) {
+        throw new Error(`Draft: ${field}[${i}] uses ${noun} ${idx}, expected 0..${count - 1}`);
+      }
+    }
+  });
+}
@@ -0,0 +1,55 @@
+import { describe, test, expect } from 'vitest';
+import { createDraft, compileDraft, decomposeDrawdown, draftLiftplan, fitsLoom } from './draft.js';
+
+// 2/2 twill on four shafts: straight draw, 2/2 tie-up, straight treadling.
+const twillDraft = {
+  threading: [0, 1, 2, 3],
+  tieup: [
+    [true, false, false, true],
+    [true, true, false, false],
+    [false, true, true, false],
+    [false, false, true, true],
+  ],
+  treadling: [0, 1, 2, 3],
+  warp_colors: ['navy'],
+  weft_colors: ['gold'],
+};
+
+describe('Loom drafts', () => {
+  test('compiles threading, tie-up and treadling to the drawdown', () => {
+    const def = compileDraft(twillDraft);
+    expect(def.threading).toEqual([
+      [true, true, false, false],
+      [false, true, true, false],
+      [false, false, true, true],
+      [true, false, false, true],
+    ]);
+    expect(def.warp_colors).toEqual(['navy']);
+    expect(def.weft_colors).toEqual(['gold']);
+  });
+
+  test('sinking shed inverts the drawdown and multi-treadle picks combine', () => {
+    const def = compileDraft({ ...twillDraft, risingShed: false, treadling: [[0, 2]] });
+    expect(def.threading).toEqual([[false, false, false, false]]);
+    expect(draftLiftplan(createDraft({ ...twillDraft, treadling: [[0, 1]] }))).toEqual([[0, 1, 2]]);
+  });
+
+  test('rejects out-of-range shafts and treadles', () => {
+    expect(() => createDraft({ ...twillDraft, shafts: 2 })).toThrow('threading[2] uses shaft 2');
+    expect(() => createDraft({ ...twillDraft, treadles: 4, treadling: [7] })).toThrow('treadling[0] uses treadle 7');
+  });
+
+  test('decomposes a drawdown into the fewest shafts and treadles', () => {
+    // A 2/2 twill materialized at 8x8 still needs only 4 shafts and 4 treadles.
+    const threading = Array.from({ length: 8 }, (_, j) =>
+      Array.from({ length: 8 }, (_, i) => (i + j) % 4 < 2)
+    );
+    const result = decomposeDrawdown({ threading, warp_colors: ['navy'], weft_colors: ['gold'] });
+    expect(result.shafts).toBe(4);
+    expect(result.treadles).toBe(4);
+    expect(result.liftplan[0]).toEqual([0, 1]);
+    expect(compileDraft(result.draft).threading).toEqual(threading);
+    expect(fitsLoom(result, { shafts: 8 })).toBe(true);
+    expect(fitsLoom(result, { shafts: 8, treadles: 3 })).toBe(false);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, test, expect } from 'vitest';
+import { draftDiagram } from './renderers/draftview.js';
+import { compileDraft } from './draft.js';
+
+const twillDraft = {
+  threading: [0, 1, 2, 3],
+  tieup: [
+    [true, false, false, true],
+    [true, true, false, false],
+    [false, true, true, false],
+    [false, false, true, true],
+  ],
+  treadling: [0, 1, 2, 3],
+  warp_colors: ['#000080'],
+  weft_colors: ['#ffd700'],
+};
+
+const options = (extra) => ({ width: 150, height: 150, display_mode: { type: 'draft', cellSize: 10 }, ...extra });
+const colorAt = (rects, x, y) => rects.filter((r) => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height).pop()?.color;
+
+describe('Draft display mode', () => {
+  test('lays out threading, tie-up, treadling and chips around the drawdown', () => {
+    const rects = draftDiagram(compileDraft(twillDraft), options({ draft: twillDraft }));
+    // 4 shafts and 4 treadles: the drawdown starts 7 cells down and is 150 - 70 = 80px wide.
+    expect(colorAt(rects, 5, 5)).toBe('rgba(0, 0, 128, 1)');         // warp chip
+    expect(colorAt(rects, 5, 55)).toBe('#222222');                   // warp 0 on shaft 0, the bottom row
+    expect(colorAt(rects, 5, 25)).toBe('#ffffff');
+    expect(colorAt(rects, 95, 55)).toBe('#222222');                  // shaft 0 tied to treadle 0
+    expect(colorAt(rects, 125, 55)).toBe('#222222');                 // ... and to treadle 3
+    expect(colorAt(rects, 105, 55)).toBe('#ffffff');
+    expect(colorAt(rects, 95, 75)).toBe('#222222');                  // pick 0 on treadle 0
+    expect(colorAt(rects, 145, 75)).toBe('rgba(255, 215, 0, 1)');    // weft chip
+    expect(colorAt(rects, 5, 75)).toBe('rgba(0, 0, 128, 1)');        // drawdown: warp 0 up on pick 0
+    expect(colorAt(rects, 25, 75)).toBe('rgba(255, 215, 0, 1)');
+    expect(colorAt(rects, 10, 75)).toBe('#999999');                  // grid line
+  });
+
+  test('derives the borders from a drawdown without a draft', () => {
+    const plain = { threading: [[true, false], [false, true]], warp_colors: ['black'], weft_colors: ['white'] };
+    const rects = draftDiagram(plain, options());
+    // Two shafts, two treadles: the drawdown starts 5 cells down and is 100px wide.
+    expect(colorAt(rects, 5, 35)).toBe('#222222');
+    expect(colorAt(rects, 15, 25)).toBe('#222222');
+    expect(colorAt(rects, 15, 35)).toBe('#ffffff');
+    expect(colorAt(rects, 115, 55)).toBe('#222222');
+    expect(colorAt(rects, 125, 65)).toBe('#222222');
+    expect(colorAt(rects, 5, 55)).toBe('rgba(0, 0, 0, 1)');
+  });
+});
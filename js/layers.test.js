@@ -0,0 +1,73 @@
+import { describe, test, expect } from 'vitest';
+import { compositeLayers, stackingForSide } from './renderers/layers.js';
+import { definitionForView } from './renderers/utils.js';
+import { validateDefinition } from './renderers/validate.js';
+
+const ground = {
+  threading: [
+    [true, false],
+    [false, true],
+  ],
+  warp_colors: ['white'],
+  weft_colors: ['black'],
+};
+
+// Floats over the whole of pick 0 and stays behind the cloth on pick 1.
+const supplementaryWeft = {
+  threading: [
+    [false, false],
+    [true, true],
+  ],
+  weft_colors: ['red'],
+};
+
+describe('Multi-layer weaves', () => {
+  test('a supplementary weft floats over the ground and lets it show elsewhere', () => {
+    const view = compositeLayers([supplementaryWeft, ground], undefined, { warps: 2, wefts: 2 });
+    expect(view.threading).toEqual([
+      [false, false],
+      [false, true],
+    ]);
+    expect(view.weft_cells).toEqual([
+      ['red', 'red'],
+      ['black', 'black'],
+    ]);
+    // Beneath the float lies the ground warp.
+    expect(view.warp_cells[0]).toEqual(['white', 'white']);
+  });
+
+  test('a stacking matrix exchanges the faces of a double cloth', () => {
+    const blue = { threading: [[true]], warp_colors: ['blue'], weft_colors: ['navy'] };
+    const gold = { threading: [[true]], warp_colors: ['gold'], weft_colors: ['yellow'] };
+    const stacking = [[[0, 1], [1, 0]]];
+    const view = compositeLayers([blue, gold], stacking, { warps: 4, wefts: 1 });
+    expect(view.warp_cells).toEqual([['blue', 'gold', 'blue', 'gold']]);
+    expect(view.weft_cells).toEqual([['navy', 'yellow', 'navy', 'yellow']]);
+  });
+
+  test('the back shows the layers in reverse order', () => {
+    expect(stackingForSide(undefined, 3, 'back')).toEqual([2, 1, 0]);
+    expect(stackingForSide([[[0, 1], [1, 0], [0, 1]]], 2, 'back')).toEqual([[[1, 0], [0, 1], [1, 0]]]);
+
+    const back = definitionForView({ layers: [supplementaryWeft, ground] }, 'back', { warps: 2, wefts: 2 });
+    // The float now lies behind the ground, which shows its flipped plain weave.
+    expect(back.threading).toEqual([
+      [true, false],
+      [false, true],
+    ]);
+    expect(back.weft_cells[0]).toEqual(['black', 'black']);
+  });
+
+  test('layers are validated with layer paths', () => {
+    expect(validateDefinition({ layers: [supplementaryWeft, ground], stacking: [1, 0] })).toEqual([]);
+    const issues = validateDefinition({
+      layers: [{ threading: [[true]] }, { ...ground, threading: [[true], [true, false]] }],
+      stacking: [0, 2],
+    });
+    expect(issues.map((issue) => issue.message)).toEqual([
+      'layers[0] has neither warp_colors nor weft_colors',
+      'layers[1].threading[1] has length 2, expected 1',
+      'stacking[1] must be a layer index 0..1, got 2',
+    ]);
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, test, expect } from 'vitest';
+import { MIX_LIMIT, mixColors, mixesColors, pixelCoverage } from './renderers/mixing.js';
+import { threadLayout } from './renderers/utils.js';
+
+describe('Optical color mixing', () => {
+  test('mixes simple cells under a pixel only', () => {
+    expect(mixesColors({ type: 'simple', cellSize: 0.3 })).toBe(true);
+    expect(mixesColors({ cellSize: 0.5 })).toBe(true);
+    expect(mixesColors({ type: 'simple', cellSize: 1 })).toBe(false);
+    expect(mixesColors({ type: 'interlacing', cellSize: 0.5 })).toBe(false);
+  });
+
+  test('weighs each thread by the part of the pixel it covers', () => {
+    const coverage = pixelCoverage(threadLayout([2, 1], 0.4), 0, 2);
+    const rounded = coverage.map((pixel) => pixel.map(({ index, weight }) => [index, Number(weight.toFixed(6))]));
+    // Threads are 0.8, 0.4, 0.8, 0.4 ... pixels wide.
+    expect(rounded).toEqual([
+      [[0, 0.8], [1, 0.2]],
+      [[1, 0.2], [2, 0.8]],
+    ]);
+    expect(pixelCoverage(threadLayout(1, 0.01), 0, 1)[0]).toHaveLength(MIX_LIMIT);
+  });
+
+  test('averages in linear light, so black and white read as a light gray', () => {
+    const [r, g, b] = mixColors([{ color: [0, 0, 0], weight: 1 }, { color: [1, 1, 1], weight: 1 }]);
+    expect(Math.round(r * 255)).toBe(188);
+    expect([g, b]).toEqual([r, r]);
+    // A pixel cut short by the thread limit is normalized by the weight it has.
+    mixColors([{ color: [1, 0.5, 0], weight: 0.25 }]).forEach((value, c) => expect(value).toBeCloseTo([1, 0.5, 0][c], 9));
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, test, expect } from 'vitest';
+import { FLOAT_WARP, FLOAT_WEFT, floatRects, longFloatMask, overlayRects, repeatSize, resolveFloats, resolveOverlay, viewFloatMask } from './renderers/overlay.js';
+import { threadLayout } from './renderers/utils.js';
+
+const twill = {
+  threading: [
+    [true, true, false, false, true, true],
+    [false, true, true, false, false, true],
+    [false, false, true, true, false, false],
+    [true, false, false, true, true, false],
+  ],
+  warp_colors: ['#000080'],
+  weft_colors: ['#ffd700'],
+};
+
+describe('Grid and repeat overlay', () => {
+  test('finds the repeat of arrays, declared periods and layers', () => {
+    expect(repeatSize(twill)).toEqual({ warps: 6, wefts: 4 });
+    expect(repeatSize({ threading: () => true, period: { warps: 8 } })).toEqual({ warps: 8, wefts: 0 });
+    expect(repeatSize({
+      layers: [{ threading: [[true, false]] }, { threading: [[true, false, true], [false, true, false], [true, true, false]] }],
+    })).toEqual({ warps: 6, wefts: 3 });
+  });
+
+  test('draws each line at the leading edge of its thread', () => {
+    const lines = resolveOverlay({ repeat: { color: 'red', width: 2 } }, twill);
+    const rects = overlayRects(lines, { width: 40, height: 20, warpLayout: threadLayout(1, 5), weftLayout: threadLayout(1, 5) });
+    expect(rects).toEqual([
+      { x: 0, y: 0, width: 2, height: 20, color: 'rgba(255, 0, 0, 1)' },
+      { x: 30, y: 0, width: 2, height: 20, color: 'rgba(255, 0, 0, 1)' },
+      { x: 0, y: 0, width: 40, height: 2, color: 'rgba(255, 0, 0, 1)' },
+    ]);
+  });
+
+  test('scales line widths and follows the offset threads in the zoom loop', () => {
+    const lines = resolveOverlay({ major: { every: 4, width: 1 } }, twill);
+    const rects = overlayRects(lines, {
+      width: 30,
+      height: 10,
+      warpLayout: threadLayout(1, 10),
+      weftLayout: threadLayout(1, 10),
+      offsetWarp: 3,
+      offsetWeft: 7,
+      scale: 3,
+    });
+    // Warp 4 starts one 10px cell into the region; pick 8 just past its 10px height.
+    expect(rects).toEqual([{ x: 10, y: 0, width: 3, height: 10, color: 'rgba(0, 0, 0, 0.45)' }]);
+  });
+
+  test('marks floats longer than the limit, wrapping around the repeat', () => {
+    // Warp 0 is up for picks 3, 0 and 1 across the wrap; pick 2 never interlaces.
+    const threading = [
+      [true, false, true, false],
+      [true, true, false, false],
+      [false, false, false, false],
+      [true, false, true, true],
+    ];
+    const W = FLOAT_WARP;
+    const F = FLOAT_WEFT;
+    expect(longFloatMask(threading, 2)).toEqual([
+      [W, 0, 0, 0],
+      [W, 0, 0, 0],
+      [F, F, F, F],
+      [W, 0, 0, 0],
+    ]);
+    expect(longFloatMask(threading, 3)).toEqual([
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [F, F, F, F],
+      [0, 0, 0, 0],
+    ]);
+  });
+
+  test('measures floats in the fabric, not around a sampled window', () => {
+    const W = FLOAT_WARP;
+    const F = FLOAT_WEFT;
+    // Only warps 1 and 2 ever come up: every pick floats on past both edges of the
+    // window of warps 0 to 3, which read around would hold a weft float of two.
+    const procedural = { threading: (i) => i === 1 || i === 2, warp_colors: ['black'], weft_colors: ['white'] };
+    const region = { x: 0, y: 0, warps: 4, wefts: 2 };
+    const sampled = [[false, true, true, false], [false, true, true, false]];
+    expect(longFloatMask(sampled, 2)).toEqual([[0, W, W, 0], [0, W, W, 0]]);
+    expect(viewFloatMask(procedural, 'front', region, sampled, 2)).toEqual([[F, W, W, F], [F, W, W, F]]);
+    // Slots of an offset window hold the threads congruent to them: warp 4 in slot 0.
+    expect(viewFloatMask(procedural, 'front', { ...region, x: 1 }, sampled, 2)).toEqual([[F, W, W, F], [F, W, W, F]]);
+
+    // A repeat is read around, as by longFloatMask.
+    const repeat = [[true, false, true, false], [true, true, false, false], [false, false, false, false], [true, false, true, true]];
+    expect(viewFloatMask({ threading: repeat }, 'front', region, repeat, 2)).toEqual(longFloatMask(repeat, 2));
+  });
+
+  test('outlines a float along its sides and across its ends', () => {
+    const floats = resolveFloats({ floats: { limit: 1, style: 'outline', warp_color: 'red', weft_color: 'blue', width: 2 } });
+    // Warp 0 floats over picks 0 and 1; pick 2 floats over every warp.
+    const threading = [[true, false], [true, true], [false, false]];
+    const rects = floatRects(floats, longFloatMask(threading, 1), {
+      width: 20,
+      height: 30,
+      warpLayout: threadLayout(1, 10),
+      weftLayout: threadLayout(1, 10),
+    });
+    const red = (x, y, width, height) => ({ x, y, width, height, color: 'rgba(255, 0, 0, 1)' });
+    const blue = (x, y, width, height) => ({ x, y, width, height, color: 'rgba(0, 0, 255, 1)' });
+    expect(rects).toEqual([
+      red(0, 0, 2, 10), red(8, 0, 2, 10), red(2, 0, 6, 2),
+      red(0, 10, 2, 10), red(8, 10, 2, 10), red(2, 18, 6, 2),
+      blue(0, 20, 10, 2), blue(0, 28, 10, 2),
+      blue(10, 20, 10, 2), blue(10, 28, 10, 2),
+    ]);
+  });
+});
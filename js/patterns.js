@@ -0,0 +1,155 @@
+/**
+ * Weave pattern generators mirroring `WnW/Patterns.lean`.
+ *
+ * The Lean side encodes a weave as `(i, j) ↦ ZMod 2` with `0` meaning warp on top,
+ * where `i` indexes warp threads and `j` weft picks. Every generator here returns the
+ * equivalent `definition.threading` matrix (`threading[j][i] === true` when the warp
+ * is on top) for a square repeat of `size` threads. `size` defaults to the pattern's
+ * natural repeat; like `Weave n` in Lean, any other size is taken modulo as given.
+ */
+
+/** Ensure that user-facing natural number parameters are at least `1`. */
+export function sanitize(k) {
+  return Number.isFinite(k) ? Math.max(1, Math.floor(k)) : 1;
+}
+
+/** A symmetric saw-tooth wave that rises for `half` steps and then falls. */
+export function triangularWave(half, coord) {
+  const h = sanitize(half);
+  const period = 2 * h;
+  const x = coord % period;
+  return x < h ? x : period - x - 1;
+}
+
+/** Decide whether a diagonal twill stripe places the warp (`0`) or weft (`1`) on top. */
+export function twillStripe(diag, over, under) {
+  const o = sanitize(over);
+  const u = sanitize(under);
+  const period = o + u;
+  return diag % period < o ? 0 : 1;
+}
+
+/** Distance from the center of a mirrored block of width `2 * half`. */
+export function centeredAbs(half, coord) {
+  const h = sanitize(half);
+  const period = 2 * h;
+  const x = (coord + h) % period;
+  return x < h ? h - x : x - h;
+}
+
+/** The classic plain weave where warp and weft alternate every pick. */
+export function plain(size = 2) {
+  return build(size, (i, j) => ((i + j) % 2 === 0 ? 0 : 1));
+}
+
+/**
+ * A basic rising twill: the warp floats over `over` picks, then under `under` picks,
+ * producing diagonal ribs in the fabric.
+ */
+export function risingTwill(over = 2, under = 2, size = sanitize(over) + sanitize(under)) {
+  return build(size, (i, j) => twillStripe(i + j, over, under));
+}
+
+/**
+ * A herringbone weave reverses the twill direction every `segmentLen` warp threads,
+ * producing the characteristic V-shaped chevrons.
+ * `over` and `under` configure the (balanced) twill sequence inside each chevron.
+ */
+export function herringbone(segmentLen = 4, over = 2, under = 2, size = lcm(2 * sanitize(segmentLen), sanitize(over) + sanitize(under))) {
+  const segment = sanitize(segmentLen);
+  return build(size, (i, j) => {
+    const blockOdd = Math.floor(i / segment) % 2 === 1;
+    const jBlock = Math.floor(j / segment);
+    const jInBlock = j % segment;
+    const orientedJ = blockOdd ? segment - 1 - jInBlock : jInBlock;
+    const diag = i + jBlock * segment + orientedJ;
+    return twillStripe(diag, over, under);
+  });
+}
+
+/**
+ * A diamond weave (pointed twill) reflects the rising twill in both warp and weft
+ * directions, producing lozenge-shaped motifs whose half-diagonal is `halfDiagonal`.
+ * The parameter controls the Manhattan radius of each diamond.
+ */
+export function diamond(halfDiagonal = 4, size = 2 * sanitize(halfDiagonal)) {
+  const half = sanitize(halfDiagonal);
+  return build(size, (i, j) => (centeredAbs(half, i) + centeredAbs(half, j) <= half ? 0 : 1));
+}
+
+/**
+ * A satin weave with `shafts` threads per repeat: each pick raises a single warp,
+ * stepping `step` threads between picks so the interlacings never touch. This is the
+ * weft-faced form (a sateen); invert the matrix for the warp-faced form.
+ * `step` should be coprime with `shafts` and neither `1` nor `shafts - 1`.
+ */
+export function satin(shafts = 5, step = 2, size = sanitize(shafts)) {
+  const n = sanitize(shafts);
+  const s = sanitize(step);
+  return build(size, (i, j) => ((i + s * j) % n === 0 ? 0 : 1));
+}
+
+/**
+ * A basket weave: plain weave in which `blockSize` adjacent warps and picks act as a
+ * single thread, giving a checkerboard of small squares.
+ */
+export function basket(blockSize = 2, size = 2 * sanitize(blockSize)) {
+  const block = sanitize(blockSize);
+  return build(size, (i, j) => ((Math.floor(i / block) + Math.floor(j / block)) % 2 === 0 ? 0 : 1));
+}
+
+/**
+ * A broken twill reverses direction every `segmentLen` warp threads like a
+ * herringbone, but each reversed block starts `over` steps further along the
+ * diagonal so the twill lines break instead of meeting in a point
+ * (a 2/2 twill with `segmentLen = 2` gives the classic 1-2-4-3 threading).
+ */
+export function brokenTwill(segmentLen = 2, over = 2, under = 2, size) {
+  const segment = sanitize(segmentLen);
+  const period = sanitize(over) + sanitize(under);
+  const repeat = size ?? lcm(2 * segment, period);
+  return build(repeat, (i, j) => {
+    const block = Math.floor(i / segment);
+    if (block % 2 === 0) return twillStripe(i + j, over, under);
+    const blockStart = block * segment;
+    const local = i - blockStart;
+    const diag = blockStart - 1 + sanitize(over) - local + j;
+    return twillStripe(((diag % period) + period) % period, over, under);
+  });
+}
+
+/**
+ * A waffle weave on a point draw in both directions. Tabby along the diagonals
+ * outlines diamond-shaped cells, and warp and weft floats fill the triangles in
+ * between, lengthening toward the cell centers so the cloth puckers into a grid of
+ * recesses. `half` is the number of shafts in the point draw.
+ */
+export function waffle(half = 4, size = 2 * sanitize(half)) {
+  return build(size, (i, j) => {
+    const dx = triangularWave(half, i);
+    const dy = triangularWave(half, j);
+    if (dx === dy) return (i + j) % 2;
+    return dx > dy ? 0 : 1;
+  });
+}
+
+// Materialize a Lean-style `(i, j) ↦ 0 | 1` weave as a threading matrix.
+function build(size, weave) {
+  const n = sanitize(size);
+  const threading = [];
+  for (let j = 0; j < n; j++) {
+    const row = [];
+    for (let i = 0; i < n; i++) row.push(weave(i, j) === 0);
+    threading.push(row);
+  }
+  return threading;
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function lcm(a, b) {
+  return (a / gcd(a, b)) * b;
+}
@@ -0,0 +1,47 @@
+import { describe, test, expect } from 'vitest';
+import { plain, risingTwill, herringbone, diamond, satin, basket, brokenTwill, waffle, sanitize, centeredAbs } from './patterns.js';
+
+const countWarpUp = (row) => row.filter(Boolean).length;
+
+describe('Pattern generators', () => {
+  test('plain and rising twill follow the Lean definitions', () => {
+    expect(plain()).toEqual([
+      [true, false],
+      [false, true],
+    ]);
+    expect(risingTwill(2, 2)).toEqual([
+      [true, true, false, false],
+      [true, false, false, true],
+      [false, false, true, true],
+      [false, true, true, false],
+    ]);
+    // sanitize clamps degenerate parameters to 1, so a 0/0 twill is plain weave.
+    expect(sanitize(0)).toBe(1);
+    expect(risingTwill(0, 0)).toEqual(plain());
+  });
+
+  test('herringbone and diamond mirror their motifs', () => {
+    const hb = herringbone(4, 2, 2);
+    expect(hb.length).toBe(8);
+    hb.forEach((row) => expect(countWarpUp(row)).toBe(4));
+    expect(centeredAbs(4, 0)).toBe(0);
+    expect(centeredAbs(4, 4)).toBe(4);
+    const dm = diamond(2);
+    expect(dm[0]).toEqual([true, true, true, true]);
+    expect(dm[2]).toEqual([true, false, false, false]);
+  });
+
+  test('extra weaves have the expected structure', () => {
+    satin(5, 2).forEach((row) => expect(countWarpUp(row)).toBe(1));
+    expect(basket(2)[1]).toEqual([true, true, false, false]);
+    // The classic 2/2 broken twill threads 1-2-4-3.
+    const bt = brokenTwill(2, 2, 2);
+    const column = (t, i) => t.map((row) => row[i]);
+    const twill = risingTwill(2, 2);
+    expect([0, 1, 2, 3].map((i) => column(bt, i))).toEqual([0, 1, 3, 2].map((i) => column(twill, i)));
+    // Every thread of a waffle interlaces at least once.
+    const wf = waffle(4);
+    wf.forEach((row) => expect(new Set(row).size).toBe(2));
+    wf[0].forEach((_, i) => expect(new Set(column(wf, i)).size).toBe(2));
+  });
+});
@@ -1,15 +1,23 @@
 
-import { resolvePalette } from './utils.js';
+import { crossingColors, definitionForView, deviceOptions, panStart, pixelEdge, pixelRatioOf, sizeCanvas, threadsCovering, viewFrame, viewLayout } from './utils.js';
+import { validateWeave } from './validate.js';
+import { drawThreadPattern, drawsPerPixel } from './shading.js';
+import { drawMixedPattern, mixesColors } from './mixing.js';
+import { resolveYarns } from './yarn.js';
+import { draftDiagram, drawDraftDiagram } from './draftview.js';
+import { drawOverlay, floatRects, overlayRects, resolveFloats, resolveOverlay, viewFloatMask } from './overlay.js';
 
 const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
 
-export function renderCanvas(element, definition, options) {
-  const { threading, warp_colors, weft_colors } = definition;
+export function renderCanvas(element, definition, cssOptions) {
+  const validation = validateWeave(definition, cssOptions);
+  // Draw in device pixels; the canvas keeps its CSS size.
+  const ratio = validation.valid ? pixelRatioOf(cssOptions) : 1;
+  const options = deviceOptions(cssOptions, ratio);
   const displayModeRaw = options.display_mode || options.displayMode || { type: 'simple', cellSize: options.cell_size || options.cellSize || 1 };
   const displayMode = { ...displayModeRaw, type: (displayModeRaw.type || 'simple').toLowerCase().trim() };
   const intersection_size = displayMode.cellSize || 1;
   const { width, height } = options;
-  const zoom = options.zoom_state || { active: false };
 
   let canvas;
   if (element.tagName === 'CANVAS') {
@@ -22,102 +30,108 @@ export function renderCanvas(element, definition, options) {
     }
   }
 
-  canvas.width = width;
-  canvas.height = height;
+  // Invalid input: report the first issue in place of the pattern
+  if (!validation.valid) {
+    if (width > 0 && height > 0) {
+      sizeCanvas(canvas, width, height, ratio);
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+      ctx.fillStyle = '#555555';
+      ctx.font = '14px sans-serif';
+      ctx.fillText(validation.issues[0].message, 12, 24);
+    }
+    return validation;
+  }
+
+  sizeCanvas(canvas, cssOptions.width, cssOptions.height, ratio);
   const ctx = canvas.getContext('2d');
   ctx.imageSmoothingEnabled = false;
   ctx.clearRect(0, 0, width, height);
 
-  // Validate inputs / Empty State
-  if (!threading || !threading.length || !threading[0].length) {
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, width, height);
-    ctx.fillStyle = '#555555';
-    ctx.font = '14px sans-serif';
-    ctx.fillText('No data', 12, 24);
+  if (displayMode.type === 'draft') {
+    drawDraftDiagram(ctx, draftDiagram(definition, { ...options, display_mode: displayMode }));
     return;
   }
 
-  const warpPalette = resolvePalette(warp_colors);
-  const weftPalette = resolvePalette(weft_colors);
+  const layout = viewLayout(definition, options.side, intersection_size, { width, height });
+  // The fabric under the turned and panned view: the thread at its top left corner
+  // and how far it is scrolled.
+  const frame = viewFrame(width, height, options.rotation, options.pan);
+  const warpStart = panStart(layout.warps, frame.x);
+  const weftStart = panStart(layout.wefts, frame.y);
 
+  // Sample procedural definitions over every cell drawn.
+  const warpCount = threadsCovering(layout.warps, warpStart.first, frame.width + warpStart.scroll);
+  const weftCount = threadsCovering(layout.wefts, weftStart.first, frame.height + weftStart.scroll);
+  const region = { x: warpStart.first, y: weftStart.first, warps: warpCount, wefts: weftCount, visibleWarps: layout.visibleWarps };
+  const view = definitionForView(definition, options.side, region);
+  const { threading } = view;
+  const colors = crossingColors(view);
+  const yarns = { warp: resolveYarns(view.warp_yarns), weft: resolveYarns(view.weft_yarns) };
+  const overlay = resolveOverlay(options.overlay, definition);
+  const floats = resolveFloats(options.overlay);
+  const floatMask = floats && viewFloatMask(definition, options.side, region, threading, floats.limit);
+
+  ctx.save();
+  ctx.transform(...frame.matrix);
   drawPattern(ctx, {
-    width,
-    height,
+    width: frame.width,
+    height: frame.height,
     threading,
-    warpPalette,
-    weftPalette,
-    intersectionSize: intersection_size,
+    colors,
+    warpLayout: layout.warps,
+    weftLayout: layout.wefts,
     displayMode,
-    offsetWarp: 0,
-    offsetWeft: 0,
+    offsetWarp: warpStart.first,
+    offsetWeft: weftStart.first,
+    scrollX: warpStart.scroll,
+    scrollY: weftStart.scroll,
+    yarns,
   });
-
-  if (zoom.active) {
-    ctx.save();
-    ctx.beginPath();
-    ctx.arc(zoom.center.x, zoom.center.y, zoom.radius, 0, Math.PI * 2);
-    ctx.clip();
-    // Fill background inside loop to avoid mixing with underlying pattern
-    ctx.fillStyle = zoom.backgroundColor || 'rgba(255,255,255,1)';
-    ctx.fillRect(zoom.center.x - zoom.radius, zoom.center.y - zoom.radius, zoom.radius * 2, zoom.radius * 2);
-
-    const scaledCell = Math.max(1, Math.round(displayMode.cellSize * zoom.factor));
-    const scaledMode = displayMode.type === 'interlacing'
-      ? {
-          ...displayMode,
-          cellSize: scaledCell,
-          thread_thickness: Math.max(1, Math.round((displayMode.thread_thickness ?? 6) * zoom.factor)),
-          border_size: Math.max(0, Math.round((displayMode.border_size ?? 1) * zoom.factor)),
-          cut_size: Math.max(0, Math.round((displayMode.cut_size ?? 1) * zoom.factor)),
-        }
-      : { ...displayMode, cellSize: scaledCell };
-
-    const startWarp = Math.floor((zoom.center.x - zoom.radius) / displayMode.cellSize);
-    const startWeft = Math.floor((zoom.center.y - zoom.radius) / displayMode.cellSize);
-
-    ctx.translate(zoom.center.x - zoom.radius, zoom.center.y - zoom.radius);
-    drawPattern(ctx, {
-      width: zoom.radius * 2,
-      height: zoom.radius * 2,
-      threading,
-      warpPalette,
-      weftPalette,
-      intersectionSize: scaledCell,
-      displayMode: scaledMode,
-      offsetWarp: startWarp,
-      offsetWeft: startWeft,
-    });
-    ctx.restore();
-
-    // Border
-    ctx.save();
-    ctx.beginPath();
-    ctx.arc(zoom.center.x, zoom.center.y, zoom.radius, 0, Math.PI * 2);
-    ctx.lineWidth = zoom.borderSize;
-    ctx.strokeStyle = zoom.borderColor;
-    ctx.stroke();
-    ctx.restore();
-  }
+  const overlayRegion = {
+    width: frame.width,
+    height: frame.height,
+    warpLayout: layout.warps,
+    weftLayout: layout.wefts,
+    offsetWarp: warpStart.first,
+    offsetWeft: weftStart.first,
+    scrollX: warpStart.scroll,
+    scrollY: weftStart.scroll,
+    scale: ratio,
+  };
+  drawOverlay(ctx, [...floatRects(floats, floatMask, overlayRegion), ...overlayRects(overlay, overlayRegion)]);
+  ctx.restore();
 }
 
-function drawPattern(ctx, params) {
+// Lays out threads from `offsetWarp` / `offsetWeft` at the origin, scrolled on by
+// `scrollX` / `scrollY` pixels, each as wide as its layout gives it. Shaded and
+// yarn-textured threads, and cells under a pixel, are drawn per pixel.
+export function drawPattern(ctx, params) {
   const {
     width,
     height,
     threading,
-    warpPalette,
-    weftPalette,
-    intersectionSize,
+    colors,
+    warpLayout,
+    weftLayout,
     displayMode,
     offsetWarp,
     offsetWeft,
+    scrollX = 0,
+    scrollY = 0,
   } = params;
   const threadingHeight = threading.length;
   const threadingWidth = threading[0].length;
 
-  const numWarps = Math.ceil(width / intersectionSize);
-  const numWefts = Math.ceil(height / intersectionSize);
+  if (mixesColors(displayMode)) {
+    drawMixedPattern(ctx, params);
+    return;
+  }
+  if (drawsPerPixel(displayMode, params.yarns)) {
+    drawThreadPattern(ctx, params);
+    return;
+  }
 
   if (displayMode.type === 'interlacing') {
     renderInterlacing({
@@ -125,19 +139,28 @@ function drawPattern(ctx, params) {
       width,
       height,
       threading,
-      warpPalette,
-      weftPalette,
-      intersectionSize,
+      colors,
+      warpLayout,
+      weftLayout,
       threadThickness: displayMode.thread_thickness ?? 6,
       borderSize: displayMode.border_size ?? 1,
       cutSize: displayMode.cut_size ?? 1,
       offsetWarp,
       offsetWeft,
+      scrollX,
+      scrollY,
     });
     return;
   }
 
+  const numWarps = threadsCovering(warpLayout, offsetWarp, width + scrollX);
+  const numWefts = threadsCovering(weftLayout, offsetWeft, height + scrollY);
+  const originX = warpLayout.start(offsetWarp) + scrollX;
+  const originY = weftLayout.start(offsetWeft) + scrollY;
+
   for (let j = 0; j < numWefts; j++) {
+    const y = pixelEdge(weftLayout.start(j + offsetWeft) - originY);
+    const cellHeight = pixelEdge(weftLayout.start(j + offsetWeft + 1) - originY) - y;
     for (let i = 0; i < numWarps; i++) {
       const threadY = wrapIndex(j + offsetWeft, threadingHeight);
       const threadX = wrapIndex(i + offsetWarp, threadingWidth);
@@ -145,64 +168,65 @@ function drawPattern(ctx, params) {
       const isWarpOnTop = threading[threadY][threadX];
       
       const color = isWarpOnTop
-        ? warpPalette[wrapIndex(i + offsetWarp, warpPalette.length)].css
-        : weftPalette[wrapIndex(j + offsetWeft, weftPalette.length)].css;
+        ? colors.warpAt(i + offsetWarp, j + offsetWeft).css
+        : colors.weftAt(i + offsetWarp, j + offsetWeft).css;
+      const x = pixelEdge(warpLayout.start(i + offsetWarp) - originX);
       ctx.fillStyle = color;
-      ctx.fillRect(
-        i * intersectionSize, 
-        j * intersectionSize, 
-        intersectionSize, 
-        intersectionSize
-      );
+      ctx.fillRect(x, y, pixelEdge(warpLayout.start(i + offsetWarp + 1) - originX) - x, cellHeight);
     }
   }
 }
 
-function renderInterlacing({ ctx, width, height, threading, warpPalette, weftPalette, intersectionSize, threadThickness, borderSize, cutSize, offsetWarp, offsetWeft }) {
+// Thread thickness scales with the thread's relative width, so thick yarns stay thick.
+function renderInterlacing({ ctx, width, height, threading, colors, warpLayout, weftLayout, threadThickness, borderSize, cutSize, offsetWarp, offsetWeft, scrollX, scrollY }) {
   const threadingHeight = threading.length;
   const threadingWidth = threading[0].length;
-  const numWarps = Math.ceil(width / intersectionSize);
-  const numWefts = Math.ceil(height / intersectionSize);
+  const numWarps = threadsCovering(warpLayout, offsetWarp, width + scrollX);
+  const numWefts = threadsCovering(weftLayout, offsetWeft, height + scrollY);
+  const originX = warpLayout.start(offsetWarp) + scrollX;
+  const originY = weftLayout.start(offsetWeft) + scrollY;
   const borderColor = '#111';
 
   for (let j = 0; j < numWefts; j++) {
+    const weft = j + offsetWeft;
+    const cellY = weftLayout.start(weft) - originY;
+    const cellHeight = weftLayout.size(weft);
+    const weftThickness = threadThickness * weftLayout.relative(weft);
     for (let i = 0; i < numWarps; i++) {
-      const cellX = i * intersectionSize;
-      const cellY = j * intersectionSize;
+      const warp = i + offsetWarp;
+      const cellX = warpLayout.start(warp) - originX;
+      const cellWidth = warpLayout.size(warp);
+      const warpThickness = threadThickness * warpLayout.relative(warp);
 
-      const threadY = wrapIndex(j + offsetWeft, threadingHeight);
-      const threadX = wrapIndex(i + offsetWarp, threadingWidth);
+      const threadY = wrapIndex(weft, threadingHeight);
+      const threadX = wrapIndex(warp, threadingWidth);
       const isWarpOnTop = threading[threadY][threadX];
 
-      const warpColor = warpPalette[wrapIndex(i + offsetWarp, warpPalette.length)].css;
-      const weftColor = weftPalette[wrapIndex(j + offsetWeft, weftPalette.length)].css;
+      const warpColor = colors.warpAt(warp, weft).css;
+      const weftColor = colors.weftAt(warp, weft).css;
 
       if (isWarpOnTop) {
-        const topOuter = threadThickness + borderSize * 2;
-        drawThread(ctx, cellX, cellY, intersectionSize, 'weft', weftColor, borderColor, threadThickness, borderSize, cutSize, false, topOuter);
-        drawThread(ctx, cellX, cellY, intersectionSize, 'warp', warpColor, borderColor, threadThickness, borderSize, 0, true, 0);
+        const topOuter = warpThickness + borderSize * 2;
+        drawThread(ctx, cellX, cellY, cellWidth, cellHeight, 'weft', weftColor, borderColor, weftThickness, borderSize, cutSize, false, topOuter);
+        drawThread(ctx, cellX, cellY, cellWidth, cellHeight, 'warp', warpColor, borderColor, warpThickness, borderSize, 0, true, 0);
       } else {
-        const topOuter = threadThickness + borderSize * 2;
-        drawThread(ctx, cellX, cellY, intersectionSize, 'warp', warpColor, borderColor, threadThickness, borderSize, cutSize, false, topOuter);
-        drawThread(ctx, cellX, cellY, intersectionSize, 'weft', weftColor, borderColor, threadThickness, borderSize, 0, true, 0);
+        const topOuter = weftThickness + borderSize * 2;
+        drawThread(ctx, cellX, cellY, cellWidth, cellHeight, 'warp', warpColor, borderColor, warpThickness, borderSize, cutSize, false, topOuter);
+        drawThread(ctx, cellX, cellY, cellWidth, cellHeight, 'weft', weftColor, borderColor, weftThickness, borderSize, 0, true, 0);
       }
     }
   }
 }
 
-function drawThread(ctx, cellX, cellY, cellSize, orientation, color, borderColor, threadThickness, borderSize, cutSize, isTop, topOuterSize) {
+function drawThread(ctx, cellX, cellY, cellWidth, cellHeight, orientation, color, borderColor, threadThickness, borderSize, cutSize, isTop, topOuterSize) {
   const isWarp = orientation === 'warp';
+  const length = isWarp ? cellHeight : cellWidth;
   const topSpan = topOuterSize ?? 0;
-  const gap = isTop ? 0 : Math.max(0, Math.min(cellSize, topSpan + 2 * cutSize));
+  const gap = isTop ? 0 : Math.max(0, Math.min(length, topSpan + 2 * cutSize));
+  const outerThickness = threadThickness + 2 * borderSize;
 
-  const borderWidthFull = isWarp ? (threadThickness + borderSize * 2) : cellSize;
-  const borderHeightFull = isWarp ? cellSize : (threadThickness + borderSize * 2);
-  const innerWidthFull = isWarp ? threadThickness : cellSize;
-  const innerHeightFull = isWarp ? cellSize : threadThickness;
-  const borderXFull = isWarp ? cellX + (cellSize - borderWidthFull) / 2 : cellX;
-  const borderYFull = isWarp ? cellY : cellY + (cellSize - borderHeightFull) / 2;
-  const innerXFull = isWarp ? cellX + (cellSize - innerWidthFull) / 2 : cellX;
-  const innerYFull = isWarp ? cellY : cellY + (cellSize - innerHeightFull) / 2;
+  const innerXFull = cellX + (cellWidth - threadThickness) / 2;
+  const innerYFull = cellY + (cellHeight - threadThickness) / 2;
 
   const drawSegment = (xStart, yStart, segWidth, segHeight) => {
     if (segWidth <= 0 || segHeight <= 0) return;
@@ -229,9 +253,9 @@ function drawThread(ctx, cellX, cellY, cellSize, orientation, color, borderColor
   if (gap <= 0) {
     // Single continuous thread
     if (isWarp) {
-      drawSegment(innerXFull - borderSize, cellY, threadThickness + 2 * borderSize, cellSize);
+      drawSegment(innerXFull - borderSize, cellY, outerThickness, cellHeight);
     } else {
-      drawSegment(cellX, innerYFull - borderSize, cellSize, threadThickness + 2 * borderSize);
+      drawSegment(cellX, innerYFull - borderSize, cellWidth, outerThickness);
     }
     return;
   }
@@ -239,13 +263,13 @@ function drawThread(ctx, cellX, cellY, cellSize, orientation, color, borderColor
   // Under-thread split into two segments leaving a gap that accounts for the top thread span plus cutSize on each side.
   if (isWarp) {
     // Vertical thread split horizontally into two segments
-    const segHeight = Math.max(0, (cellSize - gap) / 2);
-    drawSegment(innerXFull - borderSize, cellY, threadThickness + 2 * borderSize, segHeight);
-    drawSegment(innerXFull - borderSize, cellY + segHeight + gap, threadThickness + 2 * borderSize, segHeight);
+    const segHeight = Math.max(0, (cellHeight - gap) / 2);
+    drawSegment(innerXFull - borderSize, cellY, outerThickness, segHeight);
+    drawSegment(innerXFull - borderSize, cellY + segHeight + gap, outerThickness, segHeight);
   } else {
     // Horizontal thread split vertically into two segments
-    const segWidth = Math.max(0, (cellSize - gap) / 2);
-    drawSegment(cellX, innerYFull - borderSize, segWidth, threadThickness + 2 * borderSize);
-    drawSegment(cellX + segWidth + gap, innerYFull - borderSize, segWidth, threadThickness + 2 * borderSize);
+    const segWidth = Math.max(0, (cellWidth - gap) / 2);
+    drawSegment(cellX, innerYFull - borderSize, segWidth, outerThickness);
+    drawSegment(cellX + segWidth + gap, innerYFull - borderSize, segWidth, outerThickness);
   }
 }
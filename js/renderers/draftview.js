@@ -0,0 +1,135 @@
+/**
+ * Draft display mode: the drawdown as weavers read it, with the threading above it,
+ * the tie-up in the top corner, the treadling at the side and color chips along the
+ * outer edges, every part ruled with grid lines.
+ *
+ * The diagram is laid out once as a list of pixel-aligned rectangles that the canvas
+ * and SVG backends draw as they are. A definition given as a loom draft keeps its own
+ * threading, tie-up and treadling; a plain drawdown is decomposed into the smallest
+ * draft that weaves it (see `decomposeDrawdown`).
+ */
+
+import { createDraft, decomposeDrawdown } from '../draft.js';
+import { crossingColors, definitionForView, pixelEdge, threadsCovering, viewLayout } from './utils.js';
+
+const PAPER = '#ffffff';
+
+const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
+
+/**
+ * Lay out the draft diagram of a definition in a `width` x `height` image.
+ *
+ * Columns run, from the left: the drawdown, a one-cell gap, one column per treadle
+ * and, after another gap, the weft color chips. Rows run, from the top: the warp color
+ * chips, a gap, one row per shaft (shaft 0 nearest the drawdown), a gap and the
+ * drawdown. Warp and weft widths apply to the drawdown and to the borders along it.
+ *
+ * @param {Object} definition - The weave definition (a drawdown).
+ * @param {Object} options - Renderer options with a draft `display_mode` (`cellSize`,
+ *   and optionally `grid_color` and `mark_color`) and `draft`, the loom draft the
+ *   definition was compiled from, if any. The back side always uses a derived draft.
+ * @returns {{ x: number, y: number, width: number, height: number, color: string }[]}
+ *   Rectangles in drawing order.
+ */
+export function draftDiagram(definition, options) {
+  const displayMode = options.display_mode || options.displayMode;
+  const cell = displayMode.cellSize || 1;
+  const gridColor = displayMode.grid_color ?? '#999999';
+  const markColor = displayMode.mark_color ?? '#222222';
+  const { width, height, side } = options;
+
+  // Sample the drawdown over the whole image; the borders only take cells from it.
+  const fullLayout = viewLayout(definition, side, cell, { width, height });
+  const view = definitionForView(definition, side, { warps: fullLayout.visibleWarps, wefts: fullLayout.visibleWefts });
+  const draft = options.draft && side !== 'back'
+    ? createDraft(options.draft)
+    : decomposeDrawdown({ threading: view.threading }).draft;
+  const colors = crossingColors(view);
+
+  const drawdownWidth = Math.max(0, width - (draft.treadles + 3) * cell);
+  const drawdownTop = (draft.shafts + 3) * cell;
+  const drawdownHeight = Math.max(0, height - drawdownTop);
+  const warps = fullLayout.warps;
+  const wefts = fullLayout.wefts;
+  const warpCount = drawdownWidth > 0 ? threadsCovering(warps, 0, drawdownWidth) : 0;
+  const weftCount = drawdownHeight > 0 ? threadsCovering(wefts, 0, drawdownHeight) : 0;
+  const treadlingLeft = drawdownWidth + cell;
+  const chipLeft = treadlingLeft + (draft.treadles + 1) * cell;
+  const threadingTop = 2 * cell;
+
+  const rects = [];
+  const rect = (x0, y0, x1, y1, color) => {
+    const x = pixelEdge(x0);
+    const y = pixelEdge(y0);
+    const w = pixelEdge(x1) - x;
+    const h = pixelEdge(y1) - y;
+    if (w > 0 && h > 0) rects.push({ x, y, width: w, height: h, color });
+  };
+  // Column i spans [warpStart(i), warpEnd(i)), clipped to the drawdown.
+  const warpStart = (i) => warps.start(i);
+  const warpEnd = (i) => Math.min(warps.start(i + 1), drawdownWidth);
+  const weftStart = (j) => drawdownTop + wefts.start(j);
+  const weftEnd = (j) => Math.min(drawdownTop + wefts.start(j + 1), height);
+  const shaftTop = (s) => threadingTop + (draft.shafts - 1 - s) * cell;
+  const treadleLeft = (t) => treadlingLeft + t * cell;
+
+  // Paper under the threading, tie-up and treadling
+  rect(0, threadingTop, drawdownWidth, threadingTop + draft.shafts * cell, PAPER);
+  rect(treadlingLeft, threadingTop, treadlingLeft + draft.treadles * cell, threadingTop + draft.shafts * cell, PAPER);
+  rect(treadlingLeft, drawdownTop, treadlingLeft + draft.treadles * cell, drawdownTop + drawdownHeight, PAPER);
+
+  for (let i = 0; i < warpCount; i++) {
+    rect(warpStart(i), 0, warpEnd(i), cell, colors.warpAt(i, 0).css);
+    for (const s of draft.threading[wrapIndex(i, draft.threading.length)]) {
+      rect(warpStart(i), shaftTop(s), warpEnd(i), shaftTop(s) + cell, markColor);
+    }
+  }
+  for (let s = 0; s < draft.shafts; s++) {
+    for (let t = 0; t < draft.treadles; t++) {
+      if (draft.tieup[s][t]) rect(treadleLeft(t), shaftTop(s), treadleLeft(t) + cell, shaftTop(s) + cell, markColor);
+    }
+  }
+  for (let j = 0; j < weftCount; j++) {
+    rect(chipLeft, weftStart(j), chipLeft + cell, weftEnd(j), colors.weftAt(0, j).css);
+    for (const t of draft.treadling[wrapIndex(j, draft.treadling.length)]) {
+      rect(treadleLeft(t), weftStart(j), treadleLeft(t) + cell, weftEnd(j), markColor);
+    }
+    const row = view.threading[wrapIndex(j, view.threading.length)];
+    for (let i = 0; i < warpCount; i++) {
+      const color = row[wrapIndex(i, row.length)] ? colors.warpAt(i, j) : colors.weftAt(i, j);
+      rect(warpStart(i), weftStart(j), warpEnd(i), weftEnd(j), color.css);
+    }
+  }
+
+  // Grid lines: one pixel on every cell edge of each part
+  const columnEdges = Array.from({ length: warpCount + 1 }, (_, i) => Math.min(warps.start(i), drawdownWidth));
+  const rowEdges = Array.from({ length: weftCount + 1 }, (_, j) => Math.min(drawdownTop + wefts.start(j), height));
+  const shaftEdges = Array.from({ length: draft.shafts + 1 }, (_, s) => threadingTop + s * cell);
+  const treadleEdges = Array.from({ length: draft.treadles + 1 }, (_, t) => treadleLeft(t));
+  const chipEdges = [chipLeft, chipLeft + cell];
+  const grid = (xs, ys) => {
+    xs.forEach((x) => rect(x, ys[0], x + 1, ys[ys.length - 1] + 1, gridColor));
+    ys.forEach((y) => rect(xs[0], y, xs[xs.length - 1] + 1, y + 1, gridColor));
+  };
+  if (warpCount) {
+    grid(columnEdges, [0, cell]);
+    grid(columnEdges, shaftEdges);
+  }
+  if (weftCount) {
+    grid(chipEdges, rowEdges);
+    grid(treadleEdges, rowEdges);
+  }
+  if (warpCount && weftCount) grid(columnEdges, rowEdges);
+  grid(treadleEdges, shaftEdges);
+  return rects;
+}
+
+/**
+ * Draw a diagram from `draftDiagram` into a 2D context.
+ */
+export function drawDraftDiagram(ctx, rects) {
+  for (const { x, y, width, height, color } of rects) {
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y, width, height);
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Compositing for multi-layer weaves (double cloth, supplementary warp or weft).
+ *
+ * Each layer is a definition of its own. A layer may omit `warp_colors` (a
+ * supplementary weft layered over the ground warp) or `weft_colors` (a supplementary
+ * warp): wherever its crossing would show the missing thread, the layer is
+ * transparent and the next layer in the stacking order shows through. Stacking is an
+ * array of layer indices from the face down, or a periodic matrix of such arrays for
+ * cloths whose layers exchange faces.
+ */
+
+const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
+
+/**
+ * Resolve the visible crossing in every cell of a region. The result has the shape
+ * of a single-layer definition: `threading[j][i]` tells whether the top thread is a
+ * warp, and `warp_cells` / `weft_cells` hold the colors of the warp and weft drawn at
+ * each crossing (the top thread and the one directly beneath it). Cells are stored so
+ * that `threading[wrapIndex(j, height)][wrapIndex(i, width)]` is the crossing at warp
+ * `i` and pick `j`, as the renderers index periodic definitions.
+ *
+ * @param {Object[]} layers - Array-valued layers, already turned to the side being drawn.
+ * @param {number[]|number[][][]} [stacking] - Face-down layer order, or a matrix of orders.
+ * @param {{ x?: number, y?: number, warps: number, wefts: number }} region
+ * @returns {{ threading: boolean[][], warp_cells: string[][], weft_cells: string[][] }}
+ */
+export function compositeLayers(layers, stacking, region) {
+  const warpAxis = windowAxis(region.x ?? 0, region.warps);
+  const weftAxis = windowAxis(region.y ?? 0, region.wefts);
+  const defaultOrder = layers.map((_, idx) => idx);
+  const threading = [];
+  const warp_cells = [];
+  const weft_cells = [];
+
+  for (const j of weftAxis) {
+    const topRow = [];
+    const warpRow = [];
+    const weftRow = [];
+    for (const i of warpAxis) {
+      const crossing = crossingAt(layers, stackingAt(stacking, i, j) || defaultOrder, i, j);
+      topRow.push(crossing.warpOnTop);
+      warpRow.push(crossing.warp);
+      weftRow.push(crossing.weft);
+    }
+    threading.push(topRow);
+    warp_cells.push(warpRow);
+    weft_cells.push(weftRow);
+  }
+  return { threading, warp_cells, weft_cells };
+}
+
+/**
+ * The stacking order as seen from the back: the layers come in reverse order and a
+ * stacking matrix is mirrored in the warp direction like the threading.
+ */
+export function stackingForSide(stacking, layerCount, side = 'front') {
+  if (side !== 'back') return stacking;
+  if (!stacking) return Array.from({ length: layerCount }, (_, idx) => layerCount - 1 - idx);
+  if (!isStackingMatrix(stacking)) return [...stacking].reverse();
+  return stacking.map((row) => row.map((order) => [...order].reverse()).reverse());
+}
+
+function isStackingMatrix(stacking) {
+  return Array.isArray(stacking[0]) && Array.isArray(stacking[0][0]);
+}
+
+function stackingAt(stacking, i, j) {
+  if (!stacking) return null;
+  if (!isStackingMatrix(stacking)) return stacking;
+  const row = stacking[wrapIndex(j, stacking.length)];
+  return row[wrapIndex(i, row.length)];
+}
+
+// The first layer (from the face) whose own thread shows at this crossing is on
+// top; the thread beneath it is the crossing thread of that layer, or of the
+// nearest layer below that has one.
+function crossingAt(layers, order, i, j) {
+  const threadColor = (layer, isWarp) => {
+    const colors = isWarp ? layer.warp_colors : layer.weft_colors;
+    return colors ? colors[wrapIndex(isWarp ? i : j, colors.length)] : undefined;
+  };
+  const warpOnTopIn = (layer) => {
+    const row = layer.threading[wrapIndex(j, layer.threading.length)];
+    return row[wrapIndex(i, row.length)];
+  };
+
+  let topDepth = order.findIndex((idx) => threadColor(layers[idx], warpOnTopIn(layers[idx])) !== undefined);
+  let warpOnTop;
+  if (topDepth < 0) {
+    // Nothing opaque at this crossing: show whichever thread the bottom layer has.
+    topDepth = order.length - 1;
+    warpOnTop = layers[order[topDepth]].warp_colors !== undefined;
+  } else {
+    warpOnTop = warpOnTopIn(layers[order[topDepth]]);
+  }
+  const top = threadColor(layers[order[topDepth]], warpOnTop);
+
+  let under;
+  for (let depth = topDepth; depth < order.length && under === undefined; depth++) {
+    under = threadColor(layers[order[depth]], !warpOnTop);
+  }
+  if (under === undefined) under = top;
+  return warpOnTop
+    ? { warpOnTop, warp: top, weft: under }
+    : { warpOnTop, warp: under, weft: top };
+}
+
+// Thread index stored in each slot of the window [start, start + count), rotated so
+// slot k holds the thread congruent to k.
+function windowAxis(start, count) {
+  const length = Math.max(1, Math.ceil(count));
+  return Array.from({ length }, (_, k) => start + wrapIndex(k - start, length));
+}
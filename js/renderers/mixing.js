@@ -0,0 +1,127 @@
+/**
+ * Optical color mixing for cells smaller than a pixel. In the simple display mode a
+ * cell size under one pixel draws each pixel as the average of the crossings it
+ * covers, weighted by the area of each inside the pixel, in linear light: the way
+ * fine threads blend into one color seen from a distance.
+ *
+ * `drawMixedPattern` mixes with `pixelCoverage` and `mixColors` on canvas and SVG.
+ * The `mixedColor` functions of the WebGL and WebGPU shaders walk the threads under
+ * a pixel the same way, reading each one's edges with `threadSpan`, stop at the same
+ * `MIX_LIMIT`, and use the sRGB curves of `toLinear` and `fromLinear` below.
+ */
+
+/**
+ * At most this many threads of each system are mixed into a pixel, so a cell under
+ * 1/16 of a pixel averages the first ones it covers.
+ */
+export const MIX_LIMIT = 16;
+
+/**
+ * Whether a display mode mixes colors per pixel: simple cells under one pixel.
+ */
+export function mixesColors(displayMode) {
+  return (displayMode.type || 'simple') === 'simple' && displayMode.cellSize < 1;
+}
+
+/**
+ * The threads each pixel along one axis covers, and how much of the pixel each covers.
+ *
+ * @param {Object} layout - A `threadLayout`.
+ * @param {number} origin - Position of the first pixel's leading edge in the layout.
+ * @param {number} count - Number of pixels.
+ * @returns {{ index: number, weight: number }[][]} Per pixel, weights summing to 1
+ *   unless `MIX_LIMIT` cut the pixel short.
+ */
+export function pixelCoverage(layout, origin, count) {
+  return Array.from({ length: count }, (_, p) => {
+    const from = origin + p;
+    const to = from + 1;
+    const covered = [];
+    for (let index = layout.indexAt(from); covered.length < MIX_LIMIT; index++) {
+      const start = Math.max(from, layout.start(index));
+      const end = Math.min(to, layout.start(index + 1));
+      if (end > start) covered.push({ index, weight: end - start });
+      if (end >= to) break;
+    }
+    return covered;
+  });
+}
+
+/**
+ * Average sRGB colors in linear light.
+ *
+ * @param {{ color: number[], weight: number }[]} samples - Colors as `[r, g, b]` from 0 to 1.
+ * @returns {number[]} The mixed `[r, g, b]`, in sRGB from 0 to 1.
+ */
+export function mixColors(samples) {
+  const sum = [0, 0, 0];
+  let total = 0;
+  for (const { color, weight } of samples) {
+    for (let c = 0; c < 3; c++) sum[c] += toLinear(color[c]) * weight;
+    total += weight;
+  }
+  return sum.map((value) => fromLinear(total > 0 ? value / total : 0));
+}
+
+/**
+ * Draw a region of sub-pixel cells with its origin at thread `offsetWarp` /
+ * `offsetWeft`, `scrollX` / `scrollY` pixels into it, as the canvas renderers'
+ * `drawPattern` does for larger cells. Pixels are mixed into a buffer first, so the
+ * context's transform and clip apply as for any other drawing.
+ */
+export function drawMixedPattern(ctx, params) {
+  const { width, height, threading, colors, warpLayout, weftLayout, offsetWarp, offsetWeft, scrollX = 0, scrollY = 0 } = params;
+  const pixelsWide = Math.ceil(width);
+  const pixelsHigh = Math.ceil(height);
+  const columns = pixelCoverage(warpLayout, warpLayout.start(offsetWarp) + scrollX, pixelsWide);
+  const rows = pixelCoverage(weftLayout, weftLayout.start(offsetWeft) + scrollY, pixelsHigh);
+  const threadingHeight = threading.length;
+  const threadingWidth = threading[0].length;
+
+  // Resolved colors are shared objects, so each is taken to linear light once.
+  const linear = new Map();
+  const linearOf = (color) => {
+    if (!linear.has(color)) linear.set(color, color.norm.slice(0, 3).map(toLinear));
+    return linear.get(color);
+  };
+
+  const image = ctx.createImageData(pixelsWide, pixelsHigh);
+  const { data } = image;
+  rows.forEach((row, y) => {
+    columns.forEach((column, x) => {
+      const sum = [0, 0, 0];
+      let total = 0;
+      for (const weft of row) {
+        const threadRow = threading[wrapIndex(weft.index, threadingHeight)];
+        for (const warp of column) {
+          const color = linearOf(threadRow[wrapIndex(warp.index, threadingWidth)]
+            ? colors.warpAt(warp.index, weft.index)
+            : colors.weftAt(warp.index, weft.index));
+          const weight = warp.weight * weft.weight;
+          for (let c = 0; c < 3; c++) sum[c] += color[c] * weight;
+          total += weight;
+        }
+      }
+      const offset = (y * pixelsWide + x) * 4;
+      for (let c = 0; c < 3; c++) data[offset + c] = Math.round(fromLinear(sum[c] / total) * 255);
+      data[offset + 3] = 255;
+    });
+  });
+
+  const buffer = document.createElement('canvas');
+  buffer.width = pixelsWide;
+  buffer.height = pixelsHigh;
+  buffer.getContext('2d').putImageData(image, 0, 0);
+  ctx.drawImage(buffer, 0, 0);
+}
+
+// The sRGB transfer function and its inverse, on values from 0 to 1.
+function toLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+function fromLinear(c) {
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055;
+}
+
+const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
@@ -0,0 +1,318 @@
+/**
+ * Grid and repeat overlay drawn over the pattern: cell grid lines, major lines every
+ * N threads, the boundaries of the threading repeat and highlighted long floats.
+ * `options.overlay` is
+ *
+ *   { grid: true | { color, width }, major: { every, color, width }, repeat: true | { color, width },
+ *     floats: true | { limit, style: 'tint' | 'outline', warp_color, weft_color, width } }
+ *
+ * with every part optional. Each line is drawn along the leading edge of its thread,
+ * inside the thread's cell; floats are drawn first, under the lines. The canvas and SVG
+ * backends draw `floatRects` and `overlayRects`; the WebGL and WebGPU shaders test each
+ * pixel against the same cells and lines, in the same order.
+ */
+
+import { cyclicRuns } from '../analysis.js';
+import { definitionForView, pixelEdge, resolveColor, threadsCovering } from './utils.js';
+
+const DEFAULTS = {
+  grid: { color: 'rgba(0, 0, 0, 0.15)', width: 1 },
+  major: { color: 'rgba(0, 0, 0, 0.45)', width: 1, every: 8 },
+  repeat: { color: 'rgba(220, 20, 60, 0.9)', width: 2 },
+  floats: { limit: 4, style: 'tint', warp_color: 'rgba(255, 0, 140, 0.55)', weft_color: 'rgba(0, 140, 255, 0.55)', width: 2 },
+};
+
+/** Flags of `longFloatMask`: the cell is part of a long warp, or weft, float. */
+export const FLOAT_WARP = 1;
+export const FLOAT_WEFT = 2;
+
+const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
+
+/**
+ * Resolve `options.overlay` against a definition into its three kinds of line, in
+ * drawing order: grid, major, repeat. Each is null when not drawn, or
+ * `{ color: { norm, css }, width, warps, wefts }` with a line on every thread whose
+ * index is a multiple of `warps` (or `wefts`); 0 draws none along that axis.
+ *
+ * @returns {(Object|null)[]} Three entries, or all null without an overlay.
+ */
+export function resolveOverlay(overlay, definition) {
+  if (!overlay) return [null, null, null];
+  const part = (key) => overlay[key] && { ...DEFAULTS[key], ...(overlay[key] === true ? {} : overlay[key]) };
+  const line = (spec, warps, wefts) => spec && {
+    color: resolveColor(spec.color),
+    width: spec.width,
+    warps,
+    wefts,
+  };
+  const grid = part('grid');
+  const major = part('major');
+  const repeat = part('repeat');
+  const size = repeat && repeatSize(definition);
+  return [
+    line(grid, 1, 1),
+    line(major, major?.every, major?.every),
+    size && (size.warps || size.wefts) ? line(repeat, size.warps, size.wefts) : null,
+  ];
+}
+
+/**
+ * The threading repeat of a definition: `threading[0].length` warps by
+ * `threading.length` picks, the declared `period` of function-valued threading (0
+ * along an axis without one), or for layers the least common multiple of theirs.
+ *
+ * @returns {{ warps: number, wefts: number }}
+ */
+export function repeatSize(definition) {
+  const sources = definition.layers ?? [definition];
+  return sources.reduce((size, { threading }) => {
+    if (typeof threading === 'function') {
+      return {
+        warps: lcm(size.warps, definition.period?.warps ?? 0),
+        wefts: lcm(size.wefts, definition.period?.wefts ?? 0),
+      };
+    }
+    return { warps: lcm(size.warps, threading[0].length), wefts: lcm(size.wefts, threading.length) };
+  }, { warps: 1, wefts: 1 });
+}
+
+/**
+ * Resolve the `floats` part of `options.overlay`: null when not drawn, or
+ * `{ limit, outline, width, warp, weft }` with resolved warp and weft colors.
+ */
+export function resolveFloats(overlay) {
+  if (!overlay?.floats) return null;
+  const spec = { ...DEFAULTS.floats, ...(overlay.floats === true ? {} : overlay.floats) };
+  return {
+    limit: spec.limit,
+    outline: spec.style === 'outline',
+    width: spec.width,
+    warp: resolveColor(spec.warp_color),
+    weft: resolveColor(spec.weft_color),
+  };
+}
+
+/**
+ * Mark the cells of a threading repeat that belong to floats longer than `limit`:
+ * `FLOAT_WARP` where a warp stays on top for more than `limit` picks, `FLOAT_WEFT`
+ * where a pick stays on top across more than `limit` warps. Runs wrap around the
+ * repeat, as in `longestFloats`. The renderers use `viewFloatMask`, which also holds
+ * for views that are not a repeat.
+ *
+ * @param {boolean[][]} threading
+ * @param {number} limit
+ * @returns {number[][]} Flags indexed like `threading`.
+ */
+export function longFloatMask(threading, limit) {
+  const height = threading.length;
+  const width = height ? threading[0].length : 0;
+  const mask = threading.map((row) => row.map(() => 0));
+  for (let i = 0; i < width; i++) {
+    const column = threading.map((row) => row[i]);
+    for (const run of cyclicRuns(column, true)) {
+      if (run.length <= limit) continue;
+      for (let k = 0; k < Math.min(run.length, height); k++) mask[(run.start + k) % height][i] |= FLOAT_WARP;
+    }
+  }
+  for (let j = 0; j < height; j++) {
+    for (const run of cyclicRuns(threading[j], false)) {
+      if (run.length <= limit) continue;
+      for (let k = 0; k < Math.min(run.length, width); k++) mask[j][(run.start + k) % width] |= FLOAT_WEFT;
+    }
+  }
+  return mask;
+}
+
+/**
+ * `longFloatMask` for the threading a renderer draws, indexed like it. A view sampled
+ * from a procedural or layered definition holds the threads of the region drawn
+ * rather than a repeat, so scanning it around would join floats across the region's
+ * edges. Each cell's float is measured in the fabric instead, sampled over the region
+ * widened by `limit` threads each way: enough of any float through a drawn cell to
+ * tell whether it is long.
+ *
+ * @param {Object} definition - The weave definition.
+ * @param {string} side
+ * @param {Object} region - The region `threading` was sampled for by `definitionForView`.
+ * @param {boolean[][]} threading - The view's threading.
+ * @param {number} limit
+ * @returns {number[][]} Flags indexed like `threading`.
+ */
+export function viewFloatMask(definition, side, region, threading, limit) {
+  const x = region.x ?? 0;
+  const y = region.y ?? 0;
+  const fabric = definitionForView(definition, side, {
+    ...region,
+    x: x - limit,
+    y: y - limit,
+    warps: region.warps + 2 * limit,
+    wefts: region.wefts + 2 * limit,
+  }).threading;
+  const warpOnTop = (i, j) => {
+    const row = fabric[wrapIndex(j, fabric.length)];
+    return row[wrapIndex(i, row.length)];
+  };
+  // Length of the float through (i, j) along (di, dj), counted to `limit` past it each way
+  const floatThrough = (i, j, di, dj) => {
+    const top = warpOnTop(i, j);
+    let length = 1;
+    for (const sign of [-1, 1]) {
+      for (let k = 1; k <= limit && warpOnTop(i + sign * k * di, j + sign * k * dj) === top; k++) length++;
+    }
+    return length;
+  };
+  const height = threading.length;
+  return threading.map((row, slotY) => row.map((_, slotX) => {
+    // The thread drawn from this slot, as the renderers look it up with wrapIndex
+    const i = x + wrapIndex(slotX - x, row.length);
+    const j = y + wrapIndex(slotY - y, height);
+    if (warpOnTop(i, j)) return floatThrough(i, j, 0, 1) > limit ? FLOAT_WARP : 0;
+    return floatThrough(i, j, 1, 0) > limit ? FLOAT_WEFT : 0;
+  }));
+}
+
+/**
+ * Rectangles highlighting the long floats of `mask` in a region laid out like
+ * `overlayRects`. A tint fills each cell of the float; an outline rules the float's
+ * sides along every cell and closes it at its two ends. The rectangles never overlap,
+ * so translucent colors blend once, as in the shaders.
+ *
+ * @returns {{ x: number, y: number, width: number, height: number, color: string }[]}
+ */
+export function floatRects(floats, mask, { width, height, warpLayout, weftLayout, offsetWarp = 0, offsetWeft = 0, scrollX = 0, scrollY = 0, scale = 1 }) {
+  if (!floats) return [];
+  const warpCount = threadsCovering(warpLayout, offsetWarp, width + scrollX);
+  const weftCount = threadsCovering(weftLayout, offsetWeft, height + scrollY);
+  const originX = warpLayout.start(offsetWarp) + scrollX;
+  const originY = weftLayout.start(offsetWeft) + scrollY;
+  const lineWidth = scaledLineWidth(floats.width, scale);
+  const flagAt = (i, j) => {
+    const row = mask[wrapIndex(j, mask.length)];
+    return row[wrapIndex(i, row.length)];
+  };
+  const rects = [];
+  for (let j = offsetWeft; j < offsetWeft + weftCount; j++) {
+    const y0 = pixelEdge(weftLayout.start(j) - originY);
+    const y1 = pixelEdge(weftLayout.start(j + 1) - originY);
+    for (let i = offsetWarp; i < offsetWarp + warpCount; i++) {
+      const flag = flagAt(i, j);
+      if (!flag) continue;
+      const color = flag & FLOAT_WARP ? floats.warp.css : floats.weft.css;
+      const x0 = pixelEdge(warpLayout.start(i) - originX);
+      const x1 = pixelEdge(warpLayout.start(i + 1) - originX);
+      if (!floats.outline) {
+        pushClipped(rects, x0, y0, x1, y1, color);
+        continue;
+      }
+      // A warp float's sides run down the cell and it ends where the pick above or
+      // below crosses it; a weft float the other way round.
+      const left = flag & FLOAT_WEFT ? !(flagAt(i - 1, j) & FLOAT_WEFT) : true;
+      const right = flag & FLOAT_WEFT ? !(flagAt(i + 1, j) & FLOAT_WEFT) : true;
+      const top = flag & FLOAT_WARP ? !(flagAt(i, j - 1) & FLOAT_WARP) : true;
+      const bottom = flag & FLOAT_WARP ? !(flagAt(i, j + 1) & FLOAT_WARP) : true;
+      const leftEnd = left ? Math.min(x1, x0 + lineWidth) : x0;
+      const rightStart = right ? Math.max(leftEnd, x1 - lineWidth) : x1;
+      const topEnd = top ? Math.min(y1, y0 + lineWidth) : y0;
+      const bottomStart = bottom ? Math.max(topEnd, y1 - lineWidth) : y1;
+      const edges = [
+        [x0, y0, leftEnd, y1],
+        [rightStart, y0, x1, y1],
+        [leftEnd, y0, rightStart, topEnd],
+        [leftEnd, bottomStart, rightStart, y1],
+      ];
+      for (const [ex0, ey0, ex1, ey1] of edges) pushClipped(rects, ex0, ey0, ex1, ey1, color);
+    }
+  }
+  return rects;
+}
+
+/**
+ * Rectangles for the overlay lines of a region laid out like `drawPattern`: thread
+ * `offsetWarp` / `offsetWeft` at the origin, scrolled on by `scrollX` / `scrollY`
+ * pixels. Line widths are multiplied by `scale`, as in the zoom loop.
+ *
+ * @returns {{ x: number, y: number, width: number, height: number, color: string }[]}
+ */
+export function overlayRects(lines, { width, height, warpLayout, weftLayout, offsetWarp = 0, offsetWeft = 0, scrollX = 0, scrollY = 0, scale = 1 }) {
+  const warpCount = threadsCovering(warpLayout, offsetWarp, width + scrollX);
+  const weftCount = threadsCovering(weftLayout, offsetWeft, height + scrollY);
+  const originX = warpLayout.start(offsetWarp) + scrollX;
+  const originY = weftLayout.start(offsetWeft) + scrollY;
+  const rects = [];
+  for (const line of lines) {
+    if (!line) continue;
+    const lineWidth = scaledLineWidth(line.width, scale);
+    for (let i = 0; line.warps && i < warpCount; i++) {
+      const warp = offsetWarp + i;
+      if (wrapIndex(warp, line.warps)) continue;
+      const x = pixelEdge(warpLayout.start(warp) - originX);
+      const cellWidth = pixelEdge(warpLayout.start(warp + 1) - originX) - x;
+      pushClipped(rects, x, 0, x + Math.min(lineWidth, cellWidth), Math.ceil(height), line.color.css);
+    }
+    for (let j = 0; line.wefts && j < weftCount; j++) {
+      const weft = offsetWeft + j;
+      if (wrapIndex(weft, line.wefts)) continue;
+      const y = pixelEdge(weftLayout.start(weft) - originY);
+      const cellHeight = pixelEdge(weftLayout.start(weft + 1) - originY) - y;
+      pushClipped(rects, 0, y, Math.ceil(width), y + Math.min(lineWidth, cellHeight), line.color.css);
+    }
+  }
+  return rects;
+}
+
+/**
+ * Line width in whole pixels, at least one, after scaling.
+ */
+export function scaledLineWidth(width, scale = 1) {
+  return Math.max(1, Math.round(width * scale));
+}
+
+/**
+ * Fill overlay rectangles into a 2D context.
+ */
+export function drawOverlay(ctx, rects) {
+  for (const { x, y, width, height, color } of rects) {
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y, width, height);
+  }
+}
+
+/**
+ * The resolved lines as the GPU backends take them: an RGBA color per kind (alpha 0
+ * when not drawn) and `[width, warps, wefts]`, the width scaled to device pixels.
+ */
+export function overlayUniforms(lines, scale = 1) {
+  return {
+    colors: lines.map((line) => (line ? line.color.norm : [0, 0, 0, 0])),
+    params: lines.map((line) => (line ? [scaledLineWidth(line.width, scale), line.warps, line.wefts] : [0, 0, 0])),
+  };
+}
+
+/**
+ * The resolved floats as the GPU backends take them: warp and weft RGBA (alpha 0 when
+ * not drawn) and `[outline, width]`, the width scaled to device pixels.
+ */
+export function floatUniforms(floats, scale = 1) {
+  return {
+    colors: floats ? [floats.warp.norm, floats.weft.norm] : [[0, 0, 0, 0], [0, 0, 0, 0]],
+    params: floats ? [floats.outline ? 1 : 0, scaledLineWidth(floats.width, scale)] : [0, 0],
+  };
+}
+
+// The part of a rectangle from (x0, y0) to (x1, y1) inside the region, if any.
+function pushClipped(rects, x0, y0, x1, y1, color) {
+  const x = Math.max(0, x0);
+  const y = Math.max(0, y0);
+  if (x1 > x && y1 > y) rects.push({ x, y, width: x1 - x, height: y1 - y, color });
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+// 0 stands for "no repeat" and absorbs everything.
+function lcm(a, b) {
+  return a && b ? (a / gcd(a, b)) * b : 0;
+}
+
@@ -0,0 +1,171 @@
+/**
+ * Shaded display mode: threads are lit as cylinders that arch over each crossing and
+ * dip under the next, and the top thread casts a soft shadow on the one beneath.
+ *
+ * The canvas backends (and the SVG fallback) shade every pixel with `shadeCrossing`;
+ * the WebGL and WebGPU fragment shaders carry line-for-line copies of it, so all
+ * backends produce the same image. Keep the three in step when changing the model.
+ * Interlaced threads with yarn textures are drawn per pixel the same way, from
+ * `interlaceCrossing`, the shaders' flat thread geometry.
+ */
+
+import { WEFT_SALT, yarnColor } from './yarn.js';
+
+const BORDER = [17 / 255, 17 / 255, 17 / 255];
+
+/**
+ * Shade the pixel at `(localX, localY)` inside a crossing. The top thread runs across
+ * the whole cell and is brightest over the crossing; the under thread shows on either
+ * side of it, darkening as it dips beneath and in the top thread's shadow.
+ *
+ * @param {number} localX - Pixel center relative to the cell's left edge.
+ * @param {number} localY - Pixel center relative to the cell's top edge.
+ * @param {number} cellWidth
+ * @param {number} cellHeight
+ * @param {boolean} warpOnTop
+ * @param {number} warpThickness
+ * @param {number} weftThickness
+ * @param {number} cutSize - Clearance between the top thread and the under thread.
+ * @param {number} shadow - Shadow strength from 0 (none) to 1.
+ * @returns {{ isWarp: boolean, light: number, highlight: number } | null} The thread
+ *   under the pixel with the factor for its color and the white highlight added on
+ *   top, or null where neither thread covers the pixel.
+ */
+export function shadeCrossing(localX, localY, cellWidth, cellHeight, warpOnTop, warpThickness, weftThickness, cutSize, shadow) {
+  const topAcross = warpOnTop ? localX - cellWidth * 0.5 : localY - cellHeight * 0.5;
+  const topHalf = (warpOnTop ? warpThickness : weftThickness) * 0.5;
+  const topAlong = warpOnTop ? localY / cellHeight : localX / cellWidth;
+  if (Math.abs(topAcross) <= topHalf) {
+    const arch = 0.85 + 0.15 * Math.sin(Math.PI * topAlong);
+    const [diffuse, specular] = cylinder(topAcross / topHalf);
+    return { isWarp: warpOnTop, light: diffuse * arch, highlight: specular * arch };
+  }
+
+  const underAcross = warpOnTop ? localY - cellHeight * 0.5 : localX - cellWidth * 0.5;
+  const underHalf = (warpOnTop ? weftThickness : warpThickness) * 0.5;
+  const underAlong = Math.abs(warpOnTop ? localX - cellWidth * 0.5 : localY - cellHeight * 0.5);
+  const underLength = (warpOnTop ? cellWidth : cellHeight) * 0.5;
+  if (Math.abs(underAcross) > underHalf || underAlong < topHalf + cutSize) return null;
+
+  const dip = 0.6 + 0.25 * (underAlong / underLength);
+  const shade = 1 - shadow * Math.exp(-(underAlong - topHalf) / Math.max(1, topHalf));
+  const [diffuse, specular] = cylinder(underAcross / underHalf);
+  return { isWarp: !warpOnTop, light: diffuse * dip * shade, highlight: specular * dip * shade };
+}
+
+/**
+ * The flat thread under the pixel at `(localX, localY)` in interlacing mode: the top
+ * thread across the whole cell, the under thread on either side of its gap.
+ *
+ * @returns {{ isWarp: boolean, border: boolean } | null}
+ */
+export function interlaceCrossing(localX, localY, cellWidth, cellHeight, warpOnTop, warpThickness, weftThickness, borderSize, cutSize) {
+  const topThickness = warpOnTop ? warpThickness : weftThickness;
+  const top = sampleThread(warpOnTop, true, localX, localY, cellWidth, cellHeight, topThickness, 0, borderSize, cutSize);
+  if (top) return { isWarp: warpOnTop, border: top === 1 };
+  const underThickness = warpOnTop ? weftThickness : warpThickness;
+  const topOuter = topThickness + 2 * borderSize;
+  const under = sampleThread(!warpOnTop, false, localX, localY, cellWidth, cellHeight, underThickness, topOuter, borderSize, cutSize);
+  return under ? { isWarp: !warpOnTop, border: under === 1 } : null;
+}
+
+// 0 off the thread, 1 on its border, 2 inside it.
+function sampleThread(isWarp, isTop, localX, localY, cellWidth, cellHeight, thickness, topOuter, borderSize, cutSize) {
+  const across = isWarp ? Math.abs(localX - cellWidth * 0.5) : Math.abs(localY - cellHeight * 0.5);
+  if (across > (thickness + 2 * borderSize) * 0.5) return 0;
+  const along = isWarp ? localY : localX;
+  const length = isWarp ? cellHeight : cellWidth;
+  const gap = isTop ? 0 : Math.min(length, topOuter + 2 * cutSize);
+  const segment = Math.max(0, (length - gap) * 0.5);
+  if (!isTop && along > segment && along < length - segment) return 0;
+  return across <= thickness * 0.5 ? 2 : 1;
+}
+
+/**
+ * Whether a display mode has to be drawn pixel by pixel with `drawThreadPattern`:
+ * shaded threads always, interlaced ones when either system has yarn textures.
+ */
+export function drawsPerPixel(displayMode, yarns) {
+  return displayMode.type === 'shaded'
+    || (displayMode.type === 'interlacing' && Boolean(yarns && (yarns.warp || yarns.weft)));
+}
+
+// Diffuse and specular terms across a cylinder lit from the top left, `t` running
+// from -1 to 1 over the thread's width.
+function cylinder(t) {
+  const normal = Math.sqrt(Math.max(0, 1 - t * t));
+  return [0.4 + 0.6 * normal, 0.35 * Math.max(0, 1 - Math.abs(t + 0.35) / 0.3)];
+}
+
+/**
+ * Draw a shaded or yarn-textured region with its origin at thread `offsetWarp` /
+ * `offsetWeft`, `scrollX` / `scrollY` pixels into it, as the canvas renderers'
+ * `drawPattern` does for the flat modes. Pixels are shaded into a buffer first, so the
+ * context's transform and clip apply as for any other drawing. `yarns` holds the
+ * resolved `warp` and `weft` yarns, if any.
+ */
+export function drawThreadPattern(ctx, params) {
+  const { width, height, threading, colors, warpLayout, weftLayout, displayMode, offsetWarp, offsetWeft, scrollX = 0, scrollY = 0, yarns } = params;
+  const pixelsWide = Math.ceil(width);
+  const pixelsHigh = Math.ceil(height);
+  const shaded = displayMode.type === 'shaded';
+  const threadThickness = displayMode.thread_thickness ?? 6;
+  const borderSize = shaded ? 0 : (displayMode.border_size ?? 1);
+  const cutSize = displayMode.cut_size ?? (shaded ? 0 : 1);
+  const shadow = displayMode.shadow ?? 0.45;
+  const warpYarns = yarns?.warp ?? null;
+  const weftYarns = yarns?.weft ?? null;
+  const columns = pixelAxis(warpLayout, offsetWarp, scrollX, pixelsWide);
+  const rows = pixelAxis(weftLayout, offsetWeft, scrollY, pixelsHigh);
+  const threadingHeight = threading.length;
+  const threadingWidth = threading[0].length;
+
+  const image = ctx.createImageData(pixelsWide, pixelsHigh);
+  const { data } = image;
+  rows.forEach((row, y) => {
+    const threadRow = threading[wrapIndex(row.index, threadingHeight)];
+    const weftThickness = threadThickness * row.relative;
+    columns.forEach((column, x) => {
+      const warpOnTop = threadRow[wrapIndex(column.index, threadingWidth)];
+      const warpThickness = threadThickness * column.relative;
+      const hit = shaded
+        ? shadeCrossing(column.local, row.local, column.size, row.size, warpOnTop, warpThickness, weftThickness, cutSize, shadow)
+        : interlaceCrossing(column.local, row.local, column.size, row.size, warpOnTop, warpThickness, weftThickness, borderSize, cutSize);
+      if (!hit) return;
+
+      let color = BORDER;
+      if (!hit.border) {
+        const base = (hit.isWarp ? colors.warpAt(column.index, row.index) : colors.weftAt(column.index, row.index)).norm;
+        color = hit.isWarp
+          ? yarnColor(warpYarns && warpYarns[wrapIndex(column.index, warpYarns.length)], base,
+            column.index, row.position, column.local - column.size * 0.5, warpThickness)
+          : yarnColor(weftYarns && weftYarns[wrapIndex(row.index, weftYarns.length)], base,
+            row.index + WEFT_SALT, column.position, row.size * 0.5 - row.local, weftThickness);
+      }
+      const offset = (y * pixelsWide + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        const value = shaded ? Math.min(1, color[c] * hit.light + hit.highlight) : color[c];
+        data[offset + c] = Math.round(value * 255);
+      }
+      data[offset + 3] = 255;
+    });
+  });
+
+  const buffer = document.createElement('canvas');
+  buffer.width = pixelsWide;
+  buffer.height = pixelsHigh;
+  buffer.getContext('2d').putImageData(image, 0, 0);
+  ctx.drawImage(buffer, 0, 0);
+}
+
+// The thread under each pixel center along one axis, and where in it the center falls.
+function pixelAxis(layout, offset, scroll, count) {
+  const origin = layout.start(offset) + scroll;
+  return Array.from({ length: count }, (_, p) => {
+    const position = origin + p + 0.5;
+    const index = layout.indexAt(position);
+    return { index, position, local: position - layout.start(index), size: layout.size(index), relative: layout.relative(index) };
+  });
+}
+
+const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
@@ -1,25 +1,31 @@
 
-import { resolvePalette } from './utils.js';
+import { crossingColors, definitionForView, deviceOptions, panStart, pixelEdge, pixelRatioOf, threadsCovering, viewFrame, viewLayout } from './utils.js';
+import { validateWeave } from './validate.js';
+import { drawThreadPattern, drawsPerPixel } from './shading.js';
+import { drawMixedPattern, mixesColors } from './mixing.js';
+import { resolveYarns } from './yarn.js';
+import { draftDiagram } from './draftview.js';
+import { floatRects, overlayRects, resolveFloats, resolveOverlay, viewFloatMask } from './overlay.js';
+
+const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
 
 export function renderSVG(element, definition, options) {
-  const { threading, warp_colors, weft_colors } = definition;
   const displayMode = options.display_mode || options.displayMode || { type: 'simple', cellSize: options.cell_size || options.cellSize || 1 };
-  const intersection_size = displayMode.cellSize || 1;
   const { width, height } = options;
-  const warpPalette = resolvePalette(warp_colors);
-  const weftPalette = resolvePalette(weft_colors);
+  const validation = validateWeave(definition, options);
 
   // Clear container
   element.innerHTML = '';
 
-  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-  svg.setAttribute("width", width);
-  svg.setAttribute("height", height);
-  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
-  element.appendChild(svg);
+  // Invalid input: report the first issue in place of the pattern
+  if (!validation.valid) {
+    if (!(width > 0 && height > 0)) return validation;
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    element.appendChild(svg);
 
-  // Validate inputs / Empty State
-  if (!threading || !threading.length || !threading[0].length) {
     const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
     rect.setAttribute("width", width);
     rect.setAttribute("height", height);
@@ -32,68 +38,142 @@ export function renderSVG(element, definition, options) {
     text.setAttribute("fill", "#555555");
     text.setAttribute("font-family", "sans-serif");
     text.setAttribute("font-size", "14");
-    text.textContent = "No data";
+    text.textContent = validation.issues[0].message;
     svg.appendChild(text);
+    return validation;
+  }
+
+  if (displayMode.type === 'draft') {
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    const fragment = document.createDocumentFragment();
+    for (const { x, y, width: rectWidth, height: rectHeight, color } of draftDiagram(definition, options)) {
+      const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+      rect.setAttribute("x", x);
+      rect.setAttribute("y", y);
+      rect.setAttribute("width", rectWidth);
+      rect.setAttribute("height", rectHeight);
+      rect.setAttribute("fill", color);
+      rect.setAttribute("shape-rendering", "crispEdges");
+      fragment.appendChild(rect);
+    }
+    svg.appendChild(fragment);
+    element.appendChild(svg);
     return;
   }
 
+  // The camera magnifies the pattern and pans it; both stay in CSS pixels here. A
+  // rotation draws the fabric under the turned view and turns it into place.
+  const cameraOptions = deviceOptions(options, 1);
+  const cameraMode = cameraOptions.display_mode;
+  const layout = viewLayout(definition, options.side, cameraMode.cellSize || 1, { width, height });
+  const frame = viewFrame(width, height, options.rotation, cameraOptions.pan);
+  const pan = { x: frame.x, y: frame.y };
+  const { first: firstWarp, scroll: scrollX } = panStart(layout.warps, pan.x);
+  const { first: firstWeft, scroll: scrollY } = panStart(layout.wefts, pan.y);
+  const numWarps = threadsCovering(layout.warps, firstWarp, frame.width + scrollX);
+  const numWefts = threadsCovering(layout.wefts, firstWeft, frame.height + scrollY);
+  const viewRegion = { x: firstWarp, y: firstWeft, warps: numWarps, wefts: numWefts, visibleWarps: layout.visibleWarps };
+  const view = definitionForView(definition, options.side, viewRegion);
+  const { threading } = view;
+  const colors = crossingColors(view);
+  const yarns = { warp: resolveYarns(view.warp_yarns), weft: resolveYarns(view.weft_yarns) };
+
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  svg.setAttribute("width", width);
+  svg.setAttribute("height", height);
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  element.appendChild(svg);
+
   const threadingHeight = threading.length;
   const threadingWidth = threading[0].length;
-  
-  const numWarps = Math.ceil(width / intersection_size);
-  const numWefts = Math.ceil(height / intersection_size);
 
   // Create a fragment to minimize DOM reflows
   const fragment = document.createDocumentFragment();
 
-  if (displayMode.type === 'interlacing') {
+  // Per-pixel lighting, yarn texture and cells mixed into pixels have no vector form:
+  // embed the canvas backends' image, drawn in device pixels.
+  const device = deviceOptions({ ...options, display_mode: displayMode }, pixelRatioOf(options));
+  const mixed = mixesColors(device.display_mode);
+  if (mixed || drawsPerPixel(cameraMode, yarns)) {
+    const deviceLayout = viewLayout(definition, options.side, device.display_mode.cellSize, device);
+    const deviceFrame = viewFrame(device.width, device.height, options.rotation, device.pan);
+    const deviceWarps = panStart(deviceLayout.warps, deviceFrame.x);
+    const deviceWefts = panStart(deviceLayout.wefts, deviceFrame.y);
+    const raster = document.createElement('canvas');
+    raster.width = Math.ceil(deviceFrame.width);
+    raster.height = Math.ceil(deviceFrame.height);
+    (mixed ? drawMixedPattern : drawThreadPattern)(raster.getContext('2d'), {
+      width: deviceFrame.width,
+      height: deviceFrame.height,
+      threading,
+      colors,
+      warpLayout: deviceLayout.warps,
+      weftLayout: deviceLayout.wefts,
+      displayMode: device.display_mode,
+      offsetWarp: deviceWarps.first,
+      offsetWeft: deviceWefts.first,
+      scrollX: deviceWarps.scroll,
+      scrollY: deviceWefts.scroll,
+      yarns,
+    });
+    const image = document.createElementNS("http://www.w3.org/2000/svg", "image");
+    image.setAttribute("width", frame.width);
+    image.setAttribute("height", frame.height);
+    image.setAttribute("href", raster.toDataURL());
+    image.setAttribute("image-rendering", "pixelated");
+    fragment.appendChild(image);
+  } else if (cameraMode.type === 'interlacing') {
     const borderColor = '#111111';
-    const threadThickness = displayMode.thread_thickness ?? 6;
-    const borderSize = displayMode.border_size ?? 1;
-    const cutSize = displayMode.cut_size ?? 1;
-
-    for (let j = 0; j < numWefts; j++) {
-      for (let i = 0; i < numWarps; i++) {
-        const cellX = i * intersection_size;
-        const cellY = j * intersection_size;
-        const threadY = j % threadingHeight;
-        const threadX = i % threadingWidth;
+    const threadThickness = cameraMode.thread_thickness ?? 6;
+    const borderSize = cameraMode.border_size ?? 1;
+    const cutSize = cameraMode.cut_size ?? 1;
+
+    for (let j = firstWeft; j < firstWeft + numWefts; j++) {
+      const cellY = layout.wefts.start(j) - pan.y;
+      const cellHeight = layout.wefts.size(j);
+      const weftThickness = threadThickness * layout.wefts.relative(j);
+      for (let i = firstWarp; i < firstWarp + numWarps; i++) {
+        const cellX = layout.warps.start(i) - pan.x;
+        const cellWidth = layout.warps.size(i);
+        const warpThickness = threadThickness * layout.warps.relative(i);
+        const threadY = wrapIndex(j, threadingHeight);
+        const threadX = wrapIndex(i, threadingWidth);
         const isWarpOnTop = threading[threadY][threadX];
-        const warpColor = warpPalette[i % warpPalette.length].css;
-        const weftColor = weftPalette[j % weftPalette.length].css;
-        const topOuter = threadThickness + borderSize * 2;
+        const warpColor = colors.warpAt(i, j).css;
+        const weftColor = colors.weftAt(i, j).css;
 
         if (isWarpOnTop) {
-          addUnderSegments(fragment, cellX, cellY, intersection_size, 'weft', weftColor, borderColor, threadThickness, borderSize, cutSize, topOuter);
-          addTopThread(fragment, cellX, cellY, intersection_size, 'warp', warpColor, borderColor, threadThickness, borderSize);
+          const topOuter = warpThickness + borderSize * 2;
+          addUnderSegments(fragment, cellX, cellY, cellWidth, cellHeight, 'weft', weftColor, borderColor, weftThickness, borderSize, cutSize, topOuter);
+          addTopThread(fragment, cellX, cellY, cellWidth, cellHeight, 'warp', warpColor, borderColor, warpThickness, borderSize);
         } else {
-          addUnderSegments(fragment, cellX, cellY, intersection_size, 'warp', warpColor, borderColor, threadThickness, borderSize, cutSize, topOuter);
-          addTopThread(fragment, cellX, cellY, intersection_size, 'weft', weftColor, borderColor, threadThickness, borderSize);
+          const topOuter = weftThickness + borderSize * 2;
+          addUnderSegments(fragment, cellX, cellY, cellWidth, cellHeight, 'warp', warpColor, borderColor, warpThickness, borderSize, cutSize, topOuter);
+          addTopThread(fragment, cellX, cellY, cellWidth, cellHeight, 'weft', weftColor, borderColor, weftThickness, borderSize);
         }
       }
     }
   } else {
-    for (let j = 0; j < numWefts; j++) {
-      for (let i = 0; i < numWarps; i++) {
-        const threadY = j % threadingHeight;
-        const threadX = i % threadingWidth;
+    for (let j = firstWeft; j < firstWeft + numWefts; j++) {
+      const y = pixelEdge(layout.wefts.start(j) - pan.y);
+      const cellHeight = pixelEdge(layout.wefts.start(j + 1) - pan.y) - y;
+      for (let i = firstWarp; i < firstWarp + numWarps; i++) {
+        const threadY = wrapIndex(j, threadingHeight);
+        const threadX = wrapIndex(i, threadingWidth);
         
         const isWarpOnTop = threading[threadY][threadX];
         
-        let color;
-        if (isWarpOnTop) {
-          const colorIndex = i % warpPalette.length;
-          color = warpPalette[colorIndex].css;
-        } else {
-          const colorIndex = j % weftPalette.length;
-          color = weftPalette[colorIndex].css;
-        }
+        const color = isWarpOnTop ? colors.warpAt(i, j).css : colors.weftAt(i, j).css;
         
         const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-        rect.setAttribute("x", i * intersection_size);
-        rect.setAttribute("y", j * intersection_size);
-        rect.setAttribute("width", intersection_size);
-        rect.setAttribute("height", intersection_size);
+        const x = pixelEdge(layout.warps.start(i) - pan.x);
+        rect.setAttribute("x", x);
+        rect.setAttribute("y", y);
+        rect.setAttribute("width", pixelEdge(layout.warps.start(i + 1) - pan.x) - x);
+        rect.setAttribute("height", cellHeight);
         rect.setAttribute("fill", color);
         rect.setAttribute("shape-rendering", "crispEdges"); 
         
@@ -101,17 +181,48 @@ export function renderSVG(element, definition, options) {
       }
     }
   }
-  
-  svg.appendChild(fragment);
+
+  const overlay = resolveOverlay(options.overlay, definition);
+  const floats = resolveFloats(options.overlay);
+  const floatMask = floats && viewFloatMask(definition, options.side, viewRegion, threading, floats.limit);
+  const overlayRegion = {
+    width: frame.width,
+    height: frame.height,
+    warpLayout: layout.warps,
+    weftLayout: layout.wefts,
+    offsetWarp: firstWarp,
+    offsetWeft: firstWeft,
+    scrollX,
+    scrollY,
+  };
+  for (const { x, y, width: rectWidth, height: rectHeight, color } of [...floatRects(floats, floatMask, overlayRegion), ...overlayRects(overlay, overlayRegion)]) {
+    const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+    rect.setAttribute("x", x);
+    rect.setAttribute("y", y);
+    rect.setAttribute("width", rectWidth);
+    rect.setAttribute("height", rectHeight);
+    rect.setAttribute("fill", color);
+    rect.setAttribute("shape-rendering", "crispEdges");
+    fragment.appendChild(rect);
+  }
+
+  if (frame.angle) {
+    const group = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    group.setAttribute("transform", `matrix(${frame.matrix.join(' ')})`);
+    group.appendChild(fragment);
+    svg.appendChild(group);
+  } else {
+    svg.appendChild(fragment);
+  }
 }
 
-function addTopThread(fragment, cellX, cellY, cellSize, orientation, color, borderColor, thickness, borderSize) {
+function addTopThread(fragment, cellX, cellY, cellWidth, cellHeight, orientation, color, borderColor, thickness, borderSize) {
   const isWarp = orientation === 'warp';
   const outer = thickness + 2 * borderSize;
-  const outerWidth = isWarp ? outer : cellSize;
-  const outerHeight = isWarp ? cellSize : outer;
-  const outerX = isWarp ? cellX + (cellSize - outer) / 2 : cellX;
-  const outerY = isWarp ? cellY : cellY + (cellSize - outer) / 2;
+  const outerWidth = isWarp ? outer : cellWidth;
+  const outerHeight = isWarp ? cellHeight : outer;
+  const outerX = isWarp ? cellX + (cellWidth - outer) / 2 : cellX;
+  const outerY = isWarp ? cellY : cellY + (cellHeight - outer) / 2;
 
   if (borderSize > 0) {
     const borderRect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
@@ -124,10 +235,10 @@ function addTopThread(fragment, cellX, cellY, cellSize, orientation, color, bord
     fragment.appendChild(borderRect);
   }
 
-  const innerWidth = isWarp ? thickness : cellSize;
-  const innerHeight = isWarp ? cellSize : thickness;
-  const innerX = isWarp ? cellX + (cellSize - thickness) / 2 : cellX;
-  const innerY = isWarp ? cellY : cellY + (cellSize - thickness) / 2;
+  const innerWidth = isWarp ? thickness : cellWidth;
+  const innerHeight = isWarp ? cellHeight : thickness;
+  const innerX = isWarp ? cellX + (cellWidth - thickness) / 2 : cellX;
+  const innerY = isWarp ? cellY : cellY + (cellHeight - thickness) / 2;
   const innerRect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
   innerRect.setAttribute("x", innerX);
   innerRect.setAttribute("y", innerY);
@@ -138,16 +249,17 @@ function addTopThread(fragment, cellX, cellY, cellSize, orientation, color, bord
   fragment.appendChild(innerRect);
 }
 
-function addUnderSegments(fragment, cellX, cellY, cellSize, orientation, color, borderColor, thickness, borderSize, cutSize, topOuter) {
+function addUnderSegments(fragment, cellX, cellY, cellWidth, cellHeight, orientation, color, borderColor, thickness, borderSize, cutSize, topOuter) {
   const isWarp = orientation === 'warp';
-  const gap = Math.max(0, Math.min(cellSize, topOuter + 2 * cutSize));
-  const segSize = Math.max(0, (cellSize - gap) / 2);
+  const length = isWarp ? cellHeight : cellWidth;
+  const gap = Math.max(0, Math.min(length, topOuter + 2 * cutSize));
+  const segSize = Math.max(0, (length - gap) / 2);
   if (segSize <= 0) return;
 
   if (isWarp) {
     // vertical: split in Y
     const outerWidth = thickness + 2 * borderSize;
-    const centerX = cellX + (cellSize - outerWidth) / 2;
+    const centerX = cellX + (cellWidth - outerWidth) / 2;
     const segments = [
       { y: cellY, height: segSize },
       { y: cellY + segSize + gap, height: segSize }
@@ -185,7 +297,7 @@ function addUnderSegments(fragment, cellX, cellY, cellSize, orientation, color,
   } else {
     // horizontal: split in X
     const outerHeight = thickness + 2 * borderSize;
-    const centerY = cellY + (cellSize - outerHeight) / 2;
+    const centerY = cellY + (cellHeight - outerHeight) / 2;
     const segments = [
       { x: cellX, width: segSize },
       { x: cellX + segSize + gap, width: segSize }
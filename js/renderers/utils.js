@@ -1,4 +1,6 @@
 import chroma from 'chroma-js';
+import { compositeLayers, stackingForSide } from './layers.js';
+import { reduceDefinition } from '../repeat.js';
 
 /**
  * Resolve any color input into normalized RGBA (0-1 floats) and a CSS rgba string.
@@ -14,3 +16,476 @@ export function resolveColor(color) {
 export function resolvePalette(colors) {
   return colors.map(resolveColor);
 }
+
+/**
+ * Resolve a matrix of per-crossing colors into a flat row-major palette. Layered
+ * views repeat a handful of colors over many cells, so each is resolved once.
+ */
+export function resolveCellPalette(cells) {
+  const resolveCached = cachedResolver();
+  return cells.flatMap((row) => row.map(resolveCached));
+}
+
+function cachedResolver() {
+  const cache = new Map();
+  return (color) => {
+    if (!cache.has(color)) cache.set(color, resolveColor(color));
+    return cache.get(color);
+  };
+}
+
+const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
+
+/**
+ * The definition as seen from the requested side of the cloth. Turning the fabric
+ * over flips every crossing and mirrors it in the warp direction, so warp thread
+ * `i` lands in column `-1 - i`; reversing each row and the warp colors keeps that
+ * true for any combination of threading and color repeat lengths.
+ *
+ * Function-valued threading and warp colors are mirrored the same way within a
+ * declared `period.warps`; a fabric with no declared warp period is mirrored about
+ * the `visibleWarps` columns being drawn, so the functions only see real threads.
+ * Warp widths and yarns follow their threads, and every yarn's twist reverses.
+ */
+export function definitionForSide(definition, side = 'front', visibleWarps = 0) {
+  if (side !== 'back') return definition;
+  const mirror = warpMirror(definition, visibleWarps);
+  const { threading, warp_colors } = definition;
+  return {
+    ...definition,
+    ...widthsForSide(definition, side, visibleWarps),
+    ...yarnsForSide(definition, side, visibleWarps),
+    threading: typeof threading === 'function'
+      ? (i, j) => !threading(mirror(i), j)
+      : threading.map((row) => row.map((cell) => !cell).reverse()),
+    warp_colors: typeof warp_colors === 'function'
+      ? (i) => warp_colors(mirror(i))
+      : warp_colors && [...warp_colors].reverse(),
+  };
+}
+
+function warpMirror(definition, visibleWarps) {
+  const periodWarps = definition.period?.warps;
+  return (i) => (periodWarps ? wrapIndex(-1 - i, periodWarps) : visibleWarps - 1 - i);
+}
+
+function widthsForSide({ warp_widths, weft_widths, ...definition }, side, visibleWarps) {
+  if (side !== 'back' || !Array.isArray(warp_widths)) return { warp_widths, weft_widths };
+  const mirror = warpMirror(definition, visibleWarps);
+  return {
+    warp_widths: warp_widths.map((_, k) => warp_widths[wrapIndex(mirror(k), warp_widths.length)]),
+    weft_widths,
+  };
+}
+
+// Seen from the back an S-twisted yarn shows as Z and the other way around.
+function yarnsForSide({ warp_yarns, weft_yarns, ...definition }, side, visibleWarps) {
+  if (side !== 'back') return { warp_yarns, weft_yarns };
+  const mirror = warpMirror(definition, visibleWarps);
+  const turn = (yarn) => yarn && { ...yarn, twist: { S: 'Z', Z: 'S' }[yarn.twist ?? 'Z'] ?? yarn.twist };
+  return {
+    warp_yarns: Array.isArray(warp_yarns)
+      ? warp_yarns.map((_, k) => turn(warp_yarns[wrapIndex(mirror(k), warp_yarns.length)]))
+      : turn(warp_yarns),
+    weft_yarns: Array.isArray(weft_yarns) ? weft_yarns.map(turn) : turn(weft_yarns),
+  };
+}
+
+/**
+ * Evaluate function-valued `threading(i, j)`, `warp_colors(i)` and `weft_colors(j)`
+ * into the arrays the renderers index with `wrapIndex`. Along an axis with a declared
+ * `definition.period` the functions are sampled over one period. Otherwise they are
+ * sampled only over the `region` of cells being drawn, stored so that
+ * `array[wrapIndex(n, length)]` is the value at thread `n` for every thread in the
+ * region. Array-valued entries are returned as they are.
+ *
+ * @param {Object} definition - The weave definition, possibly with function values.
+ * @param {{ x?: number, y?: number, warps?: number, wefts?: number }} [region] - First warp
+ *   and weft drawn, and how many of each; not needed along axes with a declared period.
+ * @returns {Object} A definition with array values only.
+ */
+export function materializeDefinition(definition, region = {}) {
+  const { threading, warp_colors, weft_colors } = definition;
+  if (![threading, warp_colors, weft_colors].some((value) => typeof value === 'function')) {
+    return definition;
+  }
+  const warpAxis = sampleAxis(definition.period?.warps, region.x ?? 0, region.warps);
+  const weftAxis = sampleAxis(definition.period?.wefts, region.y ?? 0, region.wefts);
+  return {
+    ...definition,
+    threading: typeof threading === 'function'
+      ? weftAxis.map((j) => warpAxis.map((i) => !!threading(i, j)))
+      : threading,
+    warp_colors: typeof warp_colors === 'function' ? warpAxis.map((i) => warp_colors(i)) : warp_colors,
+    weft_colors: typeof weft_colors === 'function' ? weftAxis.map((j) => weft_colors(j)) : weft_colors,
+  };
+}
+
+/**
+ * The array-valued definition a renderer draws for the given side and region:
+ * `definitionForSide` followed by `materializeDefinition`. A layered definition is
+ * composited into the crossings visible in the region (see `compositeLayers`) and
+ * keeps the definition's thread widths and yarns. A view that holds a repeat rather
+ * than the region's threads is shrunk to its minimal repeat (`reduceDefinition`), so
+ * the GPU backends upload a 4×4 twill as 4×4 however large it was given or sampled.
+ *
+ * @param {Object} definition - The weave definition.
+ * @param {string} [side='front']
+ * @param {{ x?: number, y?: number, warps: number, wefts: number, visibleWarps?: number }} region -
+ *   Cells to sample; `visibleWarps` (default `region.warps`) is the image width in
+ *   cells that a non-periodic back side is mirrored about.
+ */
+export function definitionForView(definition, side, region) {
+  const visibleWarps = region.visibleWarps ?? region.warps;
+  if (definition.layers) {
+    const layers = definition.layers.map((layer) => materializeDefinition(
+      definitionForSide({ period: definition.period, ...layer }, side, visibleWarps),
+      region,
+    ));
+    return {
+      ...compositeLayers(layers, stackingForSide(definition.stacking, layers.length, side), region),
+      ...widthsForSide(definition, side, visibleWarps),
+      ...yarnsForSide(definition, side, visibleWarps),
+    };
+  }
+  const view = materializeDefinition(definitionForSide(definition, side, visibleWarps), region);
+  return holdsRepeat(definition) ? reduceDefinition(view) : view;
+}
+
+// Array values hold a repeat of the fabric, and so do functions sampled over a declared
+// period along every axis they vary on; otherwise they hold the region drawn.
+function holdsRepeat({ threading, warp_colors, weft_colors, period }) {
+  const repeats = (value, axes) => typeof value !== 'function' || axes.every((axis) => period?.[axis]);
+  return repeats(threading, ['warps', 'wefts']) && repeats(warp_colors, ['warps']) && repeats(weft_colors, ['wefts']);
+}
+
+/**
+ * Color lookups for a definition returned by `definitionForView`: `warpAt(i, j)` and
+ * `weftAt(i, j)` give the resolved color of the warp and weft drawn at a crossing,
+ * read from the per-crossing cells of a layered view or from the thread palettes.
+ */
+export function crossingColors(view) {
+  if (view.warp_cells) {
+    const resolveCached = cachedResolver();
+    const cellAt = (cells) => (i, j) => {
+      const row = cells[wrapIndex(j, cells.length)];
+      return resolveCached(row[wrapIndex(i, row.length)]);
+    };
+    return { warpAt: cellAt(view.warp_cells), weftAt: cellAt(view.weft_cells) };
+  }
+  const warpPalette = resolvePalette(view.warp_colors);
+  const weftPalette = resolvePalette(view.weft_colors);
+  return {
+    warpAt: (i) => warpPalette[wrapIndex(i, warpPalette.length)],
+    weftAt: (i, j) => weftPalette[wrapIndex(j, weftPalette.length)],
+  };
+}
+
+/** Thread widths are resolved to this many units per cell, on every backend alike. */
+export const WIDTH_RESOLUTION = 256;
+
+/**
+ * Lay out threads of varying width along one axis. `widths` is a periodic sequence of
+ * widths relative to the cell size (a single number applies to every thread), so
+ * `[2, 1]` alternates double- and single-width threads and `1.5` gives every pick
+ * one and a half cells. Positions are in pixels from the start of thread 0 and
+ * extend to negative thread indices.
+ *
+ * @param {number|number[]} [widths=1]
+ * @param {number} cellSize - Pixels per unit width.
+ * @returns {Object} `start(i)` and `size(i)` of thread `i` in pixels, its `relative(i)`
+ *   width, the thread `indexAt(px)` a position falls in, and `withCellSize(size)` for the
+ *   same widths at another scale. `units` and `prefix` hold the widths and their running
+ *   sums in `WIDTH_RESOLUTION`ths of a cell, as uploaded to the GPU backends.
+ */
+export function threadLayout(widths = 1, cellSize = 1) {
+  const sequence = Array.isArray(widths) ? widths : [widths];
+  const units = (sequence.length ? sequence : [1]).map((w) => Math.max(1, Math.round(w * WIDTH_RESOLUTION)));
+  const prefix = [0];
+  for (const u of units) prefix.push(prefix[prefix.length - 1] + u);
+  const n = units.length;
+  const period = prefix[n];
+  const scale = cellSize / WIDTH_RESOLUTION;
+  return {
+    units,
+    prefix,
+    uniform: units.every((u) => u === WIDTH_RESOLUTION),
+    start(i) {
+      const k = Math.floor(i / n);
+      return (k * period + prefix[i - k * n]) * scale;
+    },
+    size(i) {
+      return units[wrapIndex(i, n)] * scale;
+    },
+    relative(i) {
+      return units[wrapIndex(i, n)] / WIDTH_RESOLUTION;
+    },
+    withCellSize(size) {
+      return threadLayout(units.map((u) => u / WIDTH_RESOLUTION), size);
+    },
+    indexAt(px) {
+      const u = px / scale;
+      const k = Math.floor(u / period);
+      const rem = u - k * period;
+      let lo = 0;
+      let hi = n;
+      while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (prefix[mid] <= rem) lo = mid;
+        else hi = mid;
+      }
+      return k * n + lo;
+    },
+  };
+}
+
+/**
+ * The first pixel whose center lies at or past `position`: thread edges snap the way
+ * the GPU backends sample each pixel at its center.
+ */
+export function pixelEdge(position) {
+  return Math.ceil(position - 0.5);
+}
+
+/**
+ * Number of threads, starting at thread `first`, needed to cover `extent` pixels.
+ */
+export function threadsCovering(layout, first, extent) {
+  return layout.indexAt(layout.start(first) + extent - 1e-9) - first + 1;
+}
+
+/**
+ * Warp and weft layouts for drawing a definition from `side`, and how many threads
+ * fill a `width` x `height` image. On the back the warp widths are mirrored like the
+ * rest of the warp (see `definitionForSide`).
+ *
+ * @returns {{ warps: Object, wefts: Object, visibleWarps: number, visibleWefts: number }}
+ */
+export function viewLayout(definition, side, cellSize, { width, height }) {
+  const visibleWarps = threadsCovering(threadLayout(definition.warp_widths, cellSize), 0, width);
+  const widths = widthsForSide(definition, side, visibleWarps);
+  const warps = threadLayout(widths.warp_widths, cellSize);
+  const wefts = threadLayout(widths.weft_widths, cellSize);
+  return { warps, wefts, visibleWarps, visibleWefts: threadsCovering(wefts, 0, height) };
+}
+
+/**
+ * Device pixels per CSS pixel for a render: `options.pixelRatio` (or `pixel_ratio`),
+ * else the window's `devicePixelRatio`, else 1.
+ */
+export function pixelRatioOf(options) {
+  const ratio = options.pixelRatio ?? options.pixel_ratio
+    ?? (typeof window !== 'undefined' ? window.devicePixelRatio : undefined);
+  return ratio > 0 ? ratio : 1;
+}
+
+/**
+ * Give a canvas a backing store of `ratio` device pixels per CSS pixel while it keeps
+ * a `width` x `height` CSS size. A backing store of the right size is left alone, as
+ * resizing one reallocates it (and a GPU context's drawing buffer).
+ *
+ * @returns {{ width: number, height: number }} The backing store size.
+ */
+export function sizeCanvas(canvas, width, height, ratio) {
+  const deviceWidth = Math.round(width * ratio);
+  const deviceHeight = Math.round(height * ratio);
+  if (canvas.width !== deviceWidth) canvas.width = deviceWidth;
+  if (canvas.height !== deviceHeight) canvas.height = deviceHeight;
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  return { width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Whether two typed arrays hold the same values, so the GPU backends can skip
+ * uploading data they already hold.
+ */
+export function sameContents(a, b) {
+  if (!a || !b || a.constructor !== b.constructor || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Renderer options in device pixels. Everything measured in CSS pixels is multiplied
+ * by `ratio`: the image size, the display mode's cell size and thread dimensions
+ * (their defaults included), and the zoom loop's position, radius and border. Overlay
+ * line widths are scaled where the lines are drawn.
+ *
+ * A `camera` (`{ x, y, scale }`, the fabric position at the top left corner in CSS
+ * pixels of the unmagnified fabric) magnifies the display mode by `scale` as well and
+ * becomes `pan`, that position in device pixels of the magnified fabric. The draft
+ * display mode lays out its own diagram and ignores the camera.
+ */
+export function deviceOptions(options, ratio) {
+  const mode = options.display_mode || options.displayMode || { type: 'simple', cellSize: options.cell_size || options.cellSize || 1 };
+  const type = (mode.type || 'simple').toLowerCase().trim();
+  const camera = type === 'draft' ? null : options.camera;
+  if (ratio === 1 && !camera) return options;
+  const magnification = ratio * (camera?.scale ?? 1);
+  const scaled = { ...mode, cellSize: (mode.cellSize || 1) * magnification };
+  if (type === 'interlacing' || type === 'shaded') {
+    scaled.thread_thickness = (mode.thread_thickness ?? 6) * magnification;
+    scaled.cut_size = (mode.cut_size ?? (type === 'shaded' ? 0 : 1)) * magnification;
+  }
+  if (type === 'interlacing') scaled.border_size = (mode.border_size ?? 1) * magnification;
+  const zoom = options.zoom_state;
+  return {
+    ...options,
+    width: Math.round(options.width * ratio),
+    height: Math.round(options.height * ratio),
+    display_mode: scaled,
+    displayMode: scaled,
+    cell_size: scaled.cellSize,
+    cellSize: scaled.cellSize,
+    ...(zoom ? { zoom_state: deviceZoomState(zoom, ratio) } : {}),
+    ...(camera ? { pan: { x: (camera.x ?? 0) * magnification, y: (camera.y ?? 0) * magnification } } : {}),
+  };
+}
+
+/**
+ * A `width` x `height` view turned `rotation` degrees clockwise about its center, over
+ * fabric panned by `pan` (the position the unturned view's top left corner shows).
+ * `x`, `y`, `width` and `height` bound the fabric the view shows; `matrix`, for
+ * `ctx.transform` or an SVG `matrix()`, turns a region drawn from that corner into
+ * place; `toFabric(x, y)` is the fabric position under a point of the view. Without a
+ * rotation the bounds are the view itself and `matrix` is the identity.
+ *
+ * @returns {{ angle: number, x: number, y: number, width: number, height: number,
+ *   matrix: number[], toFabric: (x: number, y: number) => { x: number, y: number } }}
+ */
+export function viewFrame(width, height, rotation = 0, pan = { x: 0, y: 0 }) {
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const halfWidth = Math.abs(cos) * centerX + Math.abs(sin) * centerY;
+  const halfHeight = Math.abs(sin) * centerX + Math.abs(cos) * centerY;
+  return {
+    angle,
+    x: pan.x + centerX - halfWidth,
+    y: pan.y + centerY - halfHeight,
+    width: halfWidth * 2,
+    height: halfHeight * 2,
+    matrix: [
+      cos, sin, -sin, cos,
+      centerX - cos * halfWidth + sin * halfHeight,
+      centerY - sin * halfWidth - cos * halfHeight,
+    ],
+    toFabric(x, y) {
+      const dx = x - centerX;
+      const dy = y - centerY;
+      return { x: pan.x + centerX + cos * dx + sin * dy, y: pan.y + centerY - sin * dx + cos * dy };
+    },
+  };
+}
+
+/**
+ * Where a region starts whose top left corner lies `pan` pixels into `layout`: the
+ * thread there, and how many of its pixels are scrolled past the corner.
+ *
+ * @returns {{ first: number, scroll: number }}
+ */
+export function panStart(layout, pan = 0) {
+  const first = layout.indexAt(pan);
+  return { first, scroll: pan - layout.start(first) };
+}
+
+/**
+ * The zoom loop in device pixels; the magnification stays as it is.
+ */
+export function deviceZoomState(zoom, ratio) {
+  if (!zoom.active) return zoom;
+  return {
+    ...zoom,
+    center: { x: zoom.center.x * ratio, y: zoom.center.y * ratio },
+    radius: zoom.radius * ratio,
+    borderSize: zoom.borderSize * ratio,
+  };
+}
+
+/**
+ * The display mode inside the zoom loop: cells `factor` times larger, and the thread
+ * dimensions with them, rounded to whole pixels as the loop draws them.
+ */
+export function zoomDisplayMode(displayMode, factor) {
+  const scaledCell = displayMode.cellSize * factor;
+  if (displayMode.type === 'shaded') {
+    return {
+      ...displayMode,
+      cellSize: scaledCell,
+      thread_thickness: Math.max(1, Math.round((displayMode.thread_thickness ?? 6) * factor)),
+      cut_size: Math.max(0, Math.round((displayMode.cut_size ?? 0) * factor)),
+    };
+  }
+  return displayMode.type === 'interlacing'
+    ? {
+        ...displayMode,
+        cellSize: scaledCell,
+        thread_thickness: Math.max(1, Math.round((displayMode.thread_thickness ?? 6) * factor)),
+        border_size: Math.max(0, Math.round((displayMode.border_size ?? 1) * factor)),
+        cut_size: Math.max(0, Math.round((displayMode.cut_size ?? 1) * factor)),
+      }
+    : { ...displayMode, cellSize: scaledCell };
+}
+
+/**
+ * The fabric inside the zoom loop. The loop magnifies the fabric from the point
+ * under its center, less its radius: the threads from there are laid out at the
+ * magnified `cellSize`, over a square of the loop's diameter turned with the view
+ * about the loop's center.
+ *
+ * @param {Object} layout - The view's `viewLayout`.
+ * @param {Object} frame - The view's `viewFrame`.
+ * @param {Object} zoom - The zoom state, in the same pixels as both.
+ * @param {number} cellSize - The magnified cell size.
+ * @returns {{ warps: Object, wefts: Object, startWarp: number, startWeft: number,
+ *   warpCount: number, weftCount: number, center: { x: number, y: number } }} The
+ *   magnified layouts, the first thread and the number of threads on each axis, and
+ *   the position in the magnified layouts shown at the loop's center.
+ */
+export function zoomLoopLayout(layout, frame, zoom, cellSize) {
+  const warps = layout.warps.withCellSize(cellSize);
+  const wefts = layout.wefts.withCellSize(cellSize);
+  const anchor = frame.toFabric(zoom.center.x, zoom.center.y);
+  const startWarp = layout.warps.indexAt(anchor.x - zoom.radius);
+  const startWeft = layout.wefts.indexAt(anchor.y - zoom.radius);
+  return {
+    warps,
+    wefts,
+    startWarp,
+    startWeft,
+    warpCount: threadsCovering(warps, startWarp, zoom.radius * 2),
+    weftCount: threadsCovering(wefts, startWeft, zoom.radius * 2),
+    center: { x: warps.start(startWarp) + zoom.radius, y: wefts.start(startWeft) + zoom.radius },
+  };
+}
+
+/**
+ * A `definitionForView` region widened to take in the zoom loop's threads too.
+ */
+export function regionWithLoop(region, loop) {
+  const x = Math.min(region.x, loop.startWarp);
+  const y = Math.min(region.y, loop.startWeft);
+  return {
+    ...region,
+    x,
+    y,
+    warps: Math.max(region.x + region.warps, loop.startWarp + loop.warpCount) - x,
+    wefts: Math.max(region.y + region.wefts, loop.startWeft + loop.weftCount) - y,
+  };
+}
+
+// Thread index stored in each slot of a sampled axis: one period from 0, or the
+// window [start, start + count) rotated so slot k holds the thread congruent to k.
+function sampleAxis(period, start, count) {
+  if (period) return Array.from({ length: period }, (_, k) => k);
+  if (!(count > 0)) {
+    throw new Error('Definition: function values need a declared period or a region to sample');
+  }
+  const length = Math.max(1, Math.ceil(count));
+  return Array.from({ length }, (_, k) => start + wrapIndex(k - start, length));
+}
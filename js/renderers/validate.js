@@ -0,0 +1,349 @@
+import chroma from 'chroma-js';
+import { MAX_PLIES } from './yarn.js';
+
+/**
+ * Thrown by strict validation. `issues` holds every problem found, each with a
+ * `path` into the input (e.g. `threading[3]`), a machine-readable `code` and a
+ * human-readable `message`.
+ */
+export class WeaveValidationError extends Error {
+  constructor(issues) {
+    super(issues.map((issue) => issue.message).join('; '));
+    this.name = 'WeaveValidationError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Check the structure of a weave definition. Function-valued threading and colors
+ * are accepted as they are; only their optional declared `period` is checked. A
+ * layered definition is checked layer by layer, along with its stacking order.
+ * Thread widths, when given, must be positive, and yarns well formed.
+ *
+ * @param {Object} definition - The weave definition.
+ * @returns {{ path: string, code: string, message: string }[]} Issues found (empty when valid).
+ */
+export function validateDefinition(definition) {
+  const issues = [];
+  const report = (path, code, message) => issues.push({ path, code, message: `${path} ${message}` });
+
+  if (!definition || typeof definition !== 'object') {
+    report('definition', 'type', 'must be an object');
+    return issues;
+  }
+
+  if (definition.layers !== undefined) {
+    validateLayers(definition, report);
+  } else {
+    validateThreading(definition.threading, 'threading', report);
+    validatePalette(definition.warp_colors, 'warp_colors', report);
+    validatePalette(definition.weft_colors, 'weft_colors', report);
+  }
+
+  validateWidths(definition.warp_widths, 'warp_widths', report);
+  validateWidths(definition.weft_widths, 'weft_widths', report);
+  validateYarns(definition.warp_yarns, 'warp_yarns', report);
+  validateYarns(definition.weft_yarns, 'weft_yarns', report);
+
+  const { period } = definition;
+  if (period !== undefined) {
+    if (!period || typeof period !== 'object') {
+      report('period', 'type', 'must be an object with warps and/or wefts');
+    } else {
+      for (const key of ['warps', 'wefts']) {
+        const value = period[key];
+        if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+          report(`period.${key}`, 'range', `must be a positive integer, got ${value}`);
+        }
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Check the rendering options a backend relies on: image size, side, cell size,
+ * the interlacing thread dimensions and the shaded mode's shadow strength.
+ *
+ * @param {Object} options - Options as passed to a renderer.
+ * @returns {{ path: string, code: string, message: string }[]} Issues found (empty when valid).
+ */
+export function validateOptions(options) {
+  const issues = [];
+  const report = (path, code, message) => issues.push({ path, code, message: `${path} ${message}` });
+  if (!options || typeof options !== 'object') {
+    report('options', 'type', 'must be an object');
+    return issues;
+  }
+
+  const positive = (value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      report(path, 'range', `must be a positive number, got ${value}`);
+    }
+  };
+  const nonNegative = (value, path) => {
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      report(path, 'range', `must be a non-negative number, got ${value}`);
+    }
+  };
+
+  positive(options.width, 'options.width');
+  positive(options.height, 'options.height');
+  const ratioKey = ['pixelRatio', 'pixel_ratio'].find((key) => options[key] !== undefined);
+  if (ratioKey) positive(options[ratioKey], `options.${ratioKey}`);
+  if (options.side !== undefined && options.side !== 'front' && options.side !== 'back') {
+    report('options.side', 'enum', `must be 'front' or 'back', got ${JSON.stringify(options.side)}`);
+  }
+
+  const modeKey = options.display_mode ? 'display_mode' : options.displayMode ? 'displayMode' : null;
+  const mode = modeKey ? options[modeKey] : null;
+  if (mode && mode.cellSize !== undefined) {
+    positive(mode.cellSize, `options.${modeKey}.cellSize`);
+  } else {
+    const sizeKey = ['cell_size', 'cellSize'].find((key) => options[key] !== undefined);
+    if (sizeKey) positive(options[sizeKey], `options.${sizeKey}`);
+  }
+  if (mode) {
+    nonNegative(mode.thread_thickness, `options.${modeKey}.thread_thickness`);
+    nonNegative(mode.border_size, `options.${modeKey}.border_size`);
+    nonNegative(mode.cut_size, `options.${modeKey}.cut_size`);
+    if (mode.shadow !== undefined && !(typeof mode.shadow === 'number' && mode.shadow >= 0 && mode.shadow <= 1)) {
+      report(`options.${modeKey}.shadow`, 'range', `must be a number from 0 to 1, got ${mode.shadow}`);
+    }
+  }
+  if (options.overlay !== undefined) validateOverlay(options.overlay, report);
+  if (options.rotation !== undefined && !(typeof options.rotation === 'number' && Number.isFinite(options.rotation))) {
+    report('options.rotation', 'range', `must be a finite number of degrees, got ${options.rotation}`);
+  }
+  if (options.camera !== undefined) validateCamera(options.camera, report);
+  return issues;
+}
+
+/**
+ * Validate a definition and options together, as every backend does before drawing.
+ * In `'strict'` mode any issue throws a `WeaveValidationError`; in `'lenient'` mode
+ * (the default) the issues are returned for the caller to report.
+ *
+ * @param {Object} definition - The weave definition.
+ * @param {Object} options - Renderer options; `options.validation` selects the mode.
+ * @returns {{ valid: boolean, issues: { path: string, code: string, message: string }[] }}
+ */
+export function validateWeave(definition, options) {
+  const issues = [...validateDefinition(definition), ...validateOptions(options)];
+  if (issues.length && options?.validation === 'strict') {
+    throw new WeaveValidationError(issues);
+  }
+  return { valid: issues.length === 0, issues };
+}
+
+function validateThreading(threading, path, report) {
+  if (typeof threading === 'function') {
+    // Procedural threading is evaluated by the renderer over the cells it draws.
+    return;
+  }
+  if (!Array.isArray(threading)) {
+    report(path, 'type', 'must be an array of rows or a function');
+  } else if (!threading.length) {
+    report(path, 'empty', 'is empty');
+  } else {
+    const expected = Array.isArray(threading[0]) ? threading[0].length : 0;
+    threading.forEach((row, j) => {
+      if (!Array.isArray(row)) {
+        report(`${path}[${j}]`, 'type', 'must be an array');
+      } else if (row.length !== expected) {
+        report(`${path}[${j}]`, 'ragged', `has length ${row.length}, expected ${expected}`);
+      }
+    });
+    if (Array.isArray(threading[0]) && !expected) {
+      report(`${path}[0]`, 'empty', 'is empty');
+    }
+  }
+}
+
+// A layer may leave out one of its color sequences (a supplementary warp or weft),
+// but not both; the stacking order must name existing layers.
+function validateLayers(definition, report) {
+  const { layers, stacking } = definition;
+  if (!Array.isArray(layers)) {
+    report('layers', 'type', 'must be an array of layers');
+    return;
+  }
+  if (!layers.length) {
+    report('layers', 'empty', 'is empty');
+    return;
+  }
+  layers.forEach((layer, k) => {
+    const path = `layers[${k}]`;
+    if (!layer || typeof layer !== 'object') {
+      report(path, 'type', 'must be an object');
+      return;
+    }
+    validateThreading(layer.threading, `${path}.threading`, report);
+    if (layer.warp_colors === undefined && layer.weft_colors === undefined) {
+      report(path, 'empty', 'has neither warp_colors nor weft_colors');
+    }
+    if (layer.warp_colors !== undefined) validatePalette(layer.warp_colors, `${path}.warp_colors`, report);
+    if (layer.weft_colors !== undefined) validatePalette(layer.weft_colors, `${path}.weft_colors`, report);
+  });
+
+  if (stacking === undefined) return;
+  const validateOrder = (order, path) => {
+    if (!Array.isArray(order) || !order.length) {
+      report(path, 'type', 'must be a non-empty array of layer indices');
+      return;
+    }
+    order.forEach((idx, depth) => {
+      if (!Number.isInteger(idx) || idx < 0 || idx >= layers.length) {
+        report(`${path}[${depth}]`, 'range', `must be a layer index 0..${layers.length - 1}, got ${idx}`);
+      }
+    });
+  };
+  if (Array.isArray(stacking) && Array.isArray(stacking[0]) && Array.isArray(stacking[0][0])) {
+    stacking.forEach((row, j) => {
+      if (!Array.isArray(row) || !row.length) {
+        report(`stacking[${j}]`, 'type', 'must be a non-empty array');
+      } else {
+        row.forEach((order, i) => validateOrder(order, `stacking[${j}][${i}]`));
+      }
+    });
+  } else {
+    validateOrder(stacking, 'stacking');
+  }
+}
+
+// Thread widths are a single relative width or a periodic sequence of them.
+function validateWidths(widths, path, report) {
+  if (widths === undefined) return;
+  const isWidth = (w) => typeof w === 'number' && Number.isFinite(w) && w > 0;
+  if (typeof widths === 'number') {
+    if (!isWidth(widths)) report(path, 'range', `must be a positive number, got ${widths}`);
+  } else if (!Array.isArray(widths)) {
+    report(path, 'type', 'must be a positive number or an array of them');
+  } else if (!widths.length) {
+    report(path, 'empty', 'is empty');
+  } else {
+    widths.forEach((w, k) => {
+      if (!isWidth(w)) report(`${path}[${k}]`, 'range', `must be a positive number, got ${w}`);
+    });
+  }
+}
+
+function validateYarns(yarns, path, report) {
+  if (yarns === undefined) return;
+  if (Array.isArray(yarns)) {
+    if (!yarns.length) report(path, 'empty', 'is empty');
+    yarns.forEach((yarn, k) => {
+      if (yarn !== null) validateYarn(yarn, `${path}[${k}]`, report);
+    });
+  } else {
+    validateYarn(yarns, path, report);
+  }
+}
+
+function validateYarn(yarn, path, report) {
+  if (!yarn || typeof yarn !== 'object') {
+    report(path, 'type', 'must be a yarn object or null');
+    return;
+  }
+  if (yarn.twist !== undefined && !['S', 'Z', 'none'].includes(yarn.twist)) {
+    report(`${path}.twist`, 'value', `must be 'S', 'Z' or 'none', got ${JSON.stringify(yarn.twist)}`);
+  }
+  if (yarn.noise !== undefined && !(typeof yarn.noise === 'number' && yarn.noise >= 0 && yarn.noise <= 1)) {
+    report(`${path}.noise`, 'range', `must be a number from 0 to 1, got ${yarn.noise}`);
+  }
+  if (yarn.plies !== undefined) {
+    if (!Array.isArray(yarn.plies)) {
+      report(`${path}.plies`, 'type', 'must be an array of colors');
+    } else if (yarn.plies.length > MAX_PLIES) {
+      report(`${path}.plies`, 'range', `has ${yarn.plies.length} colors, at most ${MAX_PLIES} are supported`);
+    } else {
+      validatePalette(yarn.plies, `${path}.plies`, report);
+    }
+  }
+}
+
+function validateOverlay(overlay, report) {
+  if (overlay === null || overlay === false) return;
+  if (typeof overlay !== 'object') {
+    report('options.overlay', 'type', 'must be an object with grid, major, repeat and/or floats');
+    return;
+  }
+  for (const key of ['grid', 'major', 'repeat']) {
+    const line = overlay[key];
+    const path = `options.overlay.${key}`;
+    if (line === undefined || line === null || typeof line === 'boolean') continue;
+    if (typeof line !== 'object') {
+      report(path, 'type', 'must be true or an object with color and width');
+      continue;
+    }
+    if (line.color !== undefined && !chroma.valid(line.color)) {
+      report(`${path}.color`, 'color', `is not a valid color: ${JSON.stringify(line.color)}`);
+    }
+    if (line.width !== undefined && !(typeof line.width === 'number' && Number.isFinite(line.width) && line.width > 0)) {
+      report(`${path}.width`, 'range', `must be a positive number, got ${line.width}`);
+    }
+    if (key === 'major' && line.every !== undefined && !(Number.isInteger(line.every) && line.every > 0)) {
+      report(`${path}.every`, 'range', `must be a positive integer, got ${line.every}`);
+    }
+  }
+  validateFloatOverlay(overlay.floats, report);
+}
+
+function validateFloatOverlay(floats, report) {
+  const path = 'options.overlay.floats';
+  if (floats === undefined || floats === null || typeof floats === 'boolean') return;
+  if (typeof floats !== 'object') {
+    report(path, 'type', 'must be true or an object with limit, style and colors');
+    return;
+  }
+  if (floats.limit !== undefined && !(Number.isInteger(floats.limit) && floats.limit > 0)) {
+    report(`${path}.limit`, 'range', `must be a positive integer, got ${floats.limit}`);
+  }
+  if (floats.style !== undefined && floats.style !== 'tint' && floats.style !== 'outline') {
+    report(`${path}.style`, 'enum', `must be 'tint' or 'outline', got ${JSON.stringify(floats.style)}`);
+  }
+  for (const key of ['warp_color', 'weft_color']) {
+    if (floats[key] !== undefined && !chroma.valid(floats[key])) {
+      report(`${path}.${key}`, 'color', `is not a valid color: ${JSON.stringify(floats[key])}`);
+    }
+  }
+  if (floats.width !== undefined && !(typeof floats.width === 'number' && Number.isFinite(floats.width) && floats.width > 0)) {
+    report(`${path}.width`, 'range', `must be a positive number, got ${floats.width}`);
+  }
+}
+
+function validateCamera(camera, report) {
+  if (camera === null || typeof camera === 'boolean') return;
+  if (typeof camera !== 'object') {
+    report('options.camera', 'type', 'must be true or an object with x, y and scale');
+    return;
+  }
+  for (const key of ['x', 'y']) {
+    if (camera[key] !== undefined && !(typeof camera[key] === 'number' && Number.isFinite(camera[key]))) {
+      report(`options.camera.${key}`, 'range', `must be a finite number, got ${camera[key]}`);
+    }
+  }
+  for (const key of ['scale', 'minScale', 'maxScale']) {
+    if (camera[key] !== undefined && !(typeof camera[key] === 'number' && Number.isFinite(camera[key]) && camera[key] > 0)) {
+      report(`options.camera.${key}`, 'range', `must be a positive number, got ${camera[key]}`);
+    }
+  }
+}
+
+function validatePalette(colors, path, report) {
+  if (typeof colors === 'function') return;
+  if (!Array.isArray(colors)) {
+    report(path, 'type', 'must be an array of colors or a function');
+    return;
+  }
+  if (!colors.length) {
+    report(path, 'empty', 'is empty');
+    return;
+  }
+  colors.forEach((color, idx) => {
+    if (!chroma.valid(color)) {
+      report(`${path}[${idx}]`, 'color', `is not a valid color: ${JSON.stringify(color)}`);
+    }
+  });
+}
@@ -1,14 +1,27 @@
 
-import { resolvePalette } from './utils.js';
-
-export function renderWebGL(element, definition, options) {
-  const { threading, warp_colors, weft_colors } = definition;
+import { resolveColor, resolvePalette, resolveCellPalette, definitionForView, deviceOptions, panStart, pixelRatioOf, regionWithLoop, sameContents, sizeCanvas, threadsCovering, viewFrame, viewLayout, zoomDisplayMode, zoomLoopLayout } from './utils.js';
+import { validateWeave } from './validate.js';
+import { WEFT_SALT, resolveYarns } from './yarn.js';
+import { FLOAT_WARP, FLOAT_WEFT, floatUniforms, overlayUniforms, resolveFloats, resolveOverlay, viewFloatMask } from './overlay.js';
+import { MIX_LIMIT } from './mixing.js';
+
+// The programs, textures and quad of each canvas's WebGL context, kept between
+// renders so a render compiles and uploads only what changed since the last one.
+const canvasCaches = new WeakMap();
+
+export function renderWebGL(element, definition, cssOptions) {
+  const validation = validateWeave(definition, cssOptions);
+  // Render in device pixels; the canvas keeps its CSS size.
+  const ratio = validation.valid ? pixelRatioOf(cssOptions) : 1;
+  const options = deviceOptions(cssOptions, ratio);
   const displayMode = options.display_mode || options.displayMode || { type: 'simple', cellSize: options.cell_size || options.cellSize || 1 };
   const intersection_size = displayMode.cellSize || 1;
   const isInterlacing = displayMode.type === 'interlacing';
-  const threadThickness = isInterlacing ? (displayMode.thread_thickness ?? 6) : 0;
+  const isShaded = displayMode.type === 'shaded';
+  const threadThickness = isInterlacing || isShaded ? (displayMode.thread_thickness ?? 6) : 0;
   const borderSize = isInterlacing ? (displayMode.border_size ?? 1) : 0;
-  const cutSize = isInterlacing ? (displayMode.cut_size ?? 1) : 0;
+  const cutSize = isInterlacing ? (displayMode.cut_size ?? 1) : isShaded ? (displayMode.cut_size ?? 0) : 0;
+  const shadow = isShaded ? (displayMode.shadow ?? 0.45) : 0;
   const { width, height } = options;
 
   let canvas;
@@ -22,8 +35,9 @@ export function renderWebGL(element, definition, options) {
     }
   }
 
-  canvas.width = width;
-  canvas.height = height;
+  if (!validation.valid && !(width > 0 && height > 0)) return validation;
+
+  sizeCanvas(canvas, cssOptions.width, cssOptions.height, ratio);
   const gl = canvas.getContext('webgl');
 
   if (!gl) {
@@ -31,31 +45,57 @@ export function renderWebGL(element, definition, options) {
     return;
   }
 
-  // Validate inputs / Empty State
-  if (!threading || !threading.length || !threading[0].length) {
+  // Invalid input: clear to the empty state
+  if (!validation.valid) {
     gl.viewport(0, 0, width, height);
     gl.clearColor(1, 1, 1, 1);
     gl.clear(gl.COLOR_BUFFER_BIT);
-    return;
+    return validation;
   }
 
+  const layout = viewLayout(definition, options.side, intersection_size, { width, height });
+  // The camera's pan and the view's rotation: fragments turn their position about the
+  // view center and sample the fabric this many pixels on.
+  const pan = options.pan || { x: 0, y: 0 };
+  const frame = viewFrame(width, height, options.rotation, pan);
+  const warpStart = panStart(layout.warps, frame.x);
+  const weftStart = panStart(layout.wefts, frame.y);
+  // The zoom loop is a second pass of the same shader, at the magnified cell size.
+  const zoom = options.zoom_state?.active ? options.zoom_state : null;
+  const loopMode = zoom ? zoomDisplayMode(displayMode, zoom.factor) : null;
+  const loop = zoom ? zoomLoopLayout(layout, frame, zoom, loopMode.cellSize) : null;
+  const region = {
+    x: warpStart.first,
+    y: weftStart.first,
+    warps: threadsCovering(layout.warps, warpStart.first, frame.width + warpStart.scroll),
+    wefts: threadsCovering(layout.wefts, weftStart.first, frame.height + weftStart.scroll),
+    visibleWarps: layout.visibleWarps,
+  };
+  const viewRegion = loop ? regionWithLoop(region, loop) : region;
+  const view = definitionForView(definition, options.side, viewRegion);
+  const { threading } = view;
   const threadingHeight = threading.length;
   const threadingWidth = threading[0].length;
-  const warpPalette = resolvePalette(warp_colors);
-  const weftPalette = resolvePalette(weft_colors);
+  // A layered view colors each crossing rather than each thread
+  const layered = Boolean(view.warp_cells);
+  const warpPalette = layered ? resolveCellPalette(view.warp_cells) : resolvePalette(view.warp_colors);
+  const weftPalette = layered ? resolveCellPalette(view.weft_cells) : resolvePalette(view.weft_colors);
 
   // --- Data Preparation ---
 
   // 1. Threading Texture
-  // We use RGBA format for maximum compatibility
+  // We use RGBA format for maximum compatibility. Green and blue mark the cells of
+  // long warp and weft floats for the overlay.
+  const floats = resolveFloats(options.overlay);
+  const floatMask = floats ? viewFloatMask(definition, options.side, viewRegion, threading, floats.limit) : null;
   const threadingData = new Uint8Array(threadingWidth * threadingHeight * 4);
   for (let y = 0; y < threadingHeight; y++) {
     for (let x = 0; x < threadingWidth; x++) {
       const idx = (y * threadingWidth + x) * 4;
-      const val = threading[y][x] ? 255 : 0;
-      threadingData[idx] = val;     // R
-      threadingData[idx + 1] = val; // G
-      threadingData[idx + 2] = val; // B
+      const flag = floatMask ? floatMask[y][x] : 0;
+      threadingData[idx] = threading[y][x] ? 255 : 0;     // R
+      threadingData[idx + 1] = flag & FLOAT_WARP ? 255 : 0; // G
+      threadingData[idx + 2] = flag & FLOAT_WEFT ? 255 : 0; // B
       threadingData[idx + 3] = 255; // A
     }
   }
@@ -64,7 +104,11 @@ export function renderWebGL(element, definition, options) {
   // We can put them in a single texture of height 2.
   // Row 0: Warp Colors, Row 1: Weft Colors.
   // Width will be max(warp_colors.length, weft_colors.length).
+  // Layered: the same layout filled row-major with one color per crossing, so warp
+  // cells take rows [0, H) and weft cells rows [H, 2H) of a threading-wide texture.
   const maxColors = Math.max(warpPalette.length, weftPalette.length);
+  const colorsTexWidth = layered ? threadingWidth : maxColors;
+  const colorsTexHeight = layered ? threadingHeight * 2 : 2;
   const colorData = new Float32Array(maxColors * 2 * 4); // RGBA floats
 
   // Fill Warp Colors (Row 0)
@@ -87,6 +131,39 @@ export function renderWebGL(element, definition, options) {
     colorData[offset + 3] = c[3];
   }
 
+  // 3. Layout Texture
+  // Running sums of the warp (row 0) and weft (row 1) widths, in WIDTH_RESOLUTION
+  // units, each packed into the RGB bytes of a texel as a 24-bit integer.
+  const warpPrefix = layout.warps.prefix;
+  const weftPrefix = layout.wefts.prefix;
+  const layoutTexWidth = Math.max(warpPrefix.length, weftPrefix.length);
+  const layoutData = new Uint8Array(layoutTexWidth * 2 * 4);
+  [warpPrefix, weftPrefix].forEach((prefix, row) => {
+    prefix.forEach((value, i) => {
+      const offset = (row * layoutTexWidth + i) * 4;
+      layoutData[offset] = (value >> 16) & 255;
+      layoutData[offset + 1] = (value >> 8) & 255;
+      layoutData[offset + 2] = value & 255;
+      layoutData[offset + 3] = 255;
+    });
+  });
+
+  // 4. Yarn Texture
+  // A column per yarn, warp yarns in rows 0-4 and weft yarns in rows 5-9: twist + 1,
+  // noise, heather and ply count as bytes, then up to four ply colors.
+  const warpYarns = resolveYarns(view.warp_yarns) ?? [];
+  const weftYarns = resolveYarns(view.weft_yarns) ?? [];
+  const yarnsTexWidth = Math.max(1, warpYarns.length, weftYarns.length);
+  const yarnData = new Uint8Array(yarnsTexWidth * 10 * 4);
+  [warpYarns, weftYarns].forEach((yarns, system) => {
+    yarns.forEach((yarn, i) => {
+      if (!yarn) return;
+      const texel = (row) => ((system * 5 + row) * yarnsTexWidth + i) * 4;
+      yarnData.set([yarn.twist + 1, Math.round(yarn.noise * 255), yarn.heather ? 255 : 0, yarn.plies.length], texel(0));
+      yarn.plies.forEach((ply, p) => yarnData.set(ply.norm.map((c) => Math.round(c * 255)), texel(p + 1)));
+    });
+  });
+
   // --- Shaders ---
 
   const vsSource = `
@@ -96,8 +173,124 @@ export function renderWebGL(element, definition, options) {
     }
   `;
 
-  const fsSourceSimple = `
+
+  // Locates the thread under a pixel from the running sums of the thread widths:
+  // returns its index, its start and its size in pixels.
+  const layoutSource = `
+    uniform sampler2D u_layout;
+    uniform vec2 u_layout_size;
+    uniform vec2 u_width_counts; // warp and weft width sequence lengths
+    uniform vec2 u_pivot;        // the pixel the fabric turns about
+    uniform vec2 u_pan;          // fabric position under the pivot
+    uniform vec2 u_turn;         // cosine and sine of the view's clockwise rotation
+
+    // The fabric position under a fragment, turned about the pivot.
+    vec2 fabricCoord(vec2 fragCoord, vec2 resolution) {
+      vec2 d = vec2(fragCoord.x, resolution.y - fragCoord.y) - u_pivot;
+      return vec2(u_turn.x * d.x + u_turn.y * d.y, u_turn.x * d.y - u_turn.y * d.x) + u_pan;
+    }
+
+    float layoutPrefix(float index, float row) {
+      vec3 bytes = floor(texture2D(u_layout, (vec2(index, row) + 0.5) / u_layout_size).rgb * 255.0 + 0.5);
+      return bytes.r * 65536.0 + bytes.g * 256.0 + bytes.b;
+    }
+
+    vec3 locateThread(float position, float row, float count) {
+      float unit = u_intersection_size / 256.0;
+      float period = layoutPrefix(count, row);
+      float u = position / unit;
+      float periodIndex = floor(u / period);
+      float rem = u - periodIndex * period;
+      float lo = 0.0;
+      float hi = count;
+      for (int iteration = 0; iteration < 16; iteration++) {
+        if (hi - lo <= 1.0) break;
+        float mid = floor((lo + hi) * 0.5);
+        if (layoutPrefix(mid, row) <= rem) {
+          lo = mid;
+        } else {
+          hi = mid;
+        }
+      }
+      float start = layoutPrefix(lo, row);
+      float end = layoutPrefix(lo + 1.0, row);
+      return vec3(periodIndex * count + lo, (periodIndex * period + start) * unit, (end - start) * unit);
+    }
+  `;
+
+  // Long floats, then grid and repeat lines, over the finished pixel, as overlay.js
+  // draws them for the canvas backends; the result is premultiplied for the canvas.
+  // In the zoom loop's pass the pixel is then set in the loop, as weave.js draws it.
+  const overlaySource = `
+    uniform vec4 u_overlay_colors[3]; // grid, major, repeat; alpha 0 = not drawn
+    uniform vec3 u_overlay_lines[3];  // width, every N warps, every N picks (0 = none)
+    uniform vec4 u_float_colors[2];   // warp, weft; alpha 0 = not drawn
+    uniform vec2 u_float_params;      // outline (0 = tint), line width
+    uniform vec4 u_loop;              // loop center, radius and border width; radius 0 = base pass
+    uniform vec4 u_loop_colors[2];    // loop background and border, premultiplied
+
+    // Over the loop's background inside it, under its border, and clear outside; the
+    // loop's pass is blended over the base.
+    vec4 withLoop(vec4 color) {
+      if (u_loop.z <= 0.0) return color;
+      float d = distance(vec2(gl_FragCoord.x, u_resolution.y - gl_FragCoord.y), u_loop.xy);
+      vec4 inside = (color + u_loop_colors[0] * (1.0 - color.a)) * clamp(u_loop.z - d + 0.5, 0.0, 1.0);
+      vec4 border = u_loop_colors[1] * clamp(u_loop.w * 0.5 - abs(d - u_loop.z) + 0.5, 0.0, 1.0);
+      return border + inside * (1.0 - border.a);
+    }
+
+    vec4 blendOver(vec4 dst, vec4 src) {
+      float alpha = src.a + dst.a * (1.0 - src.a);
+      if (alpha <= 0.0) return vec4(0.0);
+      return vec4((src.rgb * src.a + dst.rgb * dst.a * (1.0 - src.a)) / alpha, alpha);
+    }
+
+    // Long warp and weft float flags of a threading cell
+    vec2 floatFlags(float i, float j) {
+      vec2 t = vec2(mod(i, u_threading_size.x), mod(j, u_threading_size.y));
+      return step(0.5, texture2D(u_threading, (t + 0.5) / u_threading_size).gb);
+    }
+
+    // A copy of floatRects in overlay.js: the whole cell, or its outline edges
+    vec4 floatHighlight(vec2 local, vec2 cell, vec2 grid) {
+      vec2 flags = floatFlags(grid.x, grid.y);
+      if (flags.x + flags.y < 0.5) return vec4(0.0);
+      vec4 color = flags.x > 0.5 ? u_float_colors[0] : u_float_colors[1];
+      if (u_float_params.x < 0.5) return color;
+      float w = u_float_params.y;
+      bool left = flags.y < 0.5 || floatFlags(grid.x - 1.0, grid.y).y < 0.5;
+      bool right = flags.y < 0.5 || floatFlags(grid.x + 1.0, grid.y).y < 0.5;
+      bool top = flags.x < 0.5 || floatFlags(grid.x, grid.y - 1.0).x < 0.5;
+      bool bottom = flags.x < 0.5 || floatFlags(grid.x, grid.y + 1.0).x < 0.5;
+      bool edge = (left && local.x < w) || (right && local.x >= cell.x - w)
+        || (top && local.y < w) || (bottom && local.y >= cell.y - w);
+      return edge ? color : vec4(0.0);
+    }
+
+    vec4 withOverlay(vec4 color, vec2 local, vec2 cell, vec2 grid) {
+      color = blendOver(color, floatHighlight(local, cell, grid));
+      for (int k = 0; k < 3; k++) {
+        vec4 lineColor = u_overlay_colors[k];
+        vec3 line = u_overlay_lines[k];
+        if (lineColor.a <= 0.0) continue;
+        if (line.y > 0.5 && local.x < line.x && mod(grid.x, line.y) < 0.5) color = blendOver(color, lineColor);
+        if (line.z > 0.5 && local.y < line.x && mod(grid.y, line.z) < 0.5) color = blendOver(color, lineColor);
+      }
+      return withLoop(vec4(color.rgb * color.a, color.a));
+    }
+  `;
+
+  // Widths add up beyond mediump range, so use highp where the fragment stage has it.
+  const precisionSource = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
     precision mediump float;
+    #endif
+  `;
+
+  const fsSourceSimple = `
+    ${precisionSource}
     
     uniform vec2 u_resolution;
     uniform float u_intersection_size;
@@ -109,34 +302,88 @@ export function renderWebGL(element, definition, options) {
     uniform vec2 u_colors_size; // width (maxColors), height (2)
     uniform float u_warp_count;
     uniform float u_weft_count;
+    uniform float u_layered; // 1 = u_colors holds per-crossing warp/weft cells
+    ${layoutSource}
+    ${overlaySource}
 
-    void main() {
-      vec2 pixelCoord = gl_FragCoord.xy;
-      float gridX = floor(pixelCoord.x / u_intersection_size);
-      float gridY = floor((u_resolution.y - pixelCoord.y) / u_intersection_size);
-
+    vec3 crossingColor(float gridX, float gridY) {
       float tx = mod(gridX, u_threading_size.x);
       float ty = mod(gridY, u_threading_size.y);
 
       vec2 tUv = (vec2(tx, ty) + 0.5) / u_threading_size;
       float isWarp = texture2D(u_threading, tUv).r;
 
-      vec4 warpColor = vec4(texture2D(u_colors, (vec2(mod(gridX, u_warp_count), 0.0) + 0.5) / u_colors_size).rgb, 1.0);
-      vec4 weftColor = vec4(texture2D(u_colors, (vec2(mod(gridY, u_weft_count), 1.0) + 0.5) / u_colors_size).rgb, 1.0);
+      vec3 warpColor = texture2D(u_colors, (vec2(mod(gridX, u_warp_count), 0.0) + 0.5) / u_colors_size).rgb;
+      vec3 weftColor = texture2D(u_colors, (vec2(mod(gridY, u_weft_count), 1.0) + 0.5) / u_colors_size).rgb;
+      if (u_layered > 0.5) {
+        warpColor = texture2D(u_colors, (vec2(tx, ty) + 0.5) / u_colors_size).rgb;
+        weftColor = texture2D(u_colors, (vec2(tx, ty + u_threading_size.y) + 0.5) / u_colors_size).rgb;
+      }
+      return isWarp > 0.5 ? warpColor : weftColor;
+    }
 
-      gl_FragColor = isWarp > 0.5 ? warpColor : weftColor;
+    // Cells under a pixel: a copy of drawMixedPattern in mixing.js. The pixel from
+    // corner to corner + 1 mixes the crossings it covers, weighted by area, in
+    // linear light.
+    vec2 threadSpan(float index, float row, float count) {
+      float unit = u_intersection_size / 256.0;
+      float periodIndex = floor((index + 0.5) / count);
+      float k = index - periodIndex * count;
+      float offset = periodIndex * layoutPrefix(count, row);
+      return vec2(offset + layoutPrefix(k, row), offset + layoutPrefix(k + 1.0, row)) * unit;
+    }
+
+    vec3 toLinear(vec3 c) {
+      return mix(pow((c + 0.055) / 1.055, vec3(2.4)), c / 12.92, vec3(lessThanEqual(c, vec3(0.04045))));
+    }
+
+    vec3 fromLinear(vec3 c) {
+      return mix(1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, c * 12.92, vec3(lessThanEqual(c, vec3(0.0031308))));
+    }
+
+    vec3 mixedColor(vec2 corner) {
+      float firstWarp = locateThread(corner.x, 0.0, u_width_counts.x).x;
+      float firstWeft = locateThread(corner.y, 1.0, u_width_counts.y).x;
+      vec3 sum = vec3(0.0);
+      float total = 0.0;
+      for (int j = 0; j < ${MIX_LIMIT}; j++) {
+        vec2 weftSpan = threadSpan(firstWeft + float(j), 1.0, u_width_counts.y);
+        float weftWeight = min(corner.y + 1.0, weftSpan.y) - max(corner.y, weftSpan.x);
+        for (int i = 0; i < ${MIX_LIMIT}; i++) {
+          vec2 warpSpan = threadSpan(firstWarp + float(i), 0.0, u_width_counts.x);
+          float weight = (min(corner.x + 1.0, warpSpan.y) - max(corner.x, warpSpan.x)) * weftWeight;
+          sum += toLinear(crossingColor(firstWarp + float(i), firstWeft + float(j))) * weight;
+          total += weight;
+          if (warpSpan.y >= corner.x + 1.0) break;
+        }
+        if (weftSpan.y >= corner.y + 1.0) break;
+      }
+      return fromLinear(sum / total);
+    }
+
+    void main() {
+      vec2 pixelCoord = fabricCoord(gl_FragCoord.xy, u_resolution);
+      vec3 warpThread = locateThread(pixelCoord.x, 0.0, u_width_counts.x);
+      vec3 weftThread = locateThread(pixelCoord.y, 1.0, u_width_counts.y);
+      float gridX = warpThread.x;
+      float gridY = weftThread.x;
+      vec2 local = pixelCoord - vec2(warpThread.y, weftThread.y);
+
+      vec3 color = u_intersection_size < 1.0 ? mixedColor(pixelCoord - 0.5) : crossingColor(gridX, gridY);
+      gl_FragColor = withOverlay(vec4(color, 1.0), local, vec2(warpThread.z, weftThread.z), vec2(gridX, gridY));
     }
   `;
 
   const fsSourceInterlacing = `
-    precision mediump float;
+    ${precisionSource}
     
     uniform vec2 u_resolution;
     uniform float u_intersection_size;
     uniform float u_thread_thickness;
     uniform float u_border_size;
     uniform float u_cut_size;
-    uniform float u_mode; // 0 = simple, 1 = interlacing
+    uniform float u_mode; // 0 = simple, 1 = interlacing, 2 = shaded
+    uniform float u_shadow;
     
     uniform sampler2D u_threading;
     uniform vec2 u_threading_size; // width, height
@@ -145,50 +392,121 @@ export function renderWebGL(element, definition, options) {
     uniform vec2 u_colors_size; // width (maxColors), height (2)
     uniform float u_warp_count;
     uniform float u_weft_count;
+    uniform float u_layered; // 1 = u_colors holds per-crossing warp/weft cells
+
+    uniform sampler2D u_yarns;
+    uniform vec2 u_yarns_size;
+    uniform vec2 u_yarn_counts; // warp, weft; 0 = plain threads
+
+    ${layoutSource}
+    ${overlaySource}
 
     const vec4 BORDER_COLOR = vec4(17.0/255.0, 17.0/255.0, 17.0/255.0, 1.0);
 
-    float sampleThread(bool isWarp, bool isTop, vec2 local, float cellSize, float topOuter) {
-      float outerThickness = u_thread_thickness + 2.0 * u_border_size;
-      float gap = isTop ? 0.0 : min(cellSize, topOuter + 2.0 * u_cut_size);
+    float sampleThread(bool isWarp, bool isTop, vec2 local, vec2 cell, float thickness, float topOuter) {
+      float outerThickness = thickness + 2.0 * u_border_size;
 
       if (isWarp) {
+        float gap = isTop ? 0.0 : min(cell.y, topOuter + 2.0 * u_cut_size);
         float outerHalfX = outerThickness * 0.5;
-        float centerX = cellSize * 0.5;
+        float centerX = cell.x * 0.5;
         float xDist = abs(local.x - centerX);
         if (xDist > outerHalfX) return 0.0;
 
-        float segLen = max(0.0, (cellSize - gap) * 0.5);
-        bool inSeg = local.y <= segLen || local.y >= cellSize - segLen;
+        float segLen = max(0.0, (cell.y - gap) * 0.5);
+        bool inSeg = local.y <= segLen || local.y >= cell.y - segLen;
         if (!isTop && !inSeg) return 0.0;
 
-        float innerHalfX = u_thread_thickness * 0.5;
+        float innerHalfX = thickness * 0.5;
         return xDist <= innerHalfX ? 2.0 : 1.0;
       } else {
+        float gap = isTop ? 0.0 : min(cell.x, topOuter + 2.0 * u_cut_size);
         float outerHalfY = outerThickness * 0.5;
-        float centerY = cellSize * 0.5;
+        float centerY = cell.y * 0.5;
         float yDist = abs(local.y - centerY);
         if (yDist > outerHalfY) return 0.0;
 
-        float segLen = max(0.0, (cellSize - gap) * 0.5);
-        bool inSeg = local.x <= segLen || local.x >= cellSize - segLen;
+        float segLen = max(0.0, (cell.x - gap) * 0.5);
+        bool inSeg = local.x <= segLen || local.x >= cell.x - segLen;
         if (!isTop && !inSeg) return 0.0;
 
-        float innerHalfY = u_thread_thickness * 0.5;
+        float innerHalfY = thickness * 0.5;
         return yDist <= innerHalfY ? 2.0 : 1.0;
       }
     }
 
+    // Shaded mode: a copy of shadeCrossing in shading.js, which the canvas backends use.
+    vec2 cylinder(float t) {
+      float normal = sqrt(max(0.0, 1.0 - t * t));
+      return vec2(0.4 + 0.6 * normal, 0.35 * max(0.0, 1.0 - abs(t + 0.35) / 0.3));
+    }
+
+    // x: 1 on the warp, 0 on the weft, -1 where neither shows; y: light; z: highlight
+    vec3 shadeCrossing(vec2 local, vec2 cell, bool warpOnTop, float warpThickness, float weftThickness) {
+      float topAcross = warpOnTop ? local.x - cell.x * 0.5 : local.y - cell.y * 0.5;
+      float topHalf = (warpOnTop ? warpThickness : weftThickness) * 0.5;
+      float topAlong = warpOnTop ? local.y / cell.y : local.x / cell.x;
+      if (abs(topAcross) <= topHalf) {
+        float arch = 0.85 + 0.15 * sin(3.141592653589793 * topAlong);
+        vec2 lit = cylinder(topAcross / topHalf);
+        return vec3(warpOnTop ? 1.0 : 0.0, lit.x * arch, lit.y * arch);
+      }
+
+      float underAcross = warpOnTop ? local.y - cell.y * 0.5 : local.x - cell.x * 0.5;
+      float underHalf = (warpOnTop ? weftThickness : warpThickness) * 0.5;
+      float underAlong = abs(warpOnTop ? local.x - cell.x * 0.5 : local.y - cell.y * 0.5);
+      float underLength = (warpOnTop ? cell.x : cell.y) * 0.5;
+      if (abs(underAcross) > underHalf || underAlong < topHalf + u_cut_size) return vec3(-1.0, 0.0, 0.0);
+
+      float dip = 0.6 + 0.25 * (underAlong / underLength);
+      float shade = 1.0 - u_shadow * exp(-(underAlong - topHalf) / max(1.0, topHalf));
+      vec2 lit = cylinder(underAcross / underHalf);
+      return vec3(warpOnTop ? 0.0 : 1.0, lit.x * dip * shade, lit.y * dip * shade);
+    }
+
+    // Yarn texture: a copy of yarnColor in yarn.js, reading the yarn's column of
+    // u_yarns from its first row (0 for warps, 5 for wefts).
+    float permute(float x) {
+      return mod((34.0 * x + 1.0) * x, 289.0);
+    }
+
+    float hash3(float a, float b, float c) {
+      return permute(permute(permute(mod(a, 289.0)) + mod(b, 289.0)) + mod(c, 289.0));
+    }
+
+    vec3 yarnColor(vec3 base, float column, float row, float thread, float along, float across, float thickness) {
+      vec4 params = floor(texture2D(u_yarns, (vec2(column, row) + 0.5) / u_yarns_size) * 255.0 + 0.5);
+      float twist = params.r - 1.0;
+      float size = max(1.0, thickness);
+      float phase = (along + twist * across) / (0.5 * size);
+      float fiberAlong = floor(phase * 2.0);
+      float fiberAcross = floor((across / size + 0.5) * 4.0);
+      vec3 color = base;
+      if (params.a > 0.5) {
+        float ply = params.b > 0.5
+          ? floor(hash3(fiberAcross, fiberAlong, thread) / 289.0 * params.a)
+          : mod(floor(phase), params.a);
+        color = texture2D(u_yarns, (vec2(column, row + 1.0 + ply) + 0.5) / u_yarns_size).rgb;
+      }
+      float striation = 1.0 - 0.12 * abs(twist) * (0.5 - 0.5 * cos(6.283185307179586 * phase));
+      float grain = 1.0 + params.g / 255.0 * (hash3(thread, fiberAlong, fiberAcross) / 288.0 - 0.5);
+      return min(vec3(1.0), color * striation * grain);
+    }
+
     void main() {
       // Pixel coordinates - gl_FragCoord.y grows from bottom, but our reference
       // implementations (Canvas/SVG) assume y=0 at the top. Flip Y here so
       // grid coordinates line up with the other backends.
-      vec2 pixelCoord = gl_FragCoord.xy;
-      float gridX = floor(pixelCoord.x / u_intersection_size);
-      float gridY = floor((u_resolution.y - pixelCoord.y) / u_intersection_size);
-      float localX = mod(pixelCoord.x, u_intersection_size);
-      float localY = mod(u_resolution.y - pixelCoord.y, u_intersection_size);
-      vec2 local = vec2(localX, localY);
+      vec2 pixelCoord = fabricCoord(gl_FragCoord.xy, u_resolution);
+      vec3 warpThread = locateThread(pixelCoord.x, 0.0, u_width_counts.x);
+      vec3 weftThread = locateThread(pixelCoord.y, 1.0, u_width_counts.y);
+      float gridX = warpThread.x;
+      float gridY = weftThread.x;
+      vec2 local = pixelCoord - vec2(warpThread.y, weftThread.y);
+      vec2 cell = vec2(warpThread.z, weftThread.z);
+      // Thread thickness scales with the thread's relative width
+      float warpThickness = u_thread_thickness * warpThread.z / u_intersection_size;
+      float weftThickness = u_thread_thickness * weftThread.z / u_intersection_size;
 
       // Threading coordinates (modulo)
       float tx = mod(gridX, u_threading_size.x);
@@ -201,41 +519,75 @@ export function renderWebGL(element, definition, options) {
 
       vec4 warpColor = vec4(texture2D(u_colors, (vec2(mod(gridX, u_warp_count), 0.0) + 0.5) / u_colors_size).rgb, 1.0);
       vec4 weftColor = vec4(texture2D(u_colors, (vec2(mod(gridY, u_weft_count), 1.0) + 0.5) / u_colors_size).rgb, 1.0);
+      if (u_layered > 0.5) {
+        warpColor = vec4(texture2D(u_colors, (vec2(tx, ty) + 0.5) / u_colors_size).rgb, 1.0);
+        weftColor = vec4(texture2D(u_colors, (vec2(tx, ty + u_threading_size.y) + 0.5) / u_colors_size).rgb, 1.0);
+      }
 
       if (u_mode < 0.5) {
-        gl_FragColor = isWarp > 0.5 ? warpColor : weftColor;
+        gl_FragColor = withOverlay(isWarp > 0.5 ? warpColor : weftColor, local, cell, vec2(gridX, gridY));
+        return;
+      }
+      if (u_yarn_counts.x > 0.5) {
+        warpColor.rgb = yarnColor(warpColor.rgb, mod(gridX, u_yarn_counts.x), 0.0, gridX,
+          pixelCoord.y, local.x - cell.x * 0.5, warpThickness);
+      }
+      if (u_yarn_counts.y > 0.5) {
+        weftColor.rgb = yarnColor(weftColor.rgb, mod(gridY, u_yarn_counts.y), 5.0, gridY + ${WEFT_SALT}.0,
+          pixelCoord.x, cell.y * 0.5 - local.y, weftThickness);
+      }
+      if (u_mode > 1.5) {
+        vec3 shaded = shadeCrossing(local, cell, isWarp > 0.5, warpThickness, weftThickness);
+        if (shaded.x < 0.0) {
+          gl_FragColor = withOverlay(vec4(0.0), local, cell, vec2(gridX, gridY));
+          return;
+        }
+        vec3 base = shaded.x > 0.5 ? warpColor.rgb : weftColor.rgb;
+        gl_FragColor = withOverlay(vec4(min(vec3(1.0), base * shaded.y + shaded.z), 1.0), local, cell, vec2(gridX, gridY));
         return;
       }
       vec4 outColor = vec4(0.0);
-      float topOuter = u_thread_thickness + 2.0 * u_border_size;
 
       if (isWarp > 0.5) {
-        float underSample = sampleThread(false, false, local, u_intersection_size, topOuter);
+        float topOuter = warpThickness + 2.0 * u_border_size;
+        float underSample = sampleThread(false, false, local, cell, weftThickness, topOuter);
         if (underSample > 0.0) {
           outColor = underSample == 2.0 ? weftColor : BORDER_COLOR;
         }
-        float topSample = sampleThread(true, true, local, u_intersection_size, 0.0);
+        float topSample = sampleThread(true, true, local, cell, warpThickness, 0.0);
         if (topSample > 0.0) {
           outColor = topSample == 2.0 ? warpColor : BORDER_COLOR;
         }
       } else {
-        float underSample = sampleThread(true, false, local, u_intersection_size, topOuter);
+        float topOuter = weftThickness + 2.0 * u_border_size;
+        float underSample = sampleThread(true, false, local, cell, warpThickness, topOuter);
         if (underSample > 0.0) {
           outColor = underSample == 2.0 ? warpColor : BORDER_COLOR;
         }
-        float topSample = sampleThread(false, true, local, u_intersection_size, 0.0);
+        float topSample = sampleThread(false, true, local, cell, weftThickness, 0.0);
         if (topSample > 0.0) {
           outColor = topSample == 2.0 ? weftColor : BORDER_COLOR;
         }
       }
 
-      gl_FragColor = outColor;
+      gl_FragColor = withOverlay(outColor, local, cell, vec2(gridX, gridY));
     }
   `;
 
-  const fsSource = isInterlacing ? fsSourceInterlacing : fsSourceSimple;
+  const fsSource = isInterlacing || isShaded ? fsSourceInterlacing : fsSourceSimple;
 
-  const program = createProgram(gl, vsSource, fsSource);
+  if (canvasCaches.get(canvas)?.gl !== gl) {
+    canvasCaches.set(canvas, { gl, programs: new Map(), textures: {}, positionBuffer: null });
+    // A lost context takes its resources along; a restored one starts over.
+    canvas.addEventListener('webglcontextlost', () => canvasCaches.delete(canvas), { once: true });
+  }
+  const cache = canvasCaches.get(canvas);
+  if (!cache.programs.has(fsSource)) {
+    const program = createProgram(gl, vsSource, fsSource);
+    if (!program) return;
+    cache.programs.set(fsSource, program);
+  }
+  const program = cache.programs.get(fsSource);
   gl.useProgram(program);
 
   // --- Uniforms ---
@@ -249,83 +601,162 @@ export function renderWebGL(element, definition, options) {
   const locColorsTex = gl.getUniformLocation(program, "u_colors");
 
   gl.uniform2f(locRes, width, height);
-  gl.uniform1f(locSize, intersection_size);
   gl.uniform2f(locThreadingSize, threadingWidth, threadingHeight);
-  gl.uniform2f(locColorsSize, maxColors, 2);
+  gl.uniform2f(locColorsSize, colorsTexWidth, colorsTexHeight);
+  gl.uniform1f(gl.getUniformLocation(program, "u_layered"), layered ? 1 : 0);
   gl.uniform1f(locWarpCount, warpPalette.length);
   gl.uniform1f(locWeftCount, weftPalette.length);
   gl.uniform1i(locThreadingTex, 0); // Texture unit 0
   gl.uniform1i(locColorsTex, 1);    // Texture unit 1
+  gl.uniform1i(gl.getUniformLocation(program, "u_layout"), 2); // Texture unit 2
+  gl.uniform2f(gl.getUniformLocation(program, "u_layout_size"), layoutTexWidth, 2);
+  gl.uniform2f(gl.getUniformLocation(program, "u_width_counts"), warpPrefix.length - 1, weftPrefix.length - 1);
+  gl.uniform2f(gl.getUniformLocation(program, "u_turn"), Math.cos(frame.angle), Math.sin(frame.angle));
+  const lines = resolveOverlay(options.overlay, definition);
 
-  if (isInterlacing) {
-    const locThreadThickness = gl.getUniformLocation(program, "u_thread_thickness");
-    const locBorderSize = gl.getUniformLocation(program, "u_border_size");
-    const locCutSize = gl.getUniformLocation(program, "u_cut_size");
+  if (isInterlacing || isShaded) {
     const locMode = gl.getUniformLocation(program, "u_mode");
-    gl.uniform1f(locThreadThickness, threadThickness);
-    gl.uniform1f(locBorderSize, borderSize);
-    gl.uniform1f(locCutSize, cutSize);
-    gl.uniform1f(locMode, 1);
+    gl.uniform1f(locMode, isShaded ? 2 : 1);
+    gl.uniform1f(gl.getUniformLocation(program, "u_shadow"), shadow);
+    gl.uniform1i(gl.getUniformLocation(program, "u_yarns"), 3); // Texture unit 3
+    gl.uniform2f(gl.getUniformLocation(program, "u_yarns_size"), yarnsTexWidth, 10);
+    gl.uniform2f(gl.getUniformLocation(program, "u_yarn_counts"), warpYarns.length, weftYarns.length);
   }
 
   // --- Textures ---
 
-  // Threading Texture (Unit 0)
-  const threadingTex = gl.createTexture();
-  gl.activeTexture(gl.TEXTURE0);
-  gl.bindTexture(gl.TEXTURE_2D, threadingTex);
-  // Use RGBA format for maximum compatibility
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, threadingWidth, threadingHeight, 0, gl.RGBA, gl.UNSIGNED_BYTE, threadingData);
-  const texError = gl.getError();
-  if (texError !== gl.NO_ERROR) {
-    console.error('WebGL error after texImage2D:', texError);
-  }
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-
-  // Colors Texture (Unit 1)
-  const colorsTex = gl.createTexture();
-  gl.activeTexture(gl.TEXTURE1);
-  gl.bindTexture(gl.TEXTURE_2D, colorsTex);
-  // We use FLOAT texture if OES_texture_float is available, otherwise generic byte texture.
-  // Actually, standard WebGL 1.0 doesn't support FLOAT textures by default without extension.
-  // Let's convert float colors to Uint8 for compatibility.
+  uploadTexture(gl, cache, 0, 'threading', threadingWidth, threadingHeight, threadingData);
+  // Standard WebGL 1.0 has no float textures without an extension, so the colors go
+  // up as bytes.
   const colorDataUint8 = new Uint8Array(colorData.length);
   for(let i=0; i<colorData.length; i++) colorDataUint8[i] = colorData[i] * 255;
-
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, maxColors, 2, 0, gl.RGBA, gl.UNSIGNED_BYTE, colorDataUint8);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  uploadTexture(gl, cache, 1, 'colors', colorsTexWidth, colorsTexHeight, colorDataUint8);
+  uploadTexture(gl, cache, 2, 'layout', layoutTexWidth, 2, layoutData);
+  uploadTexture(gl, cache, 3, 'yarns', yarnsTexWidth, 10, yarnData);
 
   // --- Geometry (Full Screen Quad) ---
-  const positionBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-    -1, -1,
-     1, -1,
-    -1,  1,
-    -1,  1,
-     1, -1,
-     1,  1,
-  ]), gl.STATIC_DRAW);
+  if (!cache.positionBuffer) {
+    cache.positionBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, cache.positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+      -1, -1,
+       1, -1,
+      -1,  1,
+      -1,  1,
+       1, -1,
+       1,  1,
+    ]), gl.STATIC_DRAW);
+  }
+  gl.bindBuffer(gl.ARRAY_BUFFER, cache.positionBuffer);
 
   const positionLocation = gl.getAttribLocation(program, "a_position");
   gl.enableVertexAttribArray(positionLocation);
   gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
 
-  // Ensure textures are bound before drawing
-  gl.activeTexture(gl.TEXTURE0);
-  gl.bindTexture(gl.TEXTURE_2D, threadingTex);
-  gl.activeTexture(gl.TEXTURE1);
-  gl.bindTexture(gl.TEXTURE_2D, colorsTex);
-
   // --- Draw ---
+  // The base pass covers the view. The zoom loop's pass runs the shader again over the
+  // loop's box, at the magnified cell size and line widths, turned about the loop's
+  // center, and blends over the base.
+  const passes = [{
+    cellSize: intersection_size,
+    threadThickness,
+    borderSize,
+    cutSize,
+    lineScale: ratio,
+    pivot: [width / 2, height / 2],
+    pan: [pan.x + width / 2, pan.y + height / 2],
+    loop: [0, 0, 0, 0],
+  }];
+  if (loop) {
+    passes.push({
+      cellSize: loopMode.cellSize,
+      threadThickness: isInterlacing || isShaded ? loopMode.thread_thickness : 0,
+      borderSize: isInterlacing ? loopMode.border_size : 0,
+      cutSize: isInterlacing || isShaded ? loopMode.cut_size : 0,
+      lineScale: ratio * zoom.factor,
+      pivot: [zoom.center.x, zoom.center.y],
+      pan: [loop.center.x, loop.center.y],
+      loop: [zoom.center.x, zoom.center.y, zoom.radius, zoom.borderSize || 0],
+    });
+    const loopColors = [zoom.backgroundColor || 'rgba(255,255,255,1)', zoom.borderColor || 'rgba(0,0,0,0.85)']
+      .map((color) => {
+        const [r, g, b, a] = resolveColor(color).norm;
+        return [r * a, g * a, b * a, a];
+      });
+    gl.uniform4fv(gl.getUniformLocation(program, "u_loop_colors"), loopColors.flat());
+  }
+
   gl.viewport(0, 0, width, height);
-  gl.drawArrays(gl.TRIANGLES, 0, 6);
+  passes.forEach((pass, index) => {
+    gl.uniform1f(locSize, pass.cellSize);
+    gl.uniform1f(gl.getUniformLocation(program, "u_thread_thickness"), pass.threadThickness);
+    gl.uniform1f(gl.getUniformLocation(program, "u_border_size"), pass.borderSize);
+    gl.uniform1f(gl.getUniformLocation(program, "u_cut_size"), pass.cutSize);
+    gl.uniform2f(gl.getUniformLocation(program, "u_pivot"), ...pass.pivot);
+    gl.uniform2f(gl.getUniformLocation(program, "u_pan"), ...pass.pan);
+    gl.uniform4f(gl.getUniformLocation(program, "u_loop"), ...pass.loop);
+    const overlay = overlayUniforms(lines, pass.lineScale);
+    gl.uniform4fv(gl.getUniformLocation(program, "u_overlay_colors"), overlay.colors.flat());
+    gl.uniform3fv(gl.getUniformLocation(program, "u_overlay_lines"), overlay.params.flat());
+    const floatParams = floatUniforms(floats, pass.lineScale);
+    gl.uniform4fv(gl.getUniformLocation(program, "u_float_colors"), floatParams.colors.flat());
+    gl.uniform2fv(gl.getUniformLocation(program, "u_float_params"), floatParams.params);
+
+    if (index > 0) {
+      // Only the loop and its border, premultiplied over the base
+      const [x, y, radius, border] = pass.loop;
+      const reach = radius + border / 2 + 1;
+      const left = Math.floor(x - reach);
+      const top = Math.floor(y - reach);
+      const size = Math.ceil(reach * 2) + 1;
+      gl.enable(gl.SCISSOR_TEST);
+      gl.scissor(left, height - top - size, size, size);
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  });
+  gl.disable(gl.SCISSOR_TEST);
+  gl.disable(gl.BLEND);
+}
+
+/**
+ * Free the programs, textures and buffer `renderWebGL` keeps for a canvas. A later
+ * render into it starts over.
+ */
+export function releaseWebGL(canvas) {
+  const cache = canvasCaches.get(canvas);
+  if (!cache) return;
+  const { gl } = cache;
+  cache.programs.forEach((program) => gl.deleteProgram(program));
+  Object.values(cache.textures).forEach(({ texture }) => gl.deleteTexture(texture));
+  if (cache.positionBuffer) gl.deleteBuffer(cache.positionBuffer);
+  canvasCaches.delete(canvas);
+}
+
+// Bind a cached texture to `unit`, creating it on first use, and upload `data` only
+// when it differs from what the texture holds.
+function uploadTexture(gl, cache, unit, name, width, height, data) {
+  let entry = cache.textures[name];
+  gl.activeTexture(gl.TEXTURE0 + unit);
+  if (!entry) {
+    entry = { texture: gl.createTexture(), width: 0, height: 0, data: null };
+    cache.textures[name] = entry;
+    gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  }
+  gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+  if (entry.width === width && entry.height === height && sameContents(entry.data, data)) return;
+  // Use RGBA format for maximum compatibility
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+  const texError = gl.getError();
+  if (texError !== gl.NO_ERROR) {
+    console.error('WebGL error after texImage2D:', texError);
+  }
+  Object.assign(entry, { width, height, data });
 }
 
 function createShader(gl, type, source) {
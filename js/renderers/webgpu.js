@@ -1,17 +1,33 @@
 
-import { resolvePalette } from './utils.js';
-
-
-
-export async function renderWebGPU(element, definition, options) {
-  const { threading, warp_colors, weft_colors } = definition;
+import { resolveColor, resolvePalette, resolveCellPalette, definitionForView, deviceOptions, panStart, pixelRatioOf, regionWithLoop, sameContents, sizeCanvas, threadsCovering, viewFrame, viewLayout, zoomDisplayMode, zoomLoopLayout } from './utils.js';
+import { validateWeave } from './validate.js';
+import { WEFT_SALT, resolveYarns } from './yarn.js';
+import { FLOAT_WARP, FLOAT_WEFT, floatUniforms, overlayUniforms, resolveFloats, resolveOverlay, viewFloatMask } from './overlay.js';
+import { MIX_LIMIT } from './mixing.js';
+
+// One device serves every canvas; it is requested on the first render and again
+// only if it is lost.
+let devicePromise = null;
+
+// The configured context, pipelines, buffers and bind group of each canvas, kept
+// between renders so a render writes only the buffers whose contents changed.
+const canvasStates = new WeakMap();
+
+export async function renderWebGPU(element, definition, cssOptions) {
+  const validation = validateWeave(definition, cssOptions);
+  // Render in device pixels; the canvas keeps its CSS size.
+  const ratio = validation.valid ? pixelRatioOf(cssOptions) : 1;
+  const options = deviceOptions(cssOptions, ratio);
   const displayMode = options.display_mode || options.displayMode || { type: 'simple', cellSize: options.cell_size || options.cellSize || 1 };
   const intersection_size = displayMode.cellSize || 1;
   const isInterlacing = displayMode.type === 'interlacing';
-  const threadThickness = isInterlacing ? (displayMode.thread_thickness ?? 6) : 0;
+  const isShaded = displayMode.type === 'shaded';
+  const threadThickness = isInterlacing || isShaded ? (displayMode.thread_thickness ?? 6) : 0;
   const borderSize = isInterlacing ? (displayMode.border_size ?? 1) : 0;
-  const cutSize = isInterlacing ? (displayMode.cut_size ?? 1) : 0;
+  const cutSize = isInterlacing ? (displayMode.cut_size ?? 1) : isShaded ? (displayMode.cut_size ?? 0) : 0;
+  const shadow = isShaded ? (displayMode.shadow ?? 0.45) : 0;
   const { width, height } = options;
+  if (!validation.valid && !(width > 0 && height > 0)) return validation;
 
   if (!navigator.gpu) {
     console.error("WebGPU not supported on this browser.");
@@ -29,26 +45,26 @@ export async function renderWebGPU(element, definition, options) {
     }
   }
 
-  canvas.width = width;
-  canvas.height = height;
-
-  const adapter = await navigator.gpu.requestAdapter();
-  if (!adapter) {
-    console.error("No appropriate GPUAdapter found.");
-    return;
+  sizeCanvas(canvas, cssOptions.width, cssOptions.height, ratio);
+
+  const device = await gpuDevice();
+  if (!device) return;
+  if (canvasStates.get(canvas)?.device !== device) {
+    releaseWebGPU(canvas);
+    const context = canvas.getContext("webgpu");
+    const format = navigator.gpu.getPreferredCanvasFormat();
+    context.configure({
+      device,
+      format,
+      alphaMode: "premultiplied",
+    });
+    canvasStates.set(canvas, { device, context, format, pipelines: new Map(), buffers: {}, bindGroups: null });
   }
-  const device = await adapter.requestDevice();
-  const context = canvas.getContext("webgpu");
-  const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
-
-  context.configure({
-    device,
-    format: presentationFormat,
-    alphaMode: "premultiplied",
-  });
+  const state = canvasStates.get(canvas);
+  const { context, format: presentationFormat } = state;
 
-  // Validate inputs / Empty State
-  if (!threading || !threading.length || !threading[0].length) {
+  // Invalid input: clear to the empty state
+  if (!validation.valid) {
     const encoder = device.createCommandEncoder();
     const pass = encoder.beginRenderPass({
       colorAttachments: [{
@@ -60,21 +76,50 @@ export async function renderWebGPU(element, definition, options) {
     });
     pass.end();
     device.queue.submit([encoder.finish()]);
-    return;
+    return validation;
   }
 
+  const layout = viewLayout(definition, options.side, intersection_size, { width, height });
+  // The camera's pan and the view's rotation: fragments turn their position about the
+  // view center and sample the fabric this many pixels on.
+  const pan = options.pan || { x: 0, y: 0 };
+  const frame = viewFrame(width, height, options.rotation, pan);
+  const warpStart = panStart(layout.warps, frame.x);
+  const weftStart = panStart(layout.wefts, frame.y);
+  // The zoom loop is a second pass of the same shader, at the magnified cell size.
+  const zoom = options.zoom_state?.active ? options.zoom_state : null;
+  const loopMode = zoom ? zoomDisplayMode(displayMode, zoom.factor) : null;
+  const loop = zoom ? zoomLoopLayout(layout, frame, zoom, loopMode.cellSize) : null;
+  const region = {
+    x: warpStart.first,
+    y: weftStart.first,
+    warps: threadsCovering(layout.warps, warpStart.first, frame.width + warpStart.scroll),
+    wefts: threadsCovering(layout.wefts, weftStart.first, frame.height + weftStart.scroll),
+    visibleWarps: layout.visibleWarps,
+  };
+  const viewRegion = loop ? regionWithLoop(region, loop) : region;
+  const view = definitionForView(definition, options.side, viewRegion);
+  const { threading } = view;
   const threadingHeight = threading.length;
   const threadingWidth = threading[0].length;
-  const warpPalette = resolvePalette(warp_colors);
-  const weftPalette = resolvePalette(weft_colors);
+  // A layered view colors each crossing, indexed like the threading buffer
+  const layered = Boolean(view.warp_cells);
+  const warpPalette = layered ? resolveCellPalette(view.warp_cells) : resolvePalette(view.warp_colors);
+  const weftPalette = layered ? resolveCellPalette(view.weft_cells) : resolvePalette(view.weft_colors);
 
   // --- Data Preparation ---
 
-  // 1. Threading Buffer (Uint32 for simplicity in shader, though Uint8 is tighter)
+  // 1. Threading Buffer (Uint32 for simplicity in shader, though Uint8 is tighter).
+  // Bit 0 is the crossing; bits 1 and 2 mark long warp and weft floats for the overlay.
+  const floats = resolveFloats(options.overlay);
+  const floatMask = floats ? viewFloatMask(definition, options.side, viewRegion, threading, floats.limit) : null;
   const threadingData = new Uint32Array(threadingWidth * threadingHeight);
   for (let y = 0; y < threadingHeight; y++) {
     for (let x = 0; x < threadingWidth; x++) {
-      threadingData[y * threadingWidth + x] = threading[y][x] ? 1 : 0;
+      const flag = floatMask ? floatMask[y][x] : 0;
+      threadingData[y * threadingWidth + x] = (threading[y][x] ? 1 : 0)
+        | (flag & FLOAT_WARP ? 2 : 0)
+        | (flag & FLOAT_WEFT ? 4 : 0);
     }
   }
 
@@ -82,32 +127,88 @@ export async function renderWebGPU(element, definition, options) {
   const warpData = new Float32Array(warpPalette.flatMap((c) => c.norm));
   const weftData = new Float32Array(weftPalette.flatMap((c) => c.norm));
 
-  // 3. Uniforms
-  const uniformData = new Float32Array([
-    width, height, intersection_size, 0, // vec4 padding
-    threadingWidth, threadingHeight, 0, 0,
-    warpPalette.length, weftPalette.length, 0, 0,
-    threadThickness, borderSize, cutSize, isInterlacing ? 1 : 0,
-  ]);
+  // 3. Layout Buffer: running sums of the warp widths, then of the weft widths
+  const warpWidthCount = layout.warps.units.length;
+  const weftWidthCount = layout.wefts.units.length;
+  const layoutData = new Uint32Array([...layout.warps.prefix, ...layout.wefts.prefix]);
+
+  // 4. Yarn Buffer: five vec4s per yarn (twist, noise, heather, ply count, then the
+  // ply colors), warp yarns first; a blank yarn keeps it from being empty
+  const warpYarns = resolveYarns(view.warp_yarns) ?? [];
+  const weftYarns = resolveYarns(view.weft_yarns) ?? [];
+  const yarnData = new Float32Array(Math.max(1, warpYarns.length + weftYarns.length) * 20);
+  [...warpYarns, ...weftYarns].forEach((yarn, k) => {
+    if (!yarn) return;
+    yarnData.set([yarn.twist, yarn.noise, yarn.heather ? 1 : 0, yarn.plies.length], k * 20);
+    yarn.plies.forEach((ply, p) => yarnData.set(ply.norm, k * 20 + 4 + p * 4));
+  });
 
-  // --- Buffers ---
-  const createBuffer = (arr, usage) => {
-    const buffer = device.createBuffer({
-      size: arr.byteLength,
-      usage: usage | GPUBufferUsage.COPY_DST,
-    });
-    device.queue.writeBuffer(buffer, 0, arr);
-    return buffer;
+  // 5. Uniforms, one buffer per pass. The base pass covers the view. The zoom loop's
+  // pass runs the shader again over the loop's box, at the magnified cell size and
+  // line widths, turned about the loop's center, and blends over the base.
+  const lines = resolveOverlay(options.overlay, definition);
+  const loopColors = zoom
+    ? [zoom.backgroundColor || 'rgba(255,255,255,1)', zoom.borderColor || 'rgba(0,0,0,0.85)'].map((color) => {
+        const [r, g, b, a] = resolveColor(color).norm;
+        return [r * a, g * a, b * a, a];
+      })
+    : [[0, 0, 0, 0], [0, 0, 0, 0]];
+  const passUniforms = (pass) => {
+    const overlay = overlayUniforms(lines, pass.lineScale);
+    const floatParams = floatUniforms(floats, pass.lineScale);
+    return new Float32Array([
+      width, height, pass.cellSize, 0, // vec4 padding
+      threadingWidth, threadingHeight, 0, 0,
+      warpPalette.length, weftPalette.length, 0, 0,
+      pass.threadThickness, pass.borderSize, pass.cutSize, isShaded ? 2 : isInterlacing ? 1 : 0,
+      layered ? 1 : 0, shadow, warpWidthCount, weftWidthCount,
+      warpYarns.length, weftYarns.length, 0, 0,
+      ...overlay.colors.flat(),
+      ...overlay.params.flatMap((line) => [...line, 0]),
+      ...floatParams.colors.flat(),
+      ...floatParams.params, 0, 0,
+      ...pass.pan, Math.cos(frame.angle), Math.sin(frame.angle),
+      ...pass.pivot, 0, 0,
+      ...pass.loop,
+      ...loopColors.flat(),
+    ]);
   };
+  const passes = [{
+    cellSize: intersection_size,
+    threadThickness,
+    borderSize,
+    cutSize,
+    lineScale: ratio,
+    pivot: [width / 2, height / 2],
+    pan: [pan.x + width / 2, pan.y + height / 2],
+    loop: [0, 0, 0, 0],
+  }];
+  if (loop) {
+    passes.push({
+      cellSize: loopMode.cellSize,
+      threadThickness: isInterlacing || isShaded ? loopMode.thread_thickness : 0,
+      borderSize: isInterlacing ? loopMode.border_size : 0,
+      cutSize: isInterlacing || isShaded ? loopMode.cut_size : 0,
+      lineScale: ratio * zoom.factor,
+      pivot: [zoom.center.x, zoom.center.y],
+      pan: [loop.center.x, loop.center.y],
+      loop: [zoom.center.x, zoom.center.y, zoom.radius, zoom.borderSize || 0],
+    });
+  }
 
-  const threadingBuffer = createBuffer(threadingData, GPUBufferUsage.STORAGE);
-  const warpBuffer = createBuffer(warpData, GPUBufferUsage.STORAGE);
-  const weftBuffer = createBuffer(weftData, GPUBufferUsage.STORAGE);
-  const uniformBuffer = createBuffer(uniformData, GPUBufferUsage.UNIFORM);
+  // --- Buffers ---
+  // Each is written only when its contents changed, and replaced only when its size did.
+  const replaced = [
+    ...passes.map((pass, index) => uploadBuffer(state, `uniforms${index}`, passUniforms(pass), GPUBufferUsage.UNIFORM)),
+    uploadBuffer(state, 'threading', threadingData, GPUBufferUsage.STORAGE),
+    uploadBuffer(state, 'warp', warpData, GPUBufferUsage.STORAGE),
+    uploadBuffer(state, 'weft', weftData, GPUBufferUsage.STORAGE),
+    uploadBuffer(state, 'layout', layoutData, GPUBufferUsage.STORAGE),
+    uploadBuffer(state, 'yarns', yarnData, GPUBufferUsage.STORAGE),
+  ].some(Boolean);
 
   // --- Shader ---
-  const shaderModule = device.createShaderModule({
-    code: `
+  const shaderCode = `
       struct Uniforms {
         resolution : vec2f,
         intersection_size : f32,
@@ -120,42 +221,88 @@ export async function renderWebGPU(element, definition, options) {
         border_size : f32,
         cut_size : f32,
         mode : f32,
+        layered : f32,
+        shadow : f32,
+        width_counts : vec2f,
+        yarn_counts : vec2f,
+        padding4 : vec2f,
+        overlay_colors : array<vec4f, 3>, // grid, major, repeat; alpha 0 = not drawn
+        overlay_lines : array<vec4f, 3>,  // width, every N warps, every N picks (0 = none)
+        float_colors : array<vec4f, 2>,   // warp, weft; alpha 0 = not drawn
+        float_params : vec4f,             // outline (0 = tint), line width
+        pan : vec2f,                      // fabric position under the pivot
+        turn : vec2f,                     // cosine and sine of the view's clockwise rotation
+        pivot : vec2f,                    // the pixel the fabric turns about
+        padding5 : vec2f,
+        zoom_loop : vec4f,                // loop center, radius and border width; radius 0 = base pass
+        loop_colors : array<vec4f, 2>,    // loop background and border, premultiplied
       }
 
       @group(0) @binding(0) var<uniform> uniforms : Uniforms;
       @group(0) @binding(1) var<storage, read> threading : array<u32>;
       @group(0) @binding(2) var<storage, read> warp_colors : array<vec4f>;
       @group(0) @binding(3) var<storage, read> weft_colors : array<vec4f>;
+      @group(0) @binding(4) var<storage, read> thread_layout : array<u32>;
+      @group(0) @binding(5) var<storage, read> yarns : array<vec4f>;
 
       struct VertexOutput {
         @builtin(position) position : vec4f,
       }
 
+      // The thread under a pixel, found in the running sums of the thread widths
+      // stored from thread_layout[base]: its index, its start and its size in pixels.
+      fn locateThread(position: f32, base: u32, count: u32) -> vec3f {
+        let unit = uniforms.intersection_size / 256.0;
+        let period = f32(thread_layout[base + count]);
+        let u = position / unit;
+        let periodIndex = floor(u / period);
+        let rem = u - periodIndex * period;
+        var lo = 0u;
+        var hi = count;
+        loop {
+          if (hi - lo <= 1u) { break; }
+          let mid = (lo + hi) / 2u;
+          if (f32(thread_layout[base + mid]) <= rem) {
+            lo = mid;
+          } else {
+            hi = mid;
+          }
+        }
+        let start = f32(thread_layout[base + lo]);
+        let end = f32(thread_layout[base + lo + 1u]);
+        return vec3f(periodIndex * f32(count) + f32(lo), (periodIndex * period + start) * unit, (end - start) * unit);
+      }
+
       fn sampleThread(
         isWarp: bool,
         isTop: bool,
         local: vec2f,
-        cellSize: f32,
+        cell: vec2f,
         topOuterSize: f32,
         threadThickness: f32,
         borderSize: f32,
         cutSize: f32
       ) -> f32 {
         let outerThickness = threadThickness + 2.0 * borderSize;
+        // The under thread leaves a gap along its length for the top thread
+        var span = cell.x;
+        if (isWarp) {
+          span = cell.y;
+        }
         var gap: f32;
         if (isTop) {
           gap = 0.0;
         } else {
-          gap = min(cellSize, topOuterSize + 2.0 * cutSize);
+          gap = min(span, topOuterSize + 2.0 * cutSize);
         }
 
         if (isWarp) {
           let outerHalfX = outerThickness * 0.5;
-          let centerX = cellSize * 0.5;
+          let centerX = cell.x * 0.5;
           let xDist = abs(local.x - centerX);
           if (xDist > outerHalfX) { return 0.0; }
-          let segLen = max(0.0, (cellSize - gap) * 0.5);
-          let inSeg = local.y <= segLen || local.y >= cellSize - segLen;
+          let segLen = max(0.0, (cell.y - gap) * 0.5);
+          let inSeg = local.y <= segLen || local.y >= cell.y - segLen;
           if (!isTop && !inSeg) { return 0.0; }
           let innerHalfX = threadThickness * 0.5;
           if (xDist <= innerHalfX) {
@@ -165,11 +312,11 @@ export async function renderWebGPU(element, definition, options) {
           }
         } else {
           let outerHalfY = outerThickness * 0.5;
-          let centerY = cellSize * 0.5;
+          let centerY = cell.y * 0.5;
           let yDist = abs(local.y - centerY);
           if (yDist > outerHalfY) { return 0.0; }
-          let segLen = max(0.0, (cellSize - gap) * 0.5);
-          let inSeg = local.x <= segLen || local.x >= cellSize - segLen;
+          let segLen = max(0.0, (cell.x - gap) * 0.5);
+          let inSeg = local.x <= segLen || local.x >= cell.x - segLen;
           if (!isTop && !inSeg) { return 0.0; }
           let innerHalfY = threadThickness * 0.5;
           if (yDist <= innerHalfY) {
@@ -180,6 +327,182 @@ export async function renderWebGPU(element, definition, options) {
         }
       }
 
+      // Shaded mode: a copy of shadeCrossing in shading.js, which the canvas backends use.
+      fn cylinder(t: f32) -> vec2f {
+        let normal = sqrt(max(0.0, 1.0 - t * t));
+        return vec2f(0.4 + 0.6 * normal, 0.35 * max(0.0, 1.0 - abs(t + 0.35) / 0.3));
+      }
+
+      // x: 1 on the warp, 0 on the weft, -1 where neither shows; y: light; z: highlight
+      fn shadeCrossing(local: vec2f, cell: vec2f, warpOnTop: bool, warpThickness: f32, weftThickness: f32) -> vec3f {
+        let topAcross = select(local.y - cell.y * 0.5, local.x - cell.x * 0.5, warpOnTop);
+        let topHalf = select(weftThickness, warpThickness, warpOnTop) * 0.5;
+        let topAlong = select(local.x / cell.x, local.y / cell.y, warpOnTop);
+        if (abs(topAcross) <= topHalf) {
+          let arch = 0.85 + 0.15 * sin(3.141592653589793 * topAlong);
+          let lit = cylinder(topAcross / topHalf);
+          return vec3f(select(0.0, 1.0, warpOnTop), lit.x * arch, lit.y * arch);
+        }
+
+        let underAcross = select(local.x - cell.x * 0.5, local.y - cell.y * 0.5, warpOnTop);
+        let underHalf = select(warpThickness, weftThickness, warpOnTop) * 0.5;
+        let underAlong = abs(select(local.y - cell.y * 0.5, local.x - cell.x * 0.5, warpOnTop));
+        let underLength = select(cell.y, cell.x, warpOnTop) * 0.5;
+        if (abs(underAcross) > underHalf || underAlong < topHalf + uniforms.cut_size) {
+          return vec3f(-1.0, 0.0, 0.0);
+        }
+
+        let dip = 0.6 + 0.25 * (underAlong / underLength);
+        let shade = 1.0 - uniforms.shadow * exp(-(underAlong - topHalf) / max(1.0, topHalf));
+        let lit = cylinder(underAcross / underHalf);
+        return vec3f(select(1.0, 0.0, warpOnTop), lit.x * dip * shade, lit.y * dip * shade);
+      }
+
+      // Yarn texture: a copy of yarnColor in yarn.js. Each yarn is five vec4s from
+      // the yarns buffer: twist, noise, heather and ply count, then up to four ply colors.
+      fn floorMod(x: f32, m: f32) -> f32 {
+        return x - floor(x / m) * m;
+      }
+
+      fn permute(x: f32) -> f32 {
+        return floorMod((34.0 * x + 1.0) * x, 289.0);
+      }
+
+      fn hash3(a: f32, b: f32, c: f32) -> f32 {
+        return permute(permute(permute(floorMod(a, 289.0)) + floorMod(b, 289.0)) + floorMod(c, 289.0));
+      }
+
+      fn yarnColor(base: vec3f, yarn: u32, thread: f32, along: f32, across: f32, thickness: f32) -> vec3f {
+        let params = yarns[yarn];
+        let size = max(1.0, thickness);
+        let phase = (along + params.x * across) / (0.5 * size);
+        let fiberAlong = floor(phase * 2.0);
+        let fiberAcross = floor((across / size + 0.5) * 4.0);
+        var color = base;
+        if (params.w > 0.5) {
+          var ply = floorMod(floor(phase), params.w);
+          if (params.z > 0.5) {
+            ply = floor(hash3(fiberAcross, fiberAlong, thread) / 289.0 * params.w);
+          }
+          color = yarns[yarn + 1u + u32(ply)].rgb;
+        }
+        let striation = 1.0 - 0.12 * abs(params.x) * (0.5 - 0.5 * cos(6.283185307179586 * phase));
+        let grain = 1.0 + params.y * (hash3(thread, fiberAlong, fiberAcross) / 288.0 - 0.5);
+        return min(vec3f(1.0), color * striation * grain);
+      }
+
+      // Long floats, then grid and repeat lines, over the finished pixel, as overlay.js
+      // draws them for the canvas backends; the result is premultiplied for the canvas.
+      fn blendOver(dst: vec4f, src: vec4f) -> vec4f {
+        let alpha = src.a + dst.a * (1.0 - src.a);
+        if (alpha <= 0.0) { return vec4f(0.0); }
+        return vec4f((src.rgb * src.a + dst.rgb * dst.a * (1.0 - src.a)) / alpha, alpha);
+      }
+
+      // Long warp and weft float flags of a threading cell
+      fn floatFlags(i: f32, j: f32) -> vec2f {
+        let tx = u32(floorMod(i, uniforms.threading_size.x));
+        let ty = u32(floorMod(j, uniforms.threading_size.y));
+        let bits = threading[ty * u32(uniforms.threading_size.x) + tx];
+        return vec2f(f32((bits >> 1u) & 1u), f32((bits >> 2u) & 1u));
+      }
+
+      // A copy of floatRects in overlay.js: the whole cell, or its outline edges
+      fn floatHighlight(local: vec2f, cell: vec2f, grid: vec2f) -> vec4f {
+        let flags = floatFlags(grid.x, grid.y);
+        if (flags.x + flags.y < 0.5) { return vec4f(0.0); }
+        let color = select(uniforms.float_colors[1], uniforms.float_colors[0], flags.x > 0.5);
+        if (uniforms.float_params.x < 0.5) { return color; }
+        let w = uniforms.float_params.y;
+        let left = flags.y < 0.5 || floatFlags(grid.x - 1.0, grid.y).y < 0.5;
+        let right = flags.y < 0.5 || floatFlags(grid.x + 1.0, grid.y).y < 0.5;
+        let top = flags.x < 0.5 || floatFlags(grid.x, grid.y - 1.0).x < 0.5;
+        let bottom = flags.x < 0.5 || floatFlags(grid.x, grid.y + 1.0).x < 0.5;
+        let edge = (left && local.x < w) || (right && local.x >= cell.x - w)
+          || (top && local.y < w) || (bottom && local.y >= cell.y - w);
+        return select(vec4f(0.0), color, edge);
+      }
+
+      fn withOverlay(base: vec4f, local: vec2f, cell: vec2f, grid: vec2f) -> vec4f {
+        var color = blendOver(base, floatHighlight(local, cell, grid));
+        for (var k = 0; k < 3; k++) {
+          let lineColor = uniforms.overlay_colors[k];
+          let line = uniforms.overlay_lines[k];
+          if (lineColor.a <= 0.0) { continue; }
+          if (line.y > 0.5 && local.x < line.x && floorMod(grid.x, line.y) < 0.5) { color = blendOver(color, lineColor); }
+          if (line.z > 0.5 && local.y < line.x && floorMod(grid.y, line.z) < 0.5) { color = blendOver(color, lineColor); }
+        }
+        return withLoop(vec4f(color.rgb * color.a, color.a));
+      }
+
+      // In the zoom loop's pass: over the loop's background inside it, under its
+      // border, and clear outside; the pass is blended over the base.
+      var<private> fragPosition : vec2f;
+
+      fn withLoop(color: vec4f) -> vec4f {
+        let zoomLoop = uniforms.zoom_loop;
+        if (zoomLoop.z <= 0.0) { return color; }
+        let d = distance(fragPosition, zoomLoop.xy);
+        let inside = (color + uniforms.loop_colors[0] * (1.0 - color.a)) * clamp(zoomLoop.z - d + 0.5, 0.0, 1.0);
+        let border = uniforms.loop_colors[1] * clamp(zoomLoop.w * 0.5 - abs(d - zoomLoop.z) + 0.5, 0.0, 1.0);
+        return border + inside * (1.0 - border.a);
+      }
+
+      // Cells under a pixel: a copy of drawMixedPattern in mixing.js. The pixel from
+      // corner to corner + 1 mixes the crossings it covers, weighted by area, in
+      // linear light.
+      fn threadSpan(index: f32, base: u32, count: u32) -> vec2f {
+        let unit = uniforms.intersection_size / 256.0;
+        let period = f32(thread_layout[base + count]);
+        let periodIndex = floor((index + 0.5) / f32(count));
+        let k = u32(index - periodIndex * f32(count));
+        let offset = periodIndex * period;
+        return vec2f(offset + f32(thread_layout[base + k]), offset + f32(thread_layout[base + k + 1u])) * unit;
+      }
+
+      fn crossingColor(gridX: f32, gridY: f32) -> vec3f {
+        let tx = u32(floorMod(gridX, uniforms.threading_size.x));
+        let ty = u32(floorMod(gridY, uniforms.threading_size.y));
+        let tIndex = ty * u32(uniforms.threading_size.x) + tx;
+        let isWarp = (threading[tIndex] & 1u) > 0u;
+        if (uniforms.layered > 0.5) {
+          return select(weft_colors[tIndex].rgb, warp_colors[tIndex].rgb, isWarp);
+        }
+        let warpColor = warp_colors[u32(floorMod(gridX, uniforms.color_counts.x))].rgb;
+        let weftColor = weft_colors[u32(floorMod(gridY, uniforms.color_counts.y))].rgb;
+        return select(weftColor, warpColor, isWarp);
+      }
+
+      fn toLinear(c: vec3f) -> vec3f {
+        return select(pow((c + 0.055) / 1.055, vec3f(2.4)), c / 12.92, c <= vec3f(0.04045));
+      }
+
+      fn fromLinear(c: vec3f) -> vec3f {
+        return select(1.055 * pow(c, vec3f(1.0 / 2.4)) - 0.055, c * 12.92, c <= vec3f(0.0031308));
+      }
+
+      fn mixedColor(corner: vec2f) -> vec3f {
+        let warpCount = u32(uniforms.width_counts.x);
+        let weftCount = u32(uniforms.width_counts.y);
+        let firstWarp = locateThread(corner.x, 0u, warpCount).x;
+        let firstWeft = locateThread(corner.y, warpCount + 1u, weftCount).x;
+        var sum = vec3f(0.0);
+        var total = 0.0;
+        for (var j = 0; j < ${MIX_LIMIT}; j++) {
+          let weftSpan = threadSpan(firstWeft + f32(j), warpCount + 1u, weftCount);
+          let weftWeight = min(corner.y + 1.0, weftSpan.y) - max(corner.y, weftSpan.x);
+          for (var i = 0; i < ${MIX_LIMIT}; i++) {
+            let warpSpan = threadSpan(firstWarp + f32(i), 0u, warpCount);
+            let weight = (min(corner.x + 1.0, warpSpan.y) - max(corner.x, warpSpan.x)) * weftWeight;
+            sum += toLinear(crossingColor(firstWarp + f32(i), firstWeft + f32(j))) * weight;
+            total += weight;
+            if (warpSpan.y >= corner.x + 1.0) { break; }
+          }
+          if (weftSpan.y >= corner.y + 1.0) { break; }
+        }
+        return fromLinear(sum / total);
+      }
+
       @vertex
       fn vs_main(@builtin(vertex_index) vertexIndex : u32) -> VertexOutput {
         var pos = array<vec2f, 6>(
@@ -192,29 +515,66 @@ export async function renderWebGPU(element, definition, options) {
       }
 
       @fragment
-      fn fs_main(@builtin(position) pixelCoord : vec4f) -> @location(0) vec4f {
-        let gridX = floor(pixelCoord.x / uniforms.intersection_size);
-        let gridY = floor(pixelCoord.y / uniforms.intersection_size);
-
-        let localX = pixelCoord.x % uniforms.intersection_size;
-        let localY = pixelCoord.y % uniforms.intersection_size;
-
-        let tx = u32(gridX) % u32(uniforms.threading_size.x);
-        let ty = u32(gridY) % u32(uniforms.threading_size.y);
+      fn fs_main(@builtin(position) fragCoord : vec4f) -> @location(0) vec4f {
+        // The fabric position under the fragment, turned about the pivot
+        fragPosition = fragCoord.xy;
+        let d = fragCoord.xy - uniforms.pivot;
+        let turn = uniforms.turn;
+        let pixelCoord = vec2f(turn.x * d.x + turn.y * d.y, turn.x * d.y - turn.y * d.x) + uniforms.pan;
+        let warpCount = u32(uniforms.width_counts.x);
+        let warpThread = locateThread(pixelCoord.x, 0u, warpCount);
+        let weftThread = locateThread(pixelCoord.y, warpCount + 1u, u32(uniforms.width_counts.y));
+        let gridX = warpThread.x;
+        let gridY = weftThread.x;
+        let grid = vec2f(gridX, gridY);
+
+        let local = pixelCoord - vec2f(warpThread.y, weftThread.y);
+        let cell = vec2f(warpThread.z, weftThread.z);
+        // Thread thickness scales with the thread's relative width
+        let warpThickness = uniforms.thread_thickness * warpThread.z / uniforms.intersection_size;
+        let weftThickness = uniforms.thread_thickness * weftThread.z / uniforms.intersection_size;
+
+        let tx = u32(floorMod(gridX, uniforms.threading_size.x));
+        let ty = u32(floorMod(gridY, uniforms.threading_size.y));
         
         let tIndex = ty * u32(uniforms.threading_size.x) + tx;
-        let isWarp = threading[tIndex] > 0u;
+        let isWarp = (threading[tIndex] & 1u) > 0u;
 
-        let warpColor = warp_colors[u32(gridX) % u32(uniforms.color_counts.x)];
-        let weftColor = weft_colors[u32(gridY) % u32(uniforms.color_counts.y)];
+        var warpColor = warp_colors[u32(floorMod(gridX, uniforms.color_counts.x))];
+        var weftColor = weft_colors[u32(floorMod(gridY, uniforms.color_counts.y))];
+        if (uniforms.layered > 0.5) {
+          warpColor = warp_colors[tIndex];
+          weftColor = weft_colors[tIndex];
+        }
         let borderColor = vec4f(17.0/255.0, 17.0/255.0, 17.0/255.0, 1.0);
-        let topOuter = uniforms.thread_thickness + 2.0 * uniforms.border_size;
+
+        // Yarn textures of the thread modes; a count of zero leaves the threads plain
+        if (uniforms.mode > 0.5 && uniforms.yarn_counts.x > 0.5) {
+          let yarn = u32(floorMod(gridX, uniforms.yarn_counts.x)) * 5u;
+          warpColor = vec4f(yarnColor(warpColor.rgb, yarn, gridX, pixelCoord.y, local.x - cell.x * 0.5, warpThickness), 1.0);
+        }
+        if (uniforms.mode > 0.5 && uniforms.yarn_counts.y > 0.5) {
+          let yarn = u32(uniforms.yarn_counts.x + floorMod(gridY, uniforms.yarn_counts.y)) * 5u;
+          weftColor = vec4f(yarnColor(weftColor.rgb, yarn, gridY + ${WEFT_SALT}.0, pixelCoord.x, cell.y * 0.5 - local.y, weftThickness), 1.0);
+        }
+
+        if (uniforms.mode > 1.5) {
+          let shaded = shadeCrossing(local, cell, isWarp, warpThickness, weftThickness);
+          if (shaded.x < 0.0) {
+            return withOverlay(vec4f(0.0), local, cell, grid);
+          }
+          let base = select(weftColor.rgb, warpColor.rgb, shaded.x > 0.5);
+          return withOverlay(vec4f(min(vec3f(1.0), base * shaded.y + shaded.z), 1.0), local, cell, grid);
+        }
 
         if (uniforms.mode < 0.5) {
+          if (uniforms.intersection_size < 1.0) {
+            return withOverlay(vec4f(mixedColor(pixelCoord - 0.5), 1.0), local, cell, grid);
+          }
           if (isWarp) {
-            return warpColor;
+            return withOverlay(warpColor, local, cell, grid);
           } else {
-            return weftColor;
+            return withOverlay(weftColor, local, cell, grid);
           }
         }
 
@@ -223,7 +583,8 @@ export async function renderWebGPU(element, definition, options) {
         // helper for warp (vertical)
 
         if (isWarp) {
-          let underSample = sampleThread(false, false, vec2f(localX, localY), uniforms.intersection_size, topOuter, uniforms.thread_thickness, uniforms.border_size, uniforms.cut_size);
+          let topOuter = warpThickness + 2.0 * uniforms.border_size;
+          let underSample = sampleThread(false, false, local, cell, topOuter, weftThickness, uniforms.border_size, uniforms.cut_size);
           if (underSample > 0.0) {
             if (underSample == 2.0) {
               outColor = weftColor;
@@ -231,7 +592,7 @@ export async function renderWebGPU(element, definition, options) {
               outColor = borderColor;
             }
           }
-          let topSample = sampleThread(true, true, vec2f(localX, localY), uniforms.intersection_size, 0.0, uniforms.thread_thickness, uniforms.border_size, uniforms.cut_size);
+          let topSample = sampleThread(true, true, local, cell, 0.0, warpThickness, uniforms.border_size, uniforms.cut_size);
           if (topSample > 0.0) {
             if (topSample == 2.0) {
               outColor = warpColor;
@@ -240,7 +601,8 @@ export async function renderWebGPU(element, definition, options) {
             }
           }
         } else {
-          let underSample = sampleThread(true, false, vec2f(localX, localY), uniforms.intersection_size, topOuter, uniforms.thread_thickness, uniforms.border_size, uniforms.cut_size);
+          let topOuter = weftThickness + 2.0 * uniforms.border_size;
+          let underSample = sampleThread(true, false, local, cell, topOuter, warpThickness, uniforms.border_size, uniforms.cut_size);
           if (underSample > 0.0) {
             if (underSample == 2.0) {
               outColor = warpColor;
@@ -248,7 +610,7 @@ export async function renderWebGPU(element, definition, options) {
               outColor = borderColor;
             }
           }
-          let topSample = sampleThread(false, true, vec2f(localX, localY), uniforms.intersection_size, 0.0, uniforms.thread_thickness, uniforms.border_size, uniforms.cut_size);
+          let topSample = sampleThread(false, true, local, cell, 0.0, weftThickness, uniforms.border_size, uniforms.cut_size);
           if (topSample > 0.0) {
             if (topSample == 2.0) {
               outColor = weftColor;
@@ -258,36 +620,56 @@ export async function renderWebGPU(element, definition, options) {
           }
         }
 
-        return outColor;
+        return withOverlay(outColor, local, cell, grid);
       }
-    `
-  });
-
-  const pipeline = device.createRenderPipeline({
-    layout: "auto",
-    vertex: {
-      module: shaderModule,
-      entryPoint: "vs_main",
-    },
-    fragment: {
-      module: shaderModule,
-      entryPoint: "fs_main",
-      targets: [{ format: presentationFormat }],
-    },
-    primitive: {
-      topology: "triangle-list",
-    },
-  });
-
-  const bindGroup = device.createBindGroup({
-    layout: pipeline.getBindGroupLayout(0),
-    entries: [
-      { binding: 0, resource: { buffer: uniformBuffer } },
-      { binding: 1, resource: { buffer: threadingBuffer } },
-      { binding: 2, resource: { buffer: warpBuffer } },
-      { binding: 3, resource: { buffer: weftBuffer } },
-    ],
-  });
+    `;
+
+  if (!state.pipelines.has(shaderCode)) {
+    const shaderModule = device.createShaderModule({ code: shaderCode });
+    state.pipelines.set(shaderCode, device.createRenderPipeline({
+      layout: "auto",
+      vertex: {
+        module: shaderModule,
+        entryPoint: "vs_main",
+      },
+      fragment: {
+        module: shaderModule,
+        entryPoint: "fs_main",
+        // Premultiplied over: the base pass covers the cleared canvas, the loop's
+        // pass blends over it.
+        targets: [{
+          format: presentationFormat,
+          blend: {
+            color: { srcFactor: "one", dstFactor: "one-minus-src-alpha" },
+            alpha: { srcFactor: "one", dstFactor: "one-minus-src-alpha" },
+          },
+        }],
+      },
+      primitive: {
+        topology: "triangle-list",
+      },
+    }));
+  }
+  const pipeline = state.pipelines.get(shaderCode);
+
+  if (replaced || state.bindGroups?.pipeline !== pipeline || state.bindGroups.groups.length < passes.length) {
+    const { buffers } = state;
+    state.bindGroups = {
+      pipeline,
+      groups: passes.map((pass, index) => device.createBindGroup({
+        layout: pipeline.getBindGroupLayout(0),
+        entries: [
+          { binding: 0, resource: { buffer: buffers[`uniforms${index}`].buffer } },
+          { binding: 1, resource: { buffer: buffers.threading.buffer } },
+          { binding: 2, resource: { buffer: buffers.warp.buffer } },
+          { binding: 3, resource: { buffer: buffers.weft.buffer } },
+          { binding: 4, resource: { buffer: buffers.layout.buffer } },
+          { binding: 5, resource: { buffer: buffers.yarns.buffer } },
+        ],
+      })),
+    };
+  }
+  const { groups } = state.bindGroups;
 
   const commandEncoder = device.createCommandEncoder();
   const passEncoder = commandEncoder.beginRenderPass({
@@ -300,9 +682,75 @@ export async function renderWebGPU(element, definition, options) {
   });
 
   passEncoder.setPipeline(pipeline);
-  passEncoder.setBindGroup(0, bindGroup);
-  passEncoder.draw(6);
+  passes.forEach((pass, index) => {
+    if (index > 0) {
+      // Only the loop and its border, inside the canvas
+      const [x, y, radius, border] = pass.loop;
+      const reach = radius + border / 2 + 1;
+      const left = Math.max(0, Math.floor(x - reach));
+      const top = Math.max(0, Math.floor(y - reach));
+      const right = Math.min(width, Math.ceil(x + reach) + 1);
+      const bottom = Math.min(height, Math.ceil(y + reach) + 1);
+      if (right <= left || bottom <= top) return;
+      passEncoder.setScissorRect(left, top, right - left, bottom - top);
+    }
+    passEncoder.setBindGroup(0, groups[index]);
+    passEncoder.draw(6);
+  });
   passEncoder.end();
 
   device.queue.submit([commandEncoder.finish()]);
 }
+
+/**
+ * Free the buffers `renderWebGPU` keeps for a canvas and unconfigure its context. A
+ * later render into it starts over.
+ */
+export function releaseWebGPU(canvas) {
+  const state = canvasStates.get(canvas);
+  if (!state) return;
+  Object.values(state.buffers).forEach(({ buffer }) => buffer.destroy());
+  state.context.unconfigure();
+  canvasStates.delete(canvas);
+}
+
+// The shared device, or null without a suitable adapter. Rejects if the request fails.
+function gpuDevice() {
+  if (!devicePromise) {
+    devicePromise = navigator.gpu.requestAdapter().then(async (adapter) => {
+      if (!adapter) {
+        console.error("No appropriate GPUAdapter found.");
+        devicePromise = null;
+        return null;
+      }
+      const device = await adapter.requestDevice();
+      device.lost.then(() => {
+        devicePromise = null;
+      });
+      return device;
+    }).catch((err) => {
+      // A failed request is tried again on the next render instead of cached.
+      devicePromise = null;
+      throw err;
+    });
+  }
+  return devicePromise;
+}
+
+// Write `data` to the canvas's buffer `name` unless it already holds it, creating
+// the buffer when there is none of that size. Returns whether a buffer was created.
+function uploadBuffer(state, name, data, usage) {
+  const entry = state.buffers[name];
+  if (entry && sameContents(entry.data, data)) return false;
+  const replace = !entry || entry.buffer.size !== data.byteLength;
+  if (replace) {
+    entry?.buffer.destroy();
+    state.buffers[name] = {
+      buffer: state.device.createBuffer({ size: data.byteLength, usage: usage | GPUBufferUsage.COPY_DST }),
+      data,
+    };
+  }
+  state.device.queue.writeBuffer(state.buffers[name].buffer, 0, data);
+  state.buffers[name].data = data;
+  return replace;
+}
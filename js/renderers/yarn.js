@@ -0,0 +1,87 @@
+/**
+ * Procedural yarn texture for the thread display modes. A yarn is
+ * `{ twist: 'S' | 'Z' | 'none', noise: 0..1, plies: [color, ...], heather: boolean }`:
+ * twist draws diagonal striations, noise varies the fibers' brightness, and plies (up
+ * to `MAX_PLIES` colors) twist around each other, or are mixed fiber by fiber when
+ * `heather` is set. A yarn without plies textures the thread's own color.
+ *
+ * `yarnColor` is the reference the canvas backends draw with; the WebGL and WebGPU
+ * shaders carry copies of it. Its hash works on small integers in floating point so
+ * that JavaScript, GLSL ES 1.0 and WGSL agree exactly.
+ */
+
+import { resolvePalette } from './utils.js';
+
+/** Most ply colors a yarn may have, as the GPU backends store them. */
+export const MAX_PLIES = 4;
+
+/** Thread index offset for picks, so warps and wefts of equal index differ in grain. */
+export const WEFT_SALT = 144;
+
+const TWIST = { S: -1, none: 0, Z: 1 };
+
+/**
+ * Resolve a definition's `warp_yarns` or `weft_yarns` (one yarn for every thread, or a
+ * periodic sequence where `null` is a plain thread) into the form `yarnColor` takes.
+ * Noise is rounded to the byte the WebGL backend stores it in.
+ *
+ * @returns {({ twist: number, noise: number, heather: boolean, plies: { norm: number[], css: string }[] } | null)[] | null}
+ *   null when the definition has no yarns.
+ */
+export function resolveYarns(yarns) {
+  if (yarns === undefined || yarns === null) return null;
+  return (Array.isArray(yarns) ? yarns : [yarns]).map((yarn) => yarn && {
+    twist: TWIST[yarn.twist ?? 'Z'],
+    noise: Math.round(Math.min(1, Math.max(0, yarn.noise ?? 0)) * 255) / 255,
+    heather: Boolean(yarn.heather),
+    plies: resolvePalette(yarn.plies ?? []),
+  });
+}
+
+/**
+ * The color of a yarn at a point on its thread.
+ *
+ * @param {Object|null} yarn - A resolved yarn; null leaves `base` untouched.
+ * @param {number[]} base - The thread's normalized color.
+ * @param {number} thread - Thread index, plus `WEFT_SALT` for picks.
+ * @param {number} along - Pixel position along the thread.
+ * @param {number} across - Signed offset from the thread's center line, in pixels.
+ * @param {number} thickness - Thread thickness in pixels; the texture scales with it.
+ * @returns {number[]} Normalized RGB.
+ */
+export function yarnColor(yarn, base, thread, along, across, thickness) {
+  if (!yarn) return base;
+  const size = Math.max(1, thickness);
+  const phase = (along + yarn.twist * across) / (0.5 * size);
+  const fiberAlong = Math.floor(phase * 2);
+  const fiberAcross = Math.floor((across / size + 0.5) * 4);
+
+  let color = base;
+  const plyCount = yarn.plies.length;
+  if (plyCount) {
+    const ply = yarn.heather
+      ? Math.floor((hash3(fiberAcross, fiberAlong, thread) / 289) * plyCount)
+      : mod(Math.floor(phase), plyCount);
+    color = yarn.plies[ply].norm;
+  }
+  const striation = 1 - 0.12 * Math.abs(yarn.twist) * (0.5 - 0.5 * Math.cos(2 * Math.PI * phase));
+  const grain = 1 + yarn.noise * (hash3(thread, fiberAlong, fiberAcross) / 288 - 0.5);
+  return [0, 1, 2].map((c) => Math.min(1, color[c] * striation * grain));
+}
+
+/**
+ * Hash of three integers to an integer in [0, 289), by the permutation polynomial
+ * `(34x + 1)x mod 289`. Every intermediate value stays below 2^24.
+ */
+export function hash3(a, b, c) {
+  return permute(permute(permute(mod(a, 289)) + mod(b, 289)) + mod(c, 289));
+}
+
+function permute(x) {
+  return mod((34 * x + 1) * x, 289);
+}
+
+// Floored modulo, as GLSL's mod().
+function mod(x, m) {
+  return x - Math.floor(x / m) * m;
+}
@@ -0,0 +1,82 @@
+/**
+ * Minimal repeat detection for periodic weave definitions.
+ *
+ * A definition is one repeat of an infinite fabric, but it is often materialized far
+ * larger than its true repeat (e.g. sampled from functions over a generous
+ * declared period). These helpers find the smallest cyclic period of the threading and
+ * of each color sequence so the definition can be shrunk without changing the cloth.
+ */
+
+/**
+ * The smallest cyclic period of a sequence: the least `p` with
+ * `values[k] === values[(k + p) % n]` for every `k`. It always divides `n`.
+ *
+ * @param {Array} values
+ * @param {(a: *, b: *) => boolean} [equals] - Element comparison (defaults to `===`).
+ * @returns {number} The period (0 for an empty sequence).
+ */
+export function minimalPeriod(values, equals = (a, b) => a === b) {
+  const n = values.length;
+  for (const p of divisors(n)) {
+    let periodic = true;
+    for (let k = p; k < n && periodic; k++) {
+      periodic = equals(values[k], values[k - p]);
+    }
+    if (periodic) return p;
+  }
+  return n;
+}
+
+/**
+ * Find the smallest repeat of the threading and of each color sequence.
+ *
+ * @param {Object} definition - The weave definition.
+ * @returns {{ width: number, height: number, warpColors: number, weftColors: number }}
+ *   Threading repeat size in warps and picks, and the period of each color sequence
+ *   (0 for a missing one).
+ */
+export function findMinimalRepeat(definition) {
+  const { threading } = definition;
+  const sameRow = (a, b) => a === b || (a.length === b.length && a.every((cell, i) => cell === b[i]));
+  const height = minimalPeriod(threading, sameRow);
+  const width = threading.length ? minimalPeriod(columnsOf(threading)) : 0;
+  return {
+    width,
+    height,
+    warpColors: minimalPeriod(definition.warp_colors ?? []),
+    weftColors: minimalPeriod(definition.weft_colors ?? []),
+  };
+}
+
+/**
+ * Shrink a definition to its minimal repeat. The rendered fabric is unchanged.
+ *
+ * @param {Object} definition - The weave definition.
+ * @returns {Object} A definition whose threading and colors are no larger than needed.
+ */
+export function reduceDefinition(definition) {
+  const repeat = findMinimalRepeat(definition);
+  return {
+    ...definition,
+    threading: definition.threading.slice(0, repeat.height).map((row) => row.slice(0, repeat.width)),
+    warp_colors: definition.warp_colors?.slice(0, repeat.warpColors),
+    weft_colors: definition.weft_colors?.slice(0, repeat.weftColors),
+  };
+}
+
+// Columns are compared as strings so the width search is a plain sequence period.
+function columnsOf(threading) {
+  return threading[0].map((_, i) => threading.map((row) => (row[i] ? '1' : '0')).join(''));
+}
+
+function divisors(n) {
+  const small = [];
+  const large = [];
+  for (let d = 1; d * d <= n; d++) {
+    if (n % d === 0) {
+      small.push(d);
+      if (d !== n / d) large.unshift(n / d);
+    }
+  }
+  return [...small, ...large];
+}
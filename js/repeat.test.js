@@ -0,0 +1,39 @@
+import { describe, test, expect } from 'vitest';
+import { minimalPeriod, findMinimalRepeat, reduceDefinition } from './repeat.js';
+import { risingTwill } from './patterns.js';
+import { tile } from './transforms.js';
+
+describe('Minimal repeats', () => {
+  test('minimalPeriod finds the smallest cyclic period', () => {
+    expect(minimalPeriod([1, 2, 1, 2, 1, 2])).toBe(2);
+    expect(minimalPeriod(['a', 'a', 'a'])).toBe(1);
+    expect(minimalPeriod([1, 2, 3, 1, 2])).toBe(5);
+    expect(minimalPeriod([])).toBe(0);
+  });
+
+  test('a tiled twill reduces to its natural repeat', () => {
+    const definition = tile({
+      threading: risingTwill(2, 2),
+      warp_colors: ['#ff0000', '#0000ff', '#ff0000', '#0000ff', '#ff0000', '#0000ff'],
+      weft_colors: ['#000000', '#000000', '#000000'],
+    }, 3, 2);
+    expect(findMinimalRepeat(definition)).toEqual({ width: 4, height: 4, warpColors: 2, weftColors: 1 });
+
+    const reduced = reduceDefinition(definition);
+    expect(reduced.threading).toEqual(risingTwill(2, 2));
+    expect(reduced.warp_colors).toEqual(['#ff0000', '#0000ff']);
+    expect(reduced.weft_colors).toEqual(['#000000']);
+  });
+
+  test('width and height are found independently', () => {
+    const threading = [
+      [true, false, true, false, true, false],
+      [false, false, false, false, false, false],
+      [true, false, true, false, true, false],
+      [false, false, false, false, false, false],
+    ];
+    const repeat = findMinimalRepeat({ threading, warp_colors: ['#fff'], weft_colors: ['#000'] });
+    expect(repeat.width).toBe(2);
+    expect(repeat.height).toBe(2);
+  });
+});
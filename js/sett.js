@@ -0,0 +1,168 @@
+import chroma from 'chroma-js';
+
+/**
+ * Tartan sett (thread-count) notation.
+ *
+ * A sett lists stripes as a color code followed by a thread count, e.g.
+ * `K4 R24 G12 Y2`. Written as is, the sequence repeats unchanged (an asymmetric
+ * sett). A `/` before or after the list, or on the first and last stripes as in
+ * `K/4 R24 G12 Y/2`, marks a symmetric half-sett: the stripes are woven out to the
+ * last pivot and back again, each pivot appearing once with the count given.
+ */
+
+/** Conventional tartan color codes. Pass `options.colors` to add or override codes. */
+export const DEFAULT_SETT_COLORS = {
+  K: '#101010',
+  W: '#ffffff',
+  N: '#808080',
+  R: '#c8102e',
+  G: '#00563f',
+  B: '#1f3a93',
+  A: '#5b8fc7',
+  Y: '#f2c500',
+  O: '#e87722',
+  P: '#5b2c83',
+  T: '#a0785a',
+};
+
+/**
+ * Parse sett notation into stripes.
+ *
+ * @param {string} text - Sett notation such as `K4 R24 G12 Y2 /`.
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.colors] - Extra color codes, merged over `DEFAULT_SETT_COLORS`.
+ * @returns {{ stripes: { code: string, color: string, count: number }[], symmetric: boolean }}
+ */
+export function parseSett(text, options = {}) {
+  const dictionary = colorDictionary(options.colors);
+  const tokens = String(text).trim().split(/[\s,]+/).filter(Boolean);
+  const stripes = [];
+  const pivots = [];
+  let symmetric = false;
+
+  tokens.forEach((token, idx) => {
+    if (token === '/') {
+      if (idx !== 0 && idx !== tokens.length - 1) {
+        throw new Error(`Sett: "/" must come before or after the stripes, found at position ${idx + 1}`);
+      }
+      symmetric = true;
+      return;
+    }
+    const match = /^([A-Za-z]+)(\/?)(\d+)$/.exec(token);
+    if (!match) throw new Error(`Sett: cannot parse stripe "${token}"`);
+    const code = match[1].toUpperCase();
+    const count = parseInt(match[3], 10);
+    if (!(code in dictionary)) throw new Error(`Sett: unknown color code "${match[1]}"`);
+    if (count <= 0) throw new Error(`Sett: stripe "${token}" must have a positive count`);
+    if (match[2]) pivots.push(stripes.length);
+    stripes.push({ code, color: dictionary[code], count });
+  });
+
+  if (!stripes.length) throw new Error('Sett: no stripes given');
+  if (pivots.length) {
+    if (pivots.some((pos) => pos !== 0 && pos !== stripes.length - 1)) {
+      throw new Error('Sett: pivots must be the first and last stripes');
+    }
+    symmetric = true;
+  }
+  return { stripes, symmetric };
+}
+
+/**
+ * Expand a sett into one color per thread, covering a full repeat.
+ *
+ * @param {string|Object} sett - Sett notation, or the result of `parseSett`.
+ * @param {Object} [options] - Passed to `parseSett`.
+ * @returns {string[]} Thread colors.
+ */
+export function expandSett(sett, options = {}) {
+  const { stripes, symmetric } = typeof sett === 'string' ? parseSett(sett, options) : sett;
+  const order = symmetric ? [...stripes, ...stripes.slice(1, -1).reverse()] : stripes;
+  return order.flatMap(({ color, count }) => Array(count).fill(color));
+}
+
+/**
+ * Expand warp and weft setts into definition color sequences. Most tartans use the
+ * same sett in both directions, so the weft defaults to the warp.
+ *
+ * @param {string|Object} warpSett
+ * @param {string|Object} [weftSett=warpSett]
+ * @param {Object} [options] - Passed to `parseSett`.
+ * @returns {{ warp_colors: string[], weft_colors: string[] }}
+ */
+export function settColors(warpSett, weftSett = warpSett, options = {}) {
+  return {
+    warp_colors: expandSett(warpSett, options),
+    weft_colors: expandSett(weftSett, options),
+  };
+}
+
+/**
+ * Write a sett back as notation. A color array is run-length encoded and written as
+ * a half-sett when it is symmetric about a pivot at its first thread, so the
+ * notation always expands back to the same sequence in the same phase.
+ *
+ * @param {string[]|Object} sett - Thread colors, or the result of `parseSett`.
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.colors] - Extra color codes, merged over `DEFAULT_SETT_COLORS`.
+ * @param {boolean} [options.symmetric] - Set to `false` to always write the full sett.
+ * @returns {string} Notation such as `K4 R24 G12 Y2 /`.
+ */
+export function formatSett(sett, options = {}) {
+  let stripes;
+  let symmetric;
+  if (Array.isArray(sett)) {
+    const codeFor = reverseDictionary(colorDictionary(options.colors));
+    const runs = codeRuns(sett.map(codeFor));
+    symmetric = options.symmetric !== false && isSymmetricAtStart(runs);
+    stripes = symmetric ? runs.slice(0, runs.length / 2 + 1) : runs;
+  } else {
+    ({ stripes, symmetric } = sett);
+    symmetric = symmetric && options.symmetric !== false;
+    if (sett.symmetric && !symmetric) stripes = [...stripes, ...stripes.slice(1, -1).reverse()];
+  }
+  const body = stripes.map(({ code, count }) => `${code}${count}`).join(' ');
+  return symmetric ? `${body} /` : body;
+}
+
+function colorDictionary(extra = {}) {
+  const dictionary = {};
+  for (const [code, color] of Object.entries({ ...DEFAULT_SETT_COLORS, ...extra })) {
+    dictionary[code.toUpperCase()] = color;
+  }
+  return dictionary;
+}
+
+// Colors are matched by their hex value so `'red'`, `'#f00'` and `'#ff0000'` agree.
+function reverseDictionary(dictionary) {
+  const byHex = new Map();
+  for (const [code, color] of Object.entries(dictionary)) {
+    const hex = chroma(color).hex();
+    if (!byHex.has(hex)) byHex.set(hex, code);
+  }
+  return (color) => {
+    const code = chroma.valid(color) ? byHex.get(chroma(color).hex()) : undefined;
+    if (!code) throw new Error(`Sett: no color code for ${JSON.stringify(color)}`);
+    return code;
+  };
+}
+
+function codeRuns(codes) {
+  const runs = [];
+  for (const code of codes) {
+    const last = runs[runs.length - 1];
+    if (last && last.code === code) last.count++;
+    else runs.push({ code, count: 1 });
+  }
+  return runs;
+}
+
+// A symmetric sett of h stripes expands to 2h - 2 runs mirrored about runs 0 and h - 1.
+function isSymmetricAtStart(runs) {
+  const m = runs.length;
+  if (m < 4 || m % 2 !== 0) return false;
+  for (let k = 1; k < m / 2; k++) {
+    if (runs[k].code !== runs[m - k].code || runs[k].count !== runs[m - k].count) return false;
+  }
+  return true;
+}
@@ -0,0 +1,50 @@
+import { describe, test, expect } from 'vitest';
+import { parseSett, expandSett, settColors, formatSett, DEFAULT_SETT_COLORS } from './sett.js';
+
+const { K, R, G, Y } = DEFAULT_SETT_COLORS;
+
+describe('Tartan setts', () => {
+  test('asymmetric setts repeat as written', () => {
+    expect(parseSett('K2 R1, Y3')).toEqual({
+      stripes: [
+        { code: 'K', color: K, count: 2 },
+        { code: 'R', color: R, count: 1 },
+        { code: 'Y', color: Y, count: 3 },
+      ],
+      symmetric: false,
+    });
+    expect(expandSett('K2 R1 Y3')).toEqual([K, K, R, Y, Y, Y]);
+  });
+
+  test('half-setts mirror about both pivots', () => {
+    const full = [K, K, R, R, R, G, Y, G, R, R, R];
+    expect(expandSett('K2 R3 G1 Y1 /')).toEqual(full);
+    expect(expandSett('/ K2 R3 G1 Y1')).toEqual(full);
+    expect(expandSett('K/2 R3 G1 Y/1')).toEqual(full);
+  });
+
+  test('custom codes extend the dictionary', () => {
+    const colors = { lg: '#90ee90' };
+    expect(settColors('LG2 K1', 'W1', { colors })).toEqual({
+      warp_colors: ['#90ee90', '#90ee90', K],
+      weft_colors: ['#ffffff'],
+    });
+  });
+
+  test('bad notation throws', () => {
+    expect(() => parseSett('')).toThrow('Sett: no stripes given');
+    expect(() => parseSett('X4')).toThrow('unknown color code "X"');
+    expect(() => parseSett('K0')).toThrow('positive count');
+    expect(() => parseSett('K4 / R2')).toThrow('"/" must come before or after');
+    expect(() => parseSett('K4 R/2 G2')).toThrow('pivots must be the first and last');
+  });
+
+  test('formatting round-trips and detects symmetry', () => {
+    expect(formatSett(parseSett('K/4 R24 G12 Y/2'))).toBe('K4 R24 G12 Y2 /');
+    expect(formatSett(expandSett('K4 R24 G12 Y2 /'))).toBe('K4 R24 G12 Y2 /');
+    expect(formatSett(expandSett('K4 R24 G12 Y2 /'), { symmetric: false })).toBe('K4 R24 G12 Y2 G12 R24');
+    expect(formatSett(expandSett('K4 R24 G12 Y2'))).toBe('K4 R24 G12 Y2');
+    expect(formatSett(['red', 'red', '#ff0000'], { colors: { r: 'red' } })).toBe('R3');
+    expect(() => formatSett(['#123456'])).toThrow('Sett: no color code for "#123456"');
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, test, expect } from 'vitest';
+import { interlaceCrossing, shadeCrossing } from './renderers/shading.js';
+
+// A 20px crossing with 8px threads and the default shadow.
+const shade = (x, y, warpOnTop) => shadeCrossing(x, y, 20, 20, warpOnTop, 8, 8, 0, 0.45);
+
+describe('Shaded display mode', () => {
+  test('the top thread is lit as a cylinder arching over the crossing', () => {
+    const center = shade(10.5, 10.5, true);
+    expect(center.isWarp).toBe(true);
+    expect(shade(6.5, 10.5, true).light).toBeLessThan(center.light);
+    expect(shade(10.5, 0.5, true).light).toBeLessThan(center.light);
+    // Lit from the top left: the highlight sits left of a warp's center.
+    expect(shade(9.5, 10.5, true).highlight).toBeGreaterThan(shade(11.5, 10.5, true).highlight);
+  });
+
+  test('the under thread dips beneath the top thread in its soft shadow', () => {
+    const nearTop = shade(14.5, 10.5, true);
+    const farFromTop = shade(19.5, 10.5, true);
+    expect(nearTop.isWarp).toBe(false);
+    expect(nearTop.light).toBeLessThan(farFromTop.light);
+    expect(shadeCrossing(14.5, 10.5, 20, 20, true, 8, 8, 0, 0).light).toBeGreaterThan(nearTop.light);
+    expect(shade(2.5, 2.5, true)).toBeNull();
+  });
+
+  test('warp and weft are shaded alike', () => {
+    expect(shade(10.5, 3.5, true)).toEqual({ ...shade(3.5, 10.5, false), isWarp: true });
+    expect(shade(3.5, 10.5, true)).toEqual({ ...shade(10.5, 3.5, false), isWarp: false });
+  });
+
+  test('interlaced threads are sampled with borders and a gap around the top thread', () => {
+    const interlace = (x, y) => interlaceCrossing(x, y, 20, 20, true, 8, 8, 1, 1);
+    expect(interlace(10.5, 2.5)).toEqual({ isWarp: true, border: false });
+    expect(interlace(5.5, 2.5)).toEqual({ isWarp: true, border: true });
+    expect(interlace(2.5, 10.5)).toEqual({ isWarp: false, border: false });
+    expect(interlace(14.5, 10.5)).toEqual({ isWarp: true, border: true });
+    expect(interlace(15.5, 10.5)).toBeNull();
+  });
+});
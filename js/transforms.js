@@ -0,0 +1,120 @@
+/**
+ * Composable transforms over weave definitions.
+ *
+ * Each transform takes a definition `{ threading, warp_colors, weft_colors }` and
+ * returns a new one, leaving the input untouched. The threading and both color
+ * sequences are periodic with their own lengths, so every transform moves each of
+ * them by its own modulus: warp thread `i` keeps its color wherever it ends up.
+ */
+
+const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
+
+/**
+ * Swap the roles of warp and weft (a reflection across the main diagonal). The
+ * thread that was warp `i` becomes weft `i`, so every crossing flips and the two
+ * color sequences trade places.
+ */
+export function transpose(definition) {
+  const { threading } = definition;
+  const width = threading[0].length;
+  const transposed = [];
+  for (let i = 0; i < width; i++) {
+    transposed.push(threading.map((row) => !row[i]));
+  }
+  return {
+    ...definition,
+    threading: transposed,
+    warp_colors: definition.weft_colors,
+    weft_colors: definition.warp_colors,
+  };
+}
+
+/** Mirror left to right, reversing the order of the warp threads. */
+export function mirrorHorizontal(definition) {
+  return {
+    ...definition,
+    threading: definition.threading.map((row) => [...row].reverse()),
+    warp_colors: [...definition.warp_colors].reverse(),
+  };
+}
+
+/** Mirror top to bottom, reversing the order of the weft picks. */
+export function mirrorVertical(definition) {
+  return {
+    ...definition,
+    threading: [...definition.threading].reverse(),
+    weft_colors: [...definition.weft_colors].reverse(),
+  };
+}
+
+/**
+ * Rotate by a number of quarter turns clockwise (negative turns go
+ * counter-clockwise). A clockwise quarter turn is a transpose followed by a
+ * horizontal mirror; a counter-clockwise one uses a vertical mirror instead.
+ */
+export function rotate(definition, quarterTurns = 1) {
+  const turns = wrapIndex(quarterTurns, 4);
+  if (turns === 0) return { ...definition };
+  if (turns === 2) return mirrorVertical(mirrorHorizontal(definition));
+  return turns === 1 ? mirrorHorizontal(transpose(definition)) : mirrorVertical(transpose(definition));
+}
+
+/**
+ * Cyclically shift the fabric so warp `dx` and pick `dy` become the first column
+ * and row.
+ */
+export function shift(definition, dx = 0, dy = 0) {
+  const rotateArray = (arr, by) => arr.map((_, k) => arr[wrapIndex(k + by, arr.length)]);
+  return {
+    ...definition,
+    threading: rotateArray(definition.threading, dy).map((row) => rotateArray(row, dx)),
+    warp_colors: rotateArray(definition.warp_colors, dx),
+    weft_colors: rotateArray(definition.weft_colors, dy),
+  };
+}
+
+/** Flip every crossing, putting the weft on top wherever the warp was and vice versa. */
+export function invert(definition) {
+  return {
+    ...definition,
+    threading: definition.threading.map((row) => row.map((cell) => !cell)),
+  };
+}
+
+/**
+ * Repeat the threading `countX` times across and `countY` times down. The color
+ * sequences are already periodic and are left as they are.
+ */
+export function tile(definition, countX = 1, countY = countX) {
+  const nx = Math.max(1, Math.floor(countX));
+  const ny = Math.max(1, Math.floor(countY));
+  const wideRows = definition.threading.map((row) => Array.from({ length: nx }, () => row).flat());
+  return {
+    ...definition,
+    threading: Array.from({ length: ny }, () => wideRows.map((row) => [...row])).flat(),
+  };
+}
+
+/**
+ * Cut out a `width` x `height` window starting at warp `x` and pick `y` and make it
+ * the new repeat. The window wraps around the existing repeat, and the color
+ * sequences are cut to the same window so they line up with the new threading.
+ */
+export function crop(definition, x, y, width, height) {
+  const { threading } = definition;
+  const cut = (arr, start, length) => Array.from({ length }, (_, k) => arr[wrapIndex(start + k, arr.length)]);
+  return {
+    ...definition,
+    threading: Array.from({ length: height }, (_, j) => cut(threading[wrapIndex(y + j, threading.length)], x, width)),
+    warp_colors: cut(definition.warp_colors, x, width),
+    weft_colors: cut(definition.weft_colors, y, height),
+  };
+}
+
+/**
+ * Compose transforms left to right into a single transform. Each step is a function
+ * of a definition, e.g. `composeTransforms(transpose, (d) => shift(d, 2, 0))`.
+ */
+export function composeTransforms(...steps) {
+  return (definition) => steps.reduce((current, step) => step(current), definition);
+}
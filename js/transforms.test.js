@@ -0,0 +1,54 @@
+import { describe, test, expect } from 'vitest';
+import { transpose, rotate, mirrorHorizontal, mirrorVertical, shift, invert, tile, crop, composeTransforms } from './transforms.js';
+
+const def = {
+  threading: [
+    [true, false, false],
+    [true, true, false],
+  ],
+  warp_colors: ['a', 'b', 'c', 'd'],
+  weft_colors: ['x', 'y'],
+};
+
+describe('Definition transforms', () => {
+  test('transpose swaps warp and weft and flips crossings', () => {
+    expect(transpose(def)).toEqual({
+      threading: [
+        [false, false],
+        [true, false],
+        [true, true],
+      ],
+      warp_colors: ['x', 'y'],
+      weft_colors: ['a', 'b', 'c', 'd'],
+    });
+  });
+
+  test('rotations compose back to the identity', () => {
+    expect(rotate(rotate(def, 1), -1)).toEqual(def);
+    expect(composeTransforms(rotate, rotate, rotate, rotate)(def)).toEqual(def);
+    expect(rotate(def, 2)).toEqual(mirrorVertical(mirrorHorizontal(def)));
+    expect(rotate(def, 1).threading).toEqual([
+      [false, false],
+      [false, true],
+      [true, true],
+    ]);
+  });
+
+  test('shift, invert, tile and crop keep colors aligned', () => {
+    const shifted = shift(def, 1, 1);
+    expect(shifted.threading).toEqual([
+      [true, false, true],
+      [false, false, true],
+    ]);
+    expect(shifted.warp_colors).toEqual(['b', 'c', 'd', 'a']);
+    expect(shifted.weft_colors).toEqual(['y', 'x']);
+    expect(invert(def).threading[0]).toEqual([false, true, true]);
+
+    const tiled = tile(def, 2, 1);
+    expect(tiled.threading[1]).toEqual([true, true, false, true, true, false]);
+    expect(tiled.warp_colors).toBe(def.warp_colors);
+
+    const cropped = crop(def, 2, 1, 2, 1);
+    expect(cropped).toEqual({ threading: [[false, true]], warp_colors: ['c', 'd'], weft_colors: ['y'] });
+  });
+});
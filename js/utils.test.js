@@ -0,0 +1,182 @@
+import { describe, test, expect } from 'vitest';
+import { materializeDefinition, definitionForView, deviceOptions, panStart, pixelRatioOf, regionWithLoop, sameContents, threadLayout, threadsCovering, viewFrame, viewLayout, zoomLoopLayout } from './renderers/utils.js';
+
+const procedural = {
+  threading: (i, j) => i === j,
+  warp_colors: (i) => `w${i}`,
+  weft_colors: (j) => `f${j}`,
+};
+
+const wrapIndex = (n, mod) => ((n % mod) + mod) % mod;
+
+describe('Procedural definitions', () => {
+  test('functions are sampled over the region only and never repeat inside it', () => {
+    const out = materializeDefinition(procedural, { warps: 3, wefts: 2 });
+    expect(out.threading).toEqual([
+      [true, false, false],
+      [false, true, false],
+    ]);
+    expect(out.warp_colors).toEqual(['w0', 'w1', 'w2']);
+    expect(out.weft_colors).toEqual(['f0', 'f1']);
+  });
+
+  test('an offset region is stored so wrapped lookups land on the right thread', () => {
+    const out = materializeDefinition(procedural, { x: -2, y: 5, warps: 4, wefts: 3 });
+    for (let i = -2; i < 2; i++) {
+      expect(out.warp_colors[wrapIndex(i, 4)]).toBe(`w${i}`);
+    }
+    for (let j = 5; j < 8; j++) {
+      expect(out.weft_colors[wrapIndex(j, 3)]).toBe(`f${j}`);
+      expect(out.threading[wrapIndex(j, 3)][wrapIndex(j, 4)]).toBe(j < 2);
+    }
+  });
+
+  test('a declared period samples exactly one repeat and needs no region', () => {
+    const out = materializeDefinition({ ...procedural, threading: (i, j) => (i + j) % 2 === 0, period: { warps: 2, wefts: 2 } });
+    expect(out.threading).toEqual([
+      [true, false],
+      [false, true],
+    ]);
+    expect(out.warp_colors).toEqual(['w0', 'w1']);
+    expect(() => materializeDefinition(procedural)).toThrow('Definition: function values need a declared period');
+  });
+
+  test('array definitions pass through untouched', () => {
+    const arrays = { threading: [[true]], warp_colors: ['a'], weft_colors: ['b'] };
+    expect(materializeDefinition(arrays, { warps: 5, wefts: 5 })).toBe(arrays);
+  });
+
+  test('the back of a non-periodic fabric mirrors about the visible warps', () => {
+    const back = definitionForView(procedural, 'back', { warps: 3, wefts: 1 });
+    expect(back.threading).toEqual([[true, true, false]]);
+    expect(back.warp_colors).toEqual(['w2', 'w1', 'w0']);
+
+    const periodic = definitionForView({ ...procedural, period: { warps: 3 } }, 'back', { warps: 5, wefts: 1 });
+    expect(periodic.warp_colors).toEqual(['w2', 'w1', 'w0']);
+  });
+});
+
+describe('Minimal repeats', () => {
+  test('an array view is shrunk to its repeat, whatever the region', () => {
+    const twill = [[true, true, false, false], [false, true, true, false], [false, false, true, true], [true, false, false, true]];
+    const definition = {
+      threading: Array.from({ length: 100 }, (_, j) => Array.from({ length: 100 }, (_, i) => twill[j % 4][i % 4])),
+      warp_colors: Array.from({ length: 100 }, (_, i) => (i % 2 ? 'a' : 'b')),
+      weft_colors: Array(100).fill('c'),
+    };
+    const view = definitionForView(definition, 'front', { x: 7, y: 3, warps: 10, wefts: 10 });
+    expect(view.threading).toEqual(twill);
+    expect(view.warp_colors).toEqual(['b', 'a']);
+    expect(view.weft_colors).toEqual(['c']);
+  });
+
+  test('functions are shrunk after sampling a declared period, but not a window', () => {
+    const twill = { ...procedural, threading: (i, j) => (i + j) % 4 < 2, warp_colors: () => 'a' };
+    const periodic = definitionForView({ ...twill, period: { warps: 100, wefts: 100 } }, 'front', { warps: 10, wefts: 10 });
+    expect([periodic.threading.length, periodic.threading[0].length, periodic.warp_colors.length]).toEqual([4, 4, 1]);
+    expect(periodic.weft_colors).toHaveLength(100);
+
+    const window = definitionForView({ ...twill, period: { warps: 100 } }, 'front', { warps: 10, wefts: 8 });
+    expect([window.threading.length, window.threading[0].length, window.warp_colors.length]).toEqual([8, 100, 100]);
+  });
+});
+
+describe('Thread widths', () => {
+  test('threads are laid out from the running sums of a periodic width sequence', () => {
+    const layout = threadLayout([2, 1, 1], 10);
+    expect([0, 1, 2, 3, 4].map((i) => layout.start(i))).toEqual([0, 20, 30, 40, 60]);
+    expect(layout.start(-1)).toBe(-10);
+    expect(layout.size(3)).toBe(20);
+    expect([0, 19.9, 20, 35, 45, -0.5].map((px) => layout.indexAt(px))).toEqual([0, 0, 1, 2, 3, -1]);
+    expect(threadsCovering(layout, 0, 45)).toBe(4);
+    expect(threadLayout(1.5, 4).start(2)).toBe(12);
+    expect(layout.withCellSize(20).start(1)).toBe(40);
+  });
+
+  test('warp widths are mirrored with their threads on the back', () => {
+    const definition = { threading: [[true]], warp_colors: ['a'], weft_colors: ['b'], warp_widths: [3, 1, 2] };
+    const back = viewLayout(definition, 'back', 10, { width: 60, height: 10 });
+    expect(back.visibleWarps).toBe(3);
+    expect([0, 1, 2].map((i) => back.warps.size(i))).toEqual([20, 10, 30]);
+    expect(definitionForView(definition, 'back', { warps: 3, wefts: 1 }).warp_widths).toEqual([2, 1, 3]);
+  });
+});
+
+describe('Pixel ratio', () => {
+  test('the option wins over the window, and a bad ratio falls back to 1', () => {
+    expect(pixelRatioOf({ pixelRatio: 2 })).toBe(2);
+    expect(pixelRatioOf({ pixel_ratio: 1.5 })).toBe(1.5);
+    expect(pixelRatioOf({ pixelRatio: 0 })).toBe(1);
+  });
+
+  test('device options scale every CSS size but the magnification', () => {
+    const options = {
+      width: 100,
+      height: 50,
+      display_mode: { type: 'interlacing', cellSize: 10, thread_thickness: 4 },
+      zoom_state: { active: true, center: { x: 20, y: 30 }, radius: 40, borderSize: 5, factor: 3 },
+    };
+    const device = deviceOptions(options, 2);
+    expect([device.width, device.height, device.cell_size]).toEqual([200, 100, 20]);
+    expect(device.display_mode).toEqual({ type: 'interlacing', cellSize: 20, thread_thickness: 8, cut_size: 2, border_size: 2 });
+    expect(device.zoom_state).toEqual({ active: true, center: { x: 40, y: 60 }, radius: 80, borderSize: 10, factor: 3 });
+    expect(deviceOptions(options, 1)).toBe(options);
+  });
+});
+
+describe('Camera', () => {
+  test('magnifies the display mode and pans in device pixels of the magnified fabric', () => {
+    const options = { width: 100, height: 50, cell_size: 4, camera: { x: 10, y: -3, scale: 2.5 } };
+    const device = deviceOptions(options, 2);
+    expect([device.width, device.height, device.cell_size]).toEqual([200, 100, 20]);
+    expect(device.pan).toEqual({ x: 50, y: -15 });
+    const draft = { ...options, display_mode: { type: 'draft', cellSize: 8 } };
+    expect(deviceOptions(draft, 1)).toBe(draft);
+  });
+
+  test('starts the region at the thread under the pan', () => {
+    const layout = threadLayout([2, 1], 10);
+    expect(panStart(layout, 35)).toEqual({ first: 2, scroll: 5 });
+    expect(panStart(layout, -4)).toEqual({ first: -1, scroll: 6 });
+  });
+
+  test('frames a turned view in the fabric it shows', () => {
+    const still = viewFrame(100, 50, 0, { x: 7, y: 3 });
+    expect([still.x, still.y, still.width, still.height]).toEqual([7, 3, 100, 50]);
+    expect(still.matrix).toEqual([1, 0, -0, 1, 0, 0]);
+
+    const turned = viewFrame(100, 50, 90);
+    expect([turned.x, turned.y, turned.width, turned.height].map((value) => Math.round(value))).toEqual([25, -25, 50, 100]);
+    // Turned clockwise, the view's top right corner shows the fabric's top left.
+    const corner = turned.toFabric(100, 0);
+    expect(corner.x).toBeCloseTo(25, 9);
+    expect(corner.y).toBeCloseTo(-25, 9);
+    const center = turned.toFabric(50, 25);
+    expect([center.x, center.y]).toEqual([50, 25]);
+  });
+});
+
+describe('Zoom loop', () => {
+  test('magnifies the threads from the fabric under its center, turned with the view', () => {
+    const layout = { warps: threadLayout(1, 4), wefts: threadLayout(1, 4) };
+    const zoom = { center: { x: 40, y: 30 }, radius: 10 };
+    const still = zoomLoopLayout(layout, viewFrame(60, 60, 0), zoom, 8);
+    // The fabric at 30, 20 is under the loop's edge: threads 7 and 5 at 4 pixels.
+    expect(still).toMatchObject({ startWarp: 7, startWeft: 5, warpCount: 3, weftCount: 3, center: { x: 66, y: 50 } });
+    // A quarter turn puts the fabric 10 pixels up from the view center under the loop's.
+    const turned = zoomLoopLayout(layout, viewFrame(60, 60, 90), zoom, 8);
+    expect(turned).toMatchObject({ startWarp: 5, startWeft: 2, center: { x: 50, y: 26 } });
+
+    const region = { x: 0, y: 0, warps: 4, wefts: 16, visibleWarps: 4 };
+    expect(regionWithLoop(region, still)).toEqual({ x: 0, y: 0, warps: 10, wefts: 16, visibleWarps: 4 });
+  });
+});
+
+describe('GPU uploads', () => {
+  test('data is compared by value, so an unchanged upload is skipped', () => {
+    expect(sameContents(new Uint8Array([1, 2]), new Uint8Array([1, 2]))).toBe(true);
+    expect(sameContents(new Uint8Array([1, 2]), new Uint8Array([1, 3]))).toBe(false);
+    expect(sameContents(new Uint8Array([1, 2]), new Float32Array([1, 2]))).toBe(false);
+    expect(sameContents(null, new Uint8Array([1]))).toBe(false);
+  });
+});
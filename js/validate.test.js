@@ -0,0 +1,110 @@
+import { describe, test, expect } from 'vitest';
+import { validateDefinition, validateOptions, validateWeave, WeaveValidationError } from './renderers/validate.js';
+
+const good = {
+  threading: [
+    [true, false],
+    [false, true],
+  ],
+  warp_colors: ['black'],
+  weft_colors: ['red'],
+};
+
+describe('Weave validation', () => {
+  test('accepts a well-formed definition and options', () => {
+    expect(validateDefinition(good)).toEqual([]);
+    expect(validateOptions({ width: 10, height: 10, display_mode: { type: 'simple', cellSize: 2 } })).toEqual([]);
+  });
+
+  test('reports path-addressed issues', () => {
+    const issues = validateDefinition({
+      threading: [[true, false, true, false], [true], [true, false, true, false], [true, false, true, false, true]],
+      warp_colors: [],
+      weft_colors: ['red', 'not-a-color'],
+    });
+    expect(issues.map((issue) => issue.message)).toEqual([
+      'threading[1] has length 1, expected 4',
+      'threading[3] has length 5, expected 4',
+      'warp_colors is empty',
+      'weft_colors[1] is not a valid color: "not-a-color"',
+    ]);
+    expect(issues.map((issue) => issue.code)).toEqual(['ragged', 'ragged', 'empty', 'color']);
+
+    const optionIssues = validateOptions({ width: 10, height: 10, display_mode: { cellSize: 0 } });
+    expect(optionIssues[0].path).toBe('options.display_mode.cellSize');
+    expect(validateOptions({ width: 10, height: 10, display_mode: { type: 'shaded', cellSize: 20, shadow: 2 } })[0].message)
+      .toBe('options.display_mode.shadow must be a number from 0 to 1, got 2');
+  });
+
+  test('accepts function values and checks a declared period', () => {
+    const procedural = { threading: (i, j) => i === j, warp_colors: (i) => 'black', weft_colors: ['red'] };
+    expect(validateDefinition(procedural)).toEqual([]);
+    expect(validateDefinition({ ...procedural, period: { warps: 4, wefts: 1.5 } }).map((issue) => issue.message))
+      .toEqual(['period.wefts must be a positive integer, got 1.5']);
+  });
+
+  test('checks thread widths', () => {
+    expect(validateDefinition({ ...good, warp_widths: [2, 1], weft_widths: 1.5 })).toEqual([]);
+    expect(validateDefinition({ ...good, warp_widths: [1, 0], weft_widths: 'wide' }).map((issue) => issue.message)).toEqual([
+      'warp_widths[1] must be a positive number, got 0',
+      'weft_widths must be a positive number or an array of them',
+    ]);
+  });
+
+  test('checks yarns', () => {
+    const tweed = { twist: 'Z', noise: 0.3, plies: ['#5b4a3a', '#8a7f5c'], heather: true };
+    expect(validateDefinition({ ...good, warp_yarns: [tweed, null], weft_yarns: tweed })).toEqual([]);
+    expect(validateDefinition({
+      ...good,
+      warp_yarns: [{ twist: 'X', noise: 2 }],
+      weft_yarns: { plies: ['red', 'green', 'blue', 'white', 'black'] },
+    }).map((issue) => issue.message)).toEqual([
+      "warp_yarns[0].twist must be 'S', 'Z' or 'none', got \"X\"",
+      'warp_yarns[0].noise must be a number from 0 to 1, got 2',
+      'weft_yarns.plies has 5 colors, at most 4 are supported',
+    ]);
+  });
+
+  test('checks the overlay', () => {
+    const options = { width: 10, height: 10 };
+    expect(validateOptions({ ...options, overlay: { grid: true, major: { every: 4 }, repeat: { color: 'red', width: 2 } } })).toEqual([]);
+    expect(validateOptions({
+      ...options,
+      overlay: { grid: { color: 'nope' }, major: { every: 2.5 }, repeat: { width: 0 } },
+    }).map((issue) => issue.message)).toEqual([
+      'options.overlay.grid.color is not a valid color: "nope"',
+      'options.overlay.major.every must be a positive integer, got 2.5',
+      'options.overlay.repeat.width must be a positive number, got 0',
+    ]);
+    expect(validateOptions({
+      ...options,
+      overlay: { floats: { limit: 0, style: 'glow', weft_color: 'nope' } },
+    }).map((issue) => issue.path)).toEqual([
+      'options.overlay.floats.limit',
+      'options.overlay.floats.style',
+      'options.overlay.floats.weft_color',
+    ]);
+  });
+
+  test('checks the camera and rotation', () => {
+    const options = { width: 10, height: 10 };
+    expect(validateOptions({ ...options, camera: true })).toEqual([]);
+    expect(validateOptions({ ...options, camera: { x: -12.5, y: 40, scale: 2.5 } })).toEqual([]);
+    expect(validateOptions({ ...options, camera: { x: NaN, scale: 0 } }).map((issue) => issue.path)).toEqual([
+      'options.camera.x',
+      'options.camera.scale',
+    ]);
+    expect(validateOptions({ ...options, rotation: -45 })).toEqual([]);
+    expect(validateOptions({ ...options, rotation: '45deg' })[0].message)
+      .toBe('options.rotation must be a finite number of degrees, got 45deg');
+  });
+
+  test('strict mode throws, lenient mode reports', () => {
+    const bad = { ...good, threading: [] };
+    const options = { width: 10, height: 10, cell_size: -1 };
+    const report = validateWeave(bad, options);
+    expect(report.valid).toBe(false);
+    expect(report.issues.map((issue) => issue.path)).toEqual(['threading', 'options.cell_size']);
+    expect(() => validateWeave(bad, { ...options, validation: 'strict' })).toThrow(WeaveValidationError);
+  });
+});
@@ -1,30 +1,98 @@
-import { renderCanvas } from './renderers/canvas.js';
+import { drawPattern, renderCanvas } from './renderers/canvas.js';
 import { renderSVG } from './renderers/svg.js';
-import { renderWebGL } from './renderers/webgl.js';
-import { renderWebGPU } from './renderers/webgpu.js';
-import { resolvePalette } from './renderers/utils.js';
+import { releaseWebGL, renderWebGL } from './renderers/webgl.js';
+import { releaseWebGPU, renderWebGPU } from './renderers/webgpu.js';
+import { crossingColors, definitionForView, deviceOptions, pixelRatioOf, sizeCanvas, viewFrame, viewLayout, zoomDisplayMode, zoomLoopLayout } from './renderers/utils.js';
+import { validateDefinition } from './renderers/validate.js';
+import { resolveYarns } from './renderers/yarn.js';
+import { draftDiagram, drawDraftDiagram } from './renderers/draftview.js';
+import { drawOverlay, floatRects, overlayRects, resolveFloats, resolveOverlay, viewFloatMask } from './renderers/overlay.js';
+import { isDraft, compileDraft } from './draft.js';
+
+export { validateDefinition, validateOptions, validateWeave, WeaveValidationError } from './renderers/validate.js';
+export { materializeDefinition } from './renderers/utils.js';
 
 /**
  * Renders a weave pattern into a container element.
  * 
  * @param {HTMLElement} element - The DOM element to append the canvas to.
- * @param {Object} definition - The weave definition.
- * @param {boolean[][]} definition.threading - Matrix where true = warp on top, false = weft on top.
- * @param {string[]} definition.warp_colors - Array of colors for warp threads.
- * @param {string[]} definition.weft_colors - Array of colors for weft threads.
+ * @param {Object} definition - The weave definition, or a loom draft from `createDraft` (compiled first).
+ * @param {boolean[][]|Function} definition.threading - Matrix where true = warp on top, false = weft on top,
+ *   or a function `(i, j) => boolean` of warp `i` and pick `j`.
+ * @param {string[]|Function} definition.warp_colors - Array of colors for warp threads, or a function `(i) => color`.
+ * @param {string[]|Function} definition.weft_colors - Array of colors for weft threads, or a function `(j) => color`.
+ * @param {{ warps?: number, wefts?: number }} [definition.period] - Declared repeat of function-valued entries.
+ *   Functions are sampled over one period along each declared axis, and only over the visible
+ *   threads along any other, so a design without a declared period never repeats.
+ * @param {Object[]} [definition.layers] - Instead of the above, several layers (double cloth,
+ *   supplementary warp or weft), each `{ threading, warp_colors?, weft_colors? }`. A layer without
+ *   `warp_colors` (or `weft_colors`) is transparent wherever that thread would show.
+ * @param {number[]|number[][][]} [definition.stacking] - Layer indices from the face down
+ *   (default `[0, 1, ...]`), or a periodic matrix of such orders for layers that exchange faces.
+ * @param {number|number[]} [definition.warp_widths=1] - Width of each warp relative to the cell size,
+ *   as a periodic sequence (`[2, 1, 1]`) or one width for every warp.
+ * @param {number|number[]} [definition.weft_widths=1] - The same for the picks, e.g. `1.25` for a
+ *   cloth with fewer picks than ends per inch.
+ * @param {Object|Object[]} [definition.warp_yarns] - Yarn texture of the warps in the thread display
+ *   modes, as one yarn or a periodic sequence (`null` for a plain thread): `{ twist: 'S' | 'Z' | 'none',
+ *   noise, plies, heather }` with a fiber `noise` from 0 to 1 and up to four `plies` colors, twisted
+ *   together or, with `heather`, mixed fiber by fiber.
+ * @param {Object|Object[]} [definition.weft_yarns] - The same for the picks.
  * @param {Object} options - Visualization options.
  * @param {number} options.width - Total width of the image in pixels.
  * @param {number} options.height - Total height of the image in pixels.
  * @param {number} [options.cell_size=1] - Size of each cell/intersection in pixels.
+ * @param {Object} [options.display_mode] - `{ type, cellSize, ... }` with type 'simple', 'interlacing'
+ *   (`thread_thickness`, `border_size`, `cut_size`) or 'shaded' (`thread_thickness`, `cut_size` and a
+ *   `shadow` strength from 0 to 1, default 0.45): threads lit as cylinders with soft shadows. 'draft'
+ *   (`grid_color`, `mark_color`) draws the drawdown with threading, tie-up, treadling and color chips,
+ *   from the loom draft passed in or from one derived from the drawdown; canvas and SVG draw it.
+ * @param {Object} [options.overlay] - Lines drawn over the pattern: `grid` on every cell, `major`
+ *   every `every` threads (default 8) and `repeat` on the boundaries of the threading repeat, each
+ *   `true` for the defaults or `{ color, width }`. `floats` highlights floats longer than `limit`
+ *   crossings (default 4) with `style` 'tint' or 'outline' (of `width`), in `warp_color` and
+ *   `weft_color`. Widths scale with the zoom loop.
+ * @param {number} [options.pixelRatio=window.devicePixelRatio] - Device pixels per CSS pixel. Canvases
+ *   get a backing store this much larger than `width` x `height` and keep that CSS size; every
+ *   other size in the options stays in CSS pixels.
+ * @param {boolean|Object} [options.camera] - Pan and zoom over the whole view: `true`, or
+ *   `{ x, y, scale, minScale, maxScale }` with `x`, `y` the fabric position at the top left corner
+ *   in CSS pixels of the unmagnified fabric and `scale` the magnification (default 1, kept within
+ *   0.25 to 32). Dragging pans and the wheel zooms around the pointer while the zoom loop is off;
+ *   the position is kept on the container across renders unless given here. Drafts ignore it.
+ * @param {number} [options.rotation=0] - Turn the fabric this many degrees clockwise about the
+ *   center of the view, e.g. 45 for a bias view. The pan stays in unturned fabric pixels, and the
+ *   zoom loop magnifies the fabric under it turned the same way. Drafts ignore it.
  * @param {string} [options.backend='canvas'] - Rendering backend: 'canvas', 'webgl', 'webgpu', 'svg'.
+ * @param {string} [options.side='front'] - Side of the cloth to show: 'front', or 'back' (mirrored across the warp with every crossing flipped).
+ * @param {string} [options.validation='lenient'] - 'strict' throws a `WeaveValidationError` on bad input;
+ *   'lenient' draws the first issue in place of the pattern and resolves to `{ valid, issues }`.
  */
 export async function renderWeave(container, definition, options) {
   const backend = options.backend || 'canvas';
+  // The draft display mode draws a loom draft's own threading, tie-up and treadling.
+  const loomDraft = isDraft(definition) ? definition : null;
+  if (loomDraft) {
+    definition = compileDraft(definition);
+  }
 
   const normalizeDisplayMode = (opts) => {
     const baseSize = opts.cell_size ?? opts.cellSize ?? (opts.display_mode ? opts.display_mode.cellSize : undefined) ?? 1;
     const rawMode = opts.display_mode || opts.displayMode || { type: 'simple', cellSize: baseSize };
     const modeType = (rawMode.type || 'simple').toLowerCase().trim();
+    if (modeType === 'shaded') {
+      return {
+        ...rawMode,
+        type: 'shaded',
+        cellSize: rawMode.cellSize ?? baseSize ?? 10,
+        thread_thickness: rawMode.thread_thickness ?? 6,
+        cut_size: rawMode.cut_size ?? 0,
+        shadow: rawMode.shadow ?? 0.45,
+      };
+    }
+    if (modeType === 'draft') {
+      return { ...rawMode, type: 'draft', cellSize: rawMode.cellSize ?? baseSize ?? 10 };
+    }
     if (modeType === 'interlacing') {
       const cellSize = rawMode.cellSize ?? baseSize ?? 10;
       return {
@@ -47,6 +115,7 @@ export async function renderWeave(container, definition, options) {
     displayMode,
     cell_size: displayMode.cellSize,
     cellSize: displayMode.cellSize,
+    ...(loomDraft ? { draft: loomDraft } : {}),
   };
   const zoomState = (() => {
     const existing = container.__zoomState || {};
@@ -65,18 +134,38 @@ export async function renderWeave(container, definition, options) {
     return state;
   })();
   optsWithMode.zoom_state = zoomState;
-  const effectiveBackend = backend;
+  optsWithMode.pixelRatio = pixelRatioOf(options);
+  const camera = (() => {
+    if (!options.camera || displayMode.type === 'draft') return null;
+    const existing = container.__camera || {};
+    const cameraOpts = options.camera === true ? {} : options.camera;
+    const state = {
+      x: cameraOpts.x ?? existing.x ?? 0,
+      y: cameraOpts.y ?? existing.y ?? 0,
+      scale: cameraOpts.scale ?? existing.scale ?? 1,
+      minScale: cameraOpts.minScale ?? 0.25,
+      maxScale: cameraOpts.maxScale ?? 32,
+      scrollFactor: cameraOpts.scrollFactor ?? 0.1,
+    };
+    container.__camera = state;
+    return state;
+  })();
+  if (camera) optsWithMode.camera = camera;
+  // The 2D zoom overlay cannot draw an invalid definition; the backends report it instead.
+  const drawableDefinition = validateDefinition(definition).length === 0;
+  // Drafts are flat rectangles: the GPU backends hand them to the canvas renderer.
+  const effectiveBackend = displayMode.type === 'draft' && (backend === 'webgl' || backend === 'webgpu') ? 'canvas' : backend;
   if (!container.style.position) {
     container.style.position = 'relative';
   }
 
   // Helper to handle Canvas lifecycle
   const getCanvas = (contextType) => {
-    let canvas = container.querySelector('canvas');
+    let canvas = container.querySelector('canvas:not([data-context="zoom-overlay"])');
     const currentContext = canvas ? canvas.getAttribute('data-context') : null;
 
     if (canvas && currentContext !== contextType) {
-      canvas.remove();
+      releaseCanvas(canvas);
       canvas = null;
     }
 
@@ -88,55 +177,108 @@ export async function renderWeave(container, definition, options) {
     return canvas;
   };
 
-  // pick base element and base render function
+  // Pick the base element and the function drawing the pattern into it. On the canvas
+  // and SVG backends the zoom loop is a layer of its own over the base, so moving it
+  // leaves the base as drawn; the GPU backends draw it in a second pass of their shader.
   let baseElement = null;
-  let baseRender = null;
-  const renderOverlay = () => {};
+  let renderBase = null;
 
   if (effectiveBackend === 'canvas') {
     baseElement = getCanvas('2d');
-    baseRender = () => renderCanvas(baseElement, definition, optsWithMode);
+    renderBase = () => renderCanvas(baseElement, definition, optsWithMode);
   } else if (effectiveBackend === 'webgl') {
     baseElement = getCanvas('webgl');
-    baseRender = () => {
-      const res = renderWebGL(baseElement, definition, optsWithMode);
-      renderZoomOverlay2D(container, baseElement, definition, displayMode, zoomState);
-      return res;
-    };
+    renderBase = () => renderWebGL(baseElement, definition, optsWithMode);
   } else if (effectiveBackend === 'webgpu') {
     baseElement = getCanvas('webgpu');
-    baseRender = () => {
-      const res = renderWebGPU(baseElement, definition, optsWithMode);
-      renderZoomOverlay2D(container, baseElement, definition, displayMode, zoomState);
-      return res;
-    };
+    renderBase = () => renderWebGPU(baseElement, definition, optsWithMode);
   } else if (effectiveBackend === 'svg') {
     const canvas = container.querySelector('canvas');
-    if (canvas) canvas.remove();
-    renderSVG(container, definition, optsWithMode);
+    if (canvas) releaseCanvas(canvas);
     baseElement = container.querySelector('svg');
-    baseRender = () => {
-      renderSVG(container, definition, optsWithMode);
-      renderZoomOverlay2D(container, baseElement, definition, displayMode, zoomState);
+    renderBase = () => {
+      const result = renderSVG(container, definition, optsWithMode);
+      // Each render replaces the svg element; the pointer handlers move to the new one.
+      const svg = container.querySelector('svg');
+      if (svg !== baseElement) {
+        detachHandlers(container, baseElement);
+        baseElement = svg;
+        if (baseElement) addHandlers(container, baseElement);
+      }
+      return result;
     };
   } else {
     console.warn(`Unknown backend '${backend}', falling back to canvas.`);
     baseElement = getCanvas('2d');
-    baseRender = () => renderCanvas(baseElement, definition, optsWithMode);
+    renderBase = () => renderCanvas(baseElement, definition, optsWithMode);
   }
 
-  const attachHandlers = () => {
-    if (!baseElement) return;
-    if (container.__zoomHandlers) {
-      baseElement.removeEventListener('click', container.__zoomHandlers.onClick);
-      baseElement.removeEventListener('mousemove', container.__zoomHandlers.onMove);
-      baseElement.removeEventListener('wheel', container.__zoomHandlers.onWheel);
+  const loopInShader = effectiveBackend === 'webgl' || effectiveBackend === 'webgpu';
+  if (loopInShader) container.querySelector('canvas[data-context="zoom-overlay"]')?.remove();
+  const renderLoop = loopInShader
+    ? renderBase
+    : () => {
+        if (drawableDefinition) renderZoomOverlay2D(container, baseElement, definition, optsWithMode, zoomState);
+      };
+  const baseRender = () => {
+    const result = renderBase();
+    if (!loopInShader) renderLoop();
+    return result;
+  };
+
+  // Pointer input redraws at most once per animation frame: the loop layer alone when
+  // only the loop changed, the base under it as well when the camera moved. On the
+  // GPU backends both redraw the canvas.
+  let frame = null;
+  const scheduleRender = (base) => {
+    if (frame) {
+      frame.base = frame.base || base;
+      return;
     }
+    frame = {
+      base,
+      id: requestAnimationFrame(() => {
+        const { base: redrawBase } = frame;
+        frame = null;
+        if (redrawBase) baseRender();
+        else renderLoop();
+      }),
+    };
+  };
+  const cancelRender = () => {
+    if (frame) cancelAnimationFrame(frame.id);
+    frame = null;
+  };
 
-    const onClick = (evt) => {
+  const attachHandlers = () => {
+    detachHandlers(container, baseElement);
+
+    // The pointer in the render's CSS pixels, where the zoom loop lives, even when
+    // the element is displayed at another size.
+    const pointerAt = (evt) => {
       const rect = baseElement.getBoundingClientRect();
-      const x = evt.clientX - rect.left;
-      const y = evt.clientY - rect.top;
+      const scaleX = rect.width ? optsWithMode.width / rect.width : 1;
+      const scaleY = rect.height ? optsWithMode.height / rect.height : 1;
+      return { x: (evt.clientX - rect.left) * scaleX, y: (evt.clientY - rect.top) * scaleY };
+    };
+
+    // A drag with the camera on pans the view; past a few pixels it is no click.
+    let drag = null;
+    let dragEnded = false;
+    const onDown = (evt) => {
+      if (!camera || evt.button !== 0) return;
+      drag = { start: pointerAt(evt), x: camera.x, y: camera.y, moved: false };
+    };
+    const onUp = () => {
+      // The click that follows the mouseup of a drag is dropped.
+      dragEnded = Boolean(drag?.moved);
+      drag = null;
+      if (dragEnded) setTimeout(() => { dragEnded = false; });
+    };
+
+    const onClick = (evt) => {
+      if (dragEnded) return;
+      const { x, y } = pointerAt(evt);
       const dx = x - zoomState.center.x;
       const dy = y - zoomState.center.y;
       const inside = Math.sqrt(dx * dx + dy * dy) <= zoomState.radius;
@@ -148,17 +290,43 @@ export async function renderWeave(container, definition, options) {
       } else {
         zoomState.center = { x, y };
       }
-      baseRender();
+      scheduleRender(false);
     };
 
     const onMove = (evt) => {
-      if (!zoomState.active) return;
-      const rect = baseElement.getBoundingClientRect();
-      zoomState.center = { x: evt.clientX - rect.left, y: evt.clientY - rect.top };
-      baseRender();
+      const pointer = pointerAt(evt);
+      if (drag && evt.buttons & 1) {
+        const dx = pointer.x - drag.start.x;
+        const dy = pointer.y - drag.start.y;
+        drag.moved = drag.moved || Math.hypot(dx, dy) > 3;
+        if (drag.moved) {
+          // The fabric follows the pointer, across a turned view too.
+          const frame = viewFrame(optsWithMode.width, optsWithMode.height, optsWithMode.rotation);
+          const from = frame.toFabric(drag.start.x, drag.start.y);
+          const to = frame.toFabric(pointer.x, pointer.y);
+          camera.x = drag.x - (to.x - from.x) / camera.scale;
+          camera.y = drag.y - (to.y - from.y) / camera.scale;
+        }
+      }
+      if (zoomState.active) zoomState.center = pointer;
+      if (zoomState.active || drag?.moved) scheduleRender(Boolean(drag?.moved));
     };
 
     const onWheel = (evt) => {
+      if (!zoomState.active && camera) {
+        // Zoom the camera around the fabric under the pointer.
+        evt.preventDefault();
+        const pointer = pointerAt(evt);
+        const frame = viewFrame(optsWithMode.width, optsWithMode.height, optsWithMode.rotation);
+        const { x, y } = frame.toFabric(pointer.x, pointer.y);
+        const direction = evt.deltaY > 0 ? -1 : 1;
+        const scale = Math.min(camera.maxScale, Math.max(camera.minScale, camera.scale * (1 + direction * camera.scrollFactor)));
+        camera.x += x / camera.scale - x / scale;
+        camera.y += y / camera.scale - y / scale;
+        camera.scale = scale;
+        scheduleRender(true);
+        return;
+      }
       if (!zoomState.active) return;
       evt.preventDefault();
       const useX = evt.shiftKey && Math.abs(evt.deltaX) > Math.abs(evt.deltaY);
@@ -175,44 +343,162 @@ export async function renderWeave(container, definition, options) {
         zoomState.factor = Math.max(0.5, zoomState.factor * (1 + direction * zoomState.scrollFactor));
         console.log('[zoomLoop] factor change', { deltaY: evt.deltaY, deltaX: evt.deltaX, useX, direction, scrollFactor: zoomState.scrollFactor, before, after: zoomState.factor });
       }
-      baseRender();
+      scheduleRender(false);
     };
 
-    baseElement.addEventListener('click', onClick);
-    baseElement.addEventListener('mousemove', onMove);
-    baseElement.addEventListener('wheel', onWheel, { passive: false });
-    container.__zoomHandlers = { onClick, onMove, onWheel };
+    container.__zoomHandlers = { onClick, onMove, onWheel, onDown, onUp, cancelRender };
+    // The SVG backend has no element until its first render, which attaches them.
+    if (baseElement) addHandlers(container, baseElement);
   };
 
   attachHandlers();
   return baseRender();
 }
 
-// Helpers for non-canvas zoom overlay using a 2D overlay canvas
-function renderZoomOverlay2D(container, baseElement, definition, displayMode, zoomState) {
-  if (!zoomState.active) return;
-  const rect = baseElement.getBoundingClientRect();
-  const width = rect.width || baseElement.clientWidth;
-  const height = rect.height || baseElement.clientHeight;
-  if (!width || !height) return;
+/**
+ * A renderer that stays on `container` across renders. `renderWeave` starts from its
+ * arguments on every call; this keeps the definition and options, and the GPU backends
+ * keep their device, programs or pipelines, and buffers, so an update recompiles and
+ * re-uploads only what it changed.
+ *
+ * Nothing is drawn until the first `update` brings a definition. Updates made while a
+ * render is running are drawn together once it ends.
+ *
+ * @param {HTMLElement} container - The element to render into, as for `renderWeave`.
+ * @param {Object} options - Visualization options, as for `renderWeave`.
+ * @returns {{ update: Function, resize: Function, dispose: Function }}
+ *   `update(definitionPatch, optionsPatch)` merges each patch over the current
+ *   definition and options, a key at a time (`null` for no change), and redraws;
+ *   `resize()` fits the render to the container's current size and pixel ratio;
+ *   `dispose()` removes the render, its event listeners and its GPU resources. The
+ *   first two resolve like `renderWeave`.
+ */
+export function createWeaveRenderer(container, options) {
+  let definition = null;
+  let current = { ...options };
+  let running = null;
+  let queued = null;
+  let disposed = false;
+
+  const render = () => {
+    if (disposed) return Promise.reject(new Error('createWeaveRenderer: the renderer was disposed'));
+    if (!definition) return Promise.resolve(undefined);
+    if (running) {
+      // The queued render reads the definition and options as they are when it starts.
+      const next = () => {
+        queued = null;
+        return disposed ? undefined : render();
+      };
+      queued = queued || running.then(next, next);
+      return queued;
+    }
+    running = renderWeave(container, definition, current).finally(() => {
+      running = null;
+    });
+    return running;
+  };
+
+  return {
+    update(definitionPatch, optionsPatch) {
+      if (definitionPatch) definition = { ...definition, ...definitionPatch };
+      if (optionsPatch) current = { ...current, ...optionsPatch };
+      return render();
+    },
+    resize() {
+      const { clientWidth, clientHeight } = container;
+      if (clientWidth > 0 && clientHeight > 0) current = { ...current, width: clientWidth, height: clientHeight };
+      return render();
+    },
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+      const release = () => {
+        const element = container.querySelector('canvas:not([data-context="zoom-overlay"]), svg');
+        if (element) detachHandlers(container, element);
+        container.querySelectorAll('canvas').forEach(releaseCanvas);
+        container.querySelectorAll('svg').forEach((svg) => svg.remove());
+        delete container.__zoomHandlers;
+        delete container.__zoomState;
+        delete container.__camera;
+      };
+      release();
+      // A render still waiting on the GPU may draw again; its resources go too.
+      running?.then(release, release);
+    },
+  };
+}
+
+// Listen for the zoom loop and camera input on `element` with the container's handlers.
+function addHandlers(container, element) {
+  const handlers = container.__zoomHandlers;
+  element.addEventListener('click', handlers.onClick);
+  element.addEventListener('mousemove', handlers.onMove);
+  element.addEventListener('wheel', handlers.onWheel, { passive: false });
+  element.addEventListener('mousedown', handlers.onDown);
+  window.addEventListener('mouseup', handlers.onUp);
+}
 
-  let overlay = container.querySelector('canvas[data-context="zoom-overlay"]');
+// Remove the zoom loop and camera handlers a render attached to `element`, and drop
+// any redraw they had scheduled.
+function detachHandlers(container, element) {
+  const handlers = container.__zoomHandlers;
+  if (!handlers) return;
+  handlers.cancelRender();
+  window.removeEventListener('mouseup', handlers.onUp);
+  if (!element) return;
+  element.removeEventListener('click', handlers.onClick);
+  element.removeEventListener('mousemove', handlers.onMove);
+  element.removeEventListener('wheel', handlers.onWheel);
+  element.removeEventListener('mousedown', handlers.onDown);
+}
+
+// Take a canvas out of the container along with any GPU resources kept for it.
+function releaseCanvas(canvas) {
+  releaseWebGL(canvas);
+  releaseWebGPU(canvas);
+  canvas.remove();
+}
+
+// The zoom loop, drawn on a 2D canvas layered over the base render. The canvas covers
+// the loop alone and moves with it, so a redraw costs the loop's size, not the view's.
+function renderZoomOverlay2D(container, baseElement, definition, cssOptions, cssZoomState) {
+  const existing = container.querySelector('canvas[data-context="zoom-overlay"]');
+  if (!cssZoomState.active || !baseElement) {
+    existing?.remove();
+    return;
+  }
+  const { width: cssWidth, height: cssHeight } = cssOptions;
+  if (!cssWidth || !cssHeight) return;
+  // Draw in device pixels, like the base render under it.
+  const ratio = pixelRatioOf(cssOptions);
+  const options = deviceOptions(cssOptions, ratio);
+  const zoomState = options.zoom_state;
+  const { side, display_mode: displayMode, width, height } = options;
+
+  let overlay = existing;
   if (!overlay) {
     overlay = document.createElement('canvas');
     overlay.setAttribute('data-context', 'zoom-overlay');
     overlay.style.position = 'absolute';
-    overlay.style.top = '0';
-    overlay.style.left = '0';
     overlay.style.pointerEvents = 'none';
     container.appendChild(overlay);
   }
-  overlay.width = width;
-  overlay.height = height;
+  // The loop and its border, with a pixel to spare for antialiasing, within the view,
+  // in CSS pixels.
+  const reach = cssZoomState.radius + cssZoomState.borderSize / 2 + 1;
+  const size = Math.ceil(reach * 2) + 1;
+  const left = Math.max(0, Math.floor(cssZoomState.center.x - reach));
+  const top = Math.max(0, Math.floor(cssZoomState.center.y - reach));
+  const right = Math.min(cssWidth, Math.floor(cssZoomState.center.x - reach) + size);
+  const bottom = Math.min(cssHeight, Math.floor(cssZoomState.center.y - reach) + size);
+  sizeCanvas(overlay, Math.max(0, right - left), Math.max(0, bottom - top), ratio);
+  overlay.style.left = `${left}px`;
+  overlay.style.top = `${top}px`;
   const ctx = overlay.getContext('2d');
-  ctx.clearRect(0, 0, width, height);
-
-const warpPalette = resolvePalette(definition.warp_colors);
-const weftPalette = resolvePalette(definition.weft_colors);
+  ctx.clearRect(0, 0, overlay.width, overlay.height);
+  // Draw in the view's device pixels, as if the layer covered it.
+  ctx.save();
+  ctx.translate(-left * ratio, -top * ratio);
 
   ctx.save();
   ctx.beginPath();
@@ -221,32 +507,16 @@ const weftPalette = resolvePalette(definition.weft_colors);
   ctx.fillStyle = zoomState.backgroundColor || 'rgba(255,255,255,1)';
   ctx.fillRect(zoomState.center.x - zoomState.radius, zoomState.center.y - zoomState.radius, zoomState.radius * 2, zoomState.radius * 2);
 
-  const scaledCell = Math.max(1, Math.round(displayMode.cellSize * zoomState.factor));
-  const scaledMode = displayMode.type === 'interlacing'
-    ? {
-        ...displayMode,
-        cellSize: scaledCell,
-        thread_thickness: Math.max(1, Math.round((displayMode.thread_thickness ?? 6) * zoomState.factor)),
-        border_size: Math.max(0, Math.round((displayMode.border_size ?? 1) * zoomState.factor)),
-        cut_size: Math.max(0, Math.round((displayMode.cut_size ?? 1) * zoomState.factor)),
-      }
-    : { ...displayMode, cellSize: scaledCell };
-
-  const startWarp = Math.floor((zoomState.center.x - zoomState.radius) / displayMode.cellSize);
-  const startWeft = Math.floor((zoomState.center.y - zoomState.radius) / displayMode.cellSize);
-
-  ctx.translate(zoomState.center.x - zoomState.radius, zoomState.center.y - zoomState.radius);
-  drawPattern2D(ctx, {
-    width: zoomState.radius * 2,
-    height: zoomState.radius * 2,
-    threading: definition.threading,
-    warpPalette,
-    weftPalette,
-    intersectionSize: scaledCell,
-    displayMode: scaledMode,
-    offsetWarp: startWarp,
-    offsetWeft: startWeft,
-  });
+  if (displayMode.type === 'draft') {
+    // The diagram is magnified as a whole.
+    ctx.translate(zoomState.center.x, zoomState.center.y);
+    ctx.scale(zoomState.factor, zoomState.factor);
+    ctx.translate(-zoomState.center.x, -zoomState.center.y);
+    drawDraftDiagram(ctx, draftDiagram(definition, options));
+  } else {
+    const frame = viewFrame(width, height, options.rotation, options.pan);
+    drawZoomedPattern(ctx, definition, side, displayMode, zoomState, width, height, options.overlay, ratio, frame);
+  }
   ctx.restore();
 
   ctx.save();
@@ -256,135 +526,49 @@ const weftPalette = resolvePalette(definition.weft_colors);
   ctx.strokeStyle = zoomState.borderColor;
   ctx.stroke();
   ctx.restore();
+  ctx.restore();
 }
 
-function drawPattern2D(ctx, params) {
-  const {
-    width,
-    height,
+// The pattern under the zoom loop, redrawn at the magnified cell size, with the
+// overlay's floats and lines scaled along with it. Sizes are in device pixels, and
+// the view's `frame` (its pan and rotation) sets the fabric under the loop.
+function drawZoomedPattern(ctx, definition, side, displayMode, zoomState, width, height, overlay, pixelRatio, frame = viewFrame(width, height)) {
+  const scaledMode = zoomDisplayMode(displayMode, zoomState.factor);
+  const layout = viewLayout(definition, side, displayMode.cellSize, { width, height });
+  const loop = zoomLoopLayout(layout, frame, zoomState, scaledMode.cellSize);
+  const { warps: warpLayout, wefts: weftLayout, startWarp, startWeft } = loop;
+  const viewRegion = { x: startWarp, y: startWeft, warps: loop.warpCount, wefts: loop.weftCount, visibleWarps: layout.visibleWarps };
+  const view = definitionForView(definition, side, viewRegion);
+  const { threading } = view;
+  const colors = crossingColors(view);
+
+  ctx.translate(zoomState.center.x, zoomState.center.y);
+  ctx.rotate(frame.angle);
+  ctx.translate(-zoomState.radius, -zoomState.radius);
+  drawPattern(ctx, {
+    width: zoomState.radius * 2,
+    height: zoomState.radius * 2,
     threading,
-    warpPalette,
-    weftPalette,
-    intersectionSize,
-    displayMode,
-    offsetWarp,
-    offsetWeft,
-  } = params;
-  const threadingHeight = threading.length;
-  const threadingWidth = threading[0].length;
-  const numWarps = Math.ceil(width / intersectionSize);
-  const numWefts = Math.ceil(height / intersectionSize);
-
-  if (displayMode.type === 'interlacing') {
-    renderInterlacing2D({
-      ctx,
-      width,
-      height,
-      threading,
-      warpPalette,
-      weftPalette,
-      intersectionSize,
-      threadThickness: displayMode.thread_thickness ?? 6,
-      borderSize: displayMode.border_size ?? 1,
-      cutSize: displayMode.cut_size ?? 1,
-      offsetWarp,
-      offsetWeft,
-    });
-    return;
-  }
-
-  for (let j = 0; j < numWefts; j++) {
-    for (let i = 0; i < numWarps; i++) {
-      const threadY = wrapIndexLocal(j + offsetWeft, threadingHeight);
-      const threadX = wrapIndexLocal(i + offsetWarp, threadingWidth);
-      const isWarpOnTop = threading[threadY][threadX];
-      const color = isWarpOnTop
-        ? warpPalette[wrapIndexLocal(i + offsetWarp, warpPalette.length)].css
-        : weftPalette[wrapIndexLocal(j + offsetWeft, weftPalette.length)].css;
-      ctx.fillStyle = color;
-      ctx.fillRect(i * intersectionSize, j * intersectionSize, intersectionSize, intersectionSize);
-    }
-  }
-}
-
-function renderInterlacing2D({ ctx, width, height, threading, warpPalette, weftPalette, intersectionSize, threadThickness, borderSize, cutSize, offsetWarp, offsetWeft }) {
-  const threadingHeight = threading.length;
-  const threadingWidth = threading[0].length;
-  const numWarps = Math.ceil(width / intersectionSize);
-  const numWefts = Math.ceil(height / intersectionSize);
-  const borderColor = '#111';
-
-  for (let j = 0; j < numWefts; j++) {
-    for (let i = 0; i < numWarps; i++) {
-      const cellX = i * intersectionSize;
-      const cellY = j * intersectionSize;
-
-      const threadY = wrapIndexLocal(j + offsetWeft, threadingHeight);
-      const threadX = wrapIndexLocal(i + offsetWarp, threadingWidth);
-      const isWarpOnTop = threading[threadY][threadX];
-
-      const warpColor = warpPalette[wrapIndexLocal(i + offsetWarp, warpPalette.length)].css;
-      const weftColor = weftPalette[wrapIndexLocal(j + offsetWeft, weftPalette.length)].css;
-      const topOuter = threadThickness + borderSize * 2;
-
-      if (isWarpOnTop) {
-        drawThread2D(ctx, cellX, cellY, intersectionSize, 'weft', weftColor, borderColor, threadThickness, borderSize, cutSize, false, topOuter);
-        drawThread2D(ctx, cellX, cellY, intersectionSize, 'warp', warpColor, borderColor, threadThickness, borderSize, 0, true, 0);
-      } else {
-        drawThread2D(ctx, cellX, cellY, intersectionSize, 'warp', warpColor, borderColor, threadThickness, borderSize, cutSize, false, topOuter);
-        drawThread2D(ctx, cellX, cellY, intersectionSize, 'weft', weftColor, borderColor, threadThickness, borderSize, 0, true, 0);
-      }
-    }
-  }
-}
-
-function drawThread2D(ctx, cellX, cellY, cellSize, orientation, color, borderColor, threadThickness, borderSize, cutSize, isTop, topOuterSize) {
-  const isWarp = orientation === 'warp';
-  const topSpan = topOuterSize ?? 0;
-  const gap = isTop ? 0 : Math.max(0, Math.min(cellSize, topSpan + 2 * cutSize));
-
-  const drawSegment = (xStart, yStart, segWidth, segHeight) => {
-    if (segWidth <= 0 || segHeight <= 0) return;
-    if (borderSize > 0) {
-      ctx.fillStyle = borderColor;
-      if (isWarp) {
-        ctx.fillRect(xStart, yStart, borderSize, segHeight);
-        ctx.fillRect(xStart + borderSize + threadThickness, yStart, borderSize, segHeight);
-      } else {
-        ctx.fillRect(xStart, yStart, segWidth, borderSize);
-        ctx.fillRect(xStart, yStart + borderSize + threadThickness, segWidth, borderSize);
-      }
-    }
-    ctx.fillStyle = color;
-    const innerX = isWarp ? xStart + borderSize : xStart;
-    const innerY = isWarp ? yStart : yStart + borderSize;
-    const innerW = isWarp ? threadThickness : segWidth;
-    const innerH = isWarp ? segHeight : threadThickness;
-    ctx.fillRect(innerX, innerY, innerW, innerH);
+    colors,
+    warpLayout,
+    weftLayout,
+    displayMode: scaledMode,
+    offsetWarp: startWarp,
+    offsetWeft: startWeft,
+    yarns: { warp: resolveYarns(view.warp_yarns), weft: resolveYarns(view.weft_yarns) },
+  });
+  const floats = resolveFloats(overlay);
+  const region = {
+    width: zoomState.radius * 2,
+    height: zoomState.radius * 2,
+    warpLayout,
+    weftLayout,
+    offsetWarp: startWarp,
+    offsetWeft: startWeft,
+    scale: zoomState.factor * pixelRatio,
   };
-
-  if (gap <= 0) {
-    if (isWarp) {
-      drawSegment(cellX + (cellSize - (threadThickness + 2 * borderSize)) / 2, cellY, threadThickness + 2 * borderSize, cellSize);
-    } else {
-      drawSegment(cellX, cellY + (cellSize - (threadThickness + 2 * borderSize)) / 2, cellSize, threadThickness + 2 * borderSize);
-    }
-    return;
-  }
-
-  if (isWarp) {
-    const segHeight = Math.max(0, (cellSize - gap) / 2);
-    const xStart = cellX + (cellSize - (threadThickness + 2 * borderSize)) / 2;
-    drawSegment(xStart, cellY, threadThickness + 2 * borderSize, segHeight);
-    drawSegment(xStart, cellY + segHeight + gap, threadThickness + 2 * borderSize, segHeight);
-  } else {
-    const segWidth = Math.max(0, (cellSize - gap) / 2);
-    const yStart = cellY + (cellSize - (threadThickness + 2 * borderSize)) / 2;
-    drawSegment(cellX, yStart, segWidth, threadThickness + 2 * borderSize);
-    drawSegment(cellX + segWidth + gap, yStart, segWidth, threadThickness + 2 * borderSize);
-  }
-}
-
-function wrapIndexLocal(n, mod) {
-  return ((n % mod) + mod) % mod;
+  drawOverlay(ctx, [
+    ...floatRects(floats, floats && viewFloatMask(definition, side, viewRegion, threading, floats.limit), region),
+    ...overlayRects(resolveOverlay(overlay, definition), region),
+  ]);
 }
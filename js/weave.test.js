@@ -1,5 +1,6 @@
-import { describe, test, expect } from 'vitest';
-import { renderWeave } from './weave.js';
+import { describe, test, expect, vi } from 'vitest';
+import { createWeaveRenderer, renderWeave, WeaveValidationError } from './weave.js';
+import { tile } from './transforms.js';
 
 // Test definition for Twill 2/2 pattern
 const twillDefinition = {
@@ -79,6 +80,16 @@ function getCanvasPixelData(container) {
     return flipped;
   }
   
+  // A WebGPU canvas is copied into a 2D one, in the task that drew it.
+  if (canvas.getAttribute('data-context') === 'webgpu') {
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    const copyCtx = copy.getContext('2d');
+    copyCtx.drawImage(canvas, 0, 0);
+    return copyCtx.getImageData(0, 0, copy.width, copy.height).data;
+  }
+
   throw new Error('Could not get 2D or WebGL context from canvas');
 }
 
@@ -141,6 +152,44 @@ function comparePixelData(data1, data2, tolerance = 2) {
   return { match: true };
 }
 
+// WebGPU is tested only where the browser has an adapter for it.
+const hasWebGPU = Boolean(globalThis.navigator?.gpu && await navigator.gpu.requestAdapter().catch(() => null));
+
+/** The backends each render is compared across, canvas first; the GPU ones alone. */
+const BACKENDS = ['canvas', 'webgl', ...(hasWebGPU ? ['webgpu'] : []), 'svg'];
+const GPU_BACKENDS = BACKENDS.filter((backend) => backend === 'webgl' || backend === 'webgpu');
+
+/**
+ * Render on one backend into a fresh container and return its pixels, read from the
+ * canvas or rasterized from the SVG. The container is removed afterwards.
+ */
+async function renderPixels(definition, options, backend) {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  try {
+    await renderWeave(container, definition, { ...options, backend });
+    return backend === 'svg'
+      ? await getSVGPixelData(container, options.width, options.height)
+      : getCanvasPixelData(container);
+  } finally {
+    container.remove();
+  }
+}
+
+/**
+ * Render on each of `backends` and expect the pixels to match `expected`, by default
+ * the canvas render of the same definition and options compared against the other
+ * backends. SVG rasterization gets a wider tolerance. Returns the expected pixels.
+ */
+async function expectBackendsMatch(definition, options, { expected, backends } = {}) {
+  const reference = expected ?? await renderPixels(definition, options, 'canvas');
+  for (const backend of backends ?? (expected ? BACKENDS : BACKENDS.slice(1))) {
+    const result = comparePixelData(reference, await renderPixels(definition, options, backend), backend === 'svg' ? 5 : 2);
+    expect(result.match, `${backend}: ${result.reason}`).toBe(true);
+  }
+  return reference;
+}
+
 /**
  * Sample the center pixel of each intersection and return a grid of RGB tuples
  */
@@ -434,4 +483,412 @@ describe('Weave Rendering - Backend Consistency', () => {
     webglContainer.remove();
     svgContainer.remove();
   });
+
+  test('Validation: strict mode throws and lenient mode reports on every backend', async () => {
+    const ragged = { ...plainDefinition, threading: [[true, false], [true]] };
+    const options = { width: 40, height: 40, cell_size: 10 };
+
+    for (const backend of BACKENDS) {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      await expect(renderWeave(container, ragged, { ...options, backend, validation: 'strict' }))
+        .rejects.toBeInstanceOf(WeaveValidationError);
+      const report = await renderWeave(container, ragged, { ...options, backend });
+      expect(report.valid).toBe(false);
+      expect(report.issues[0].message).toBe('threading[1] has length 1, expected 2');
+      container.remove();
+    }
+  });
+
+  test('Minimal repeat: a twill tiled to 100x100 uploads its 4x4 repeat and draws as before', async () => {
+    const options = { width: 40, height: 40, cell_size: 4, pixelRatio: 1 };
+    const tiled = tile(twillDefinition, 25);
+    const expected = await renderPixels(twillDefinition, options, 'canvas');
+    const texImage2D = vi.spyOn(WebGLRenderingContext.prototype, 'texImage2D');
+    try {
+      await expectBackendsMatch(tiled, options, { expected });
+      // The threading texture is the first upload: its width and height follow the level and format.
+      expect(texImage2D.mock.calls[0].slice(3, 5)).toEqual([4, 4]);
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  test('Back side: every backend matches the hand-flipped front in simple and interlacing modes', async () => {
+    const flipped = {
+      threading: debugDefinition.threading.map((row) => row.map((cell) => !cell).reverse()),
+      warp_colors: [...debugDefinition.warp_colors].reverse(),
+      weft_colors: debugDefinition.weft_colors,
+    };
+    const modes = [
+      { type: 'simple', cellSize: 10 },
+      { type: 'interlacing', cellSize: 20, thread_thickness: 8, border_size: 1, cut_size: 1 },
+    ];
+
+    for (const display_mode of modes) {
+      const options = { width: 80, height: 80, display_mode };
+      const expected = await renderPixels(flipped, options, 'canvas');
+      await expectBackendsMatch(debugDefinition, { ...options, side: 'back' }, { expected });
+    }
+  });
+
+  test('Procedural definitions: functions match their materialized arrays on every backend', async () => {
+    const width = 60;
+    const height = 40;
+    const options = { width, height, display_mode: { type: 'simple', cellSize: 10 } };
+    // A single diagonal never repeats; materialized to 6x4 it would wrap after 6 warps.
+    const procedural = {
+      threading: (i, j) => i === j,
+      warp_colors: (i) => (i < 3 ? '#ff0000' : '#0000ff'),
+      weft_colors: () => '#ffffff',
+    };
+    const materialized = {
+      threading: Array.from({ length: 4 }, (_, j) => Array.from({ length: 6 }, (_, i) => i === j)),
+      warp_colors: ['#ff0000', '#ff0000', '#ff0000', '#0000ff', '#0000ff', '#0000ff'],
+      weft_colors: ['#ffffff'],
+    };
+    const expected = await renderPixels(materialized, options, 'canvas');
+    await expectBackendsMatch(procedural, options, { expected });
+
+    // A declared period repeats the plain weave every two threads.
+    const periodic = { ...procedural, threading: (i, j) => (i + j) % 2 === 0, period: { warps: 2, wefts: 2 } };
+    const grid = sampleGridColors(await renderPixels(periodic, options, 'canvas'), width, height, 10);
+    expectColorApprox(grid[0][2], [255, 0, 0]);
+    expectColorApprox(grid[1][4], [255, 255, 255]);
+    expectColorApprox(grid[3][5], [0, 0, 255]);
+
+    // Sampled over a generous declared period, the plain weave still uploads its 2x2 repeat.
+    const texImage2D = vi.spyOn(WebGLRenderingContext.prototype, 'texImage2D');
+    try {
+      await renderPixels({ ...periodic, period: { warps: 100, wefts: 100 } }, options, 'webgl');
+      expect(texImage2D.mock.calls[0].slice(3, 5)).toEqual([2, 2]);
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  test('Layers: a supplementary weft draws like its flattened single layer on every backend', async () => {
+    const layered = {
+      layers: [
+        { threading: [[false, false, false, false], [true, true, true, true]], weft_colors: ['#ff0000'] },
+        { threading: [[true, false], [false, true]], warp_colors: ['#ffffff'], weft_colors: ['#000000'] },
+      ],
+    };
+    const flattened = {
+      threading: [[false, false, false, false], [false, true, false, true]],
+      warp_colors: ['#ffffff'],
+      weft_colors: ['#ff0000', '#000000'],
+    };
+    const modes = [
+      { type: 'simple', cellSize: 10 },
+      { type: 'interlacing', cellSize: 20, thread_thickness: 8, border_size: 1, cut_size: 1 },
+    ];
+
+    for (const display_mode of modes) {
+      const options = { width: 80, height: 80, display_mode };
+      const expected = await renderPixels(flattened, options, 'canvas');
+      await expectBackendsMatch(layered, options, { expected });
+    }
+  });
+
+  test('Thread widths: every backend lays out thick and thin threads alike', async () => {
+    const widths = {
+      threading: [[true, false], [false, true]],
+      warp_colors: ['#ff0000', '#0000ff'],
+      weft_colors: ['#ffffff', '#000000'],
+      warp_widths: [2, 1],
+      weft_widths: 2,
+    };
+    // The same cloth with every thread one cell wide: double-width threads repeated.
+    const expanded = {
+      threading: [[true, true, false], [true, true, false], [false, false, true], [false, false, true]],
+      warp_colors: ['#ff0000', '#ff0000', '#0000ff'],
+      weft_colors: ['#ffffff', '#ffffff', '#000000', '#000000'],
+    };
+    const simple = { width: 90, height: 80, display_mode: { type: 'simple', cellSize: 10 } };
+    const expected = await renderPixels(expanded, simple, 'canvas');
+    await expectBackendsMatch(widths, simple, { expected });
+
+    // Interlacing draws thicker yarns for wider threads; the backends agree on them.
+    const interlacing = { ...simple, display_mode: { type: 'interlacing', cellSize: 20, thread_thickness: 8, border_size: 1, cut_size: 1 } };
+    await expectBackendsMatch(widths, interlacing, { backends: GPU_BACKENDS });
+  });
+
+  test('Shaded display mode: every backend lights the threads alike', async () => {
+    const width = 80;
+    const options = { width, height: 80, display_mode: { type: 'shaded', cellSize: 20, thread_thickness: 10 } };
+    const canvasData = await expectBackendsMatch(debugDefinition, options);
+
+    // Warp 0 is on top in the first cell: brightest over the crossing, darker where it dips.
+    const at = (x, y) => Array.from(canvasData.slice((y * width + x) * 4, (y * width + x) * 4 + 3));
+    const brightness = ([r, g, b]) => r + g + b;
+    expect(brightness(at(10, 10))).toBeGreaterThan(brightness(at(10, 0)));
+    expect(brightness(at(14, 10))).toBeLessThan(brightness(at(10, 10)));
+  });
+
+  test('Yarn texture: every backend draws the same tweed', async () => {
+    const options = { width: 80, height: 80, display_mode: { type: 'interlacing', cellSize: 20, thread_thickness: 12 } };
+    const definition = {
+      ...debugDefinition,
+      warp_yarns: [{ twist: 'Z', noise: 0.4, plies: ['#6b5a45', '#a89870'], heather: true }, { twist: 'S', plies: ['navy', 'gold'] }],
+      weft_yarns: { twist: 'S', noise: 0.25 },
+    };
+    const canvasData = await expectBackendsMatch(definition, options);
+    expect(comparePixelData(canvasData, await renderPixels(debugDefinition, options, 'canvas')).match).toBe(false);
+  });
+
+  test('Draft display mode: canvas and SVG draw the same diagram, the GPU backends hand it to canvas', async () => {
+    const draft = {
+      threading: [0, 1, 2, 3],
+      tieup: [[true, false, false, true], [true, true, false, false], [false, true, true, false], [false, false, true, true]],
+      treadling: [0, 1, 2, 3],
+      warp_colors: ['navy'],
+      weft_colors: ['gold'],
+    };
+    await expectBackendsMatch(draft, { width: 120, height: 120, display_mode: { type: 'draft', cellSize: 8 } });
+  });
+
+  test('Overlay: every backend draws the grid and repeat lines alike', async () => {
+    const width = 60;
+    const options = {
+      width,
+      height: 60,
+      display_mode: { type: 'simple', cellSize: 6 },
+      overlay: { grid: { color: '#ffffff', width: 1 }, repeat: { color: '#ff0000', width: 2 } },
+    };
+    const canvasData = await expectBackendsMatch(twillDefinition, options);
+    // The repeat is 4 threads: lines start at 0 and 24px, the grid lines at every 6px.
+    expectColorApprox(samplePixel(canvasData, width, 25, 40), [255, 0, 0]);
+    expectColorApprox(samplePixel(canvasData, width, 12, 40), [255, 255, 255]);
+  });
+
+  test('Overlay: long floats are highlighted alike on every backend, tinted or outlined', async () => {
+    // A 5-end satin: every pick floats over four warps.
+    const satin = {
+      threading: [0, 1, 2, 3, 4].map((j) => [0, 1, 2, 3, 4].map((i) => (2 * j + i) % 5 === 0)),
+      warp_colors: ['#203060'],
+      weft_colors: ['#e0d0a0'],
+    };
+    for (const [display_mode, style] of [
+      [{ type: 'simple', cellSize: 8 }, 'tint'],
+      [{ type: 'interlacing', cellSize: 16, thread_thickness: 10 }, 'outline'],
+    ]) {
+      const plain = { width: 64, height: 64, display_mode };
+      const canvasData = await expectBackendsMatch(satin, { ...plain, overlay: { floats: { limit: 3, style, weft_color: '#ff00aa' } } });
+      expect(comparePixelData(canvasData, await renderPixels(satin, plain, 'canvas')).match).toBe(false);
+    }
+  });
+
+  test('Pixel ratio: the backing store grows with the ratio and matches a plain render at that size', async () => {
+    const options = {
+      width: 40,
+      height: 40,
+      display_mode: { type: 'interlacing', cellSize: 10, thread_thickness: 6, border_size: 1, cut_size: 1 },
+      pixelRatio: 2,
+    };
+
+    const retinaContainer = document.createElement('div');
+    document.body.appendChild(retinaContainer);
+    await renderWeave(retinaContainer, debugDefinition, { ...options, backend: 'canvas' });
+    const canvas = retinaContainer.querySelector('canvas');
+    expect([canvas.width, canvas.height, canvas.style.width, canvas.style.height]).toEqual([80, 80, '40px', '40px']);
+    const retinaData = getCanvasPixelData(retinaContainer);
+    retinaContainer.remove();
+
+    const large = await renderPixels(debugDefinition, {
+      width: 80,
+      height: 80,
+      display_mode: { type: 'interlacing', cellSize: 20, thread_thickness: 12, border_size: 2, cut_size: 2 },
+      pixelRatio: 1,
+    }, 'canvas');
+    expect(comparePixelData(retinaData, large).match).toBe(true);
+    await expectBackendsMatch(debugDefinition, options, { expected: retinaData, backends: GPU_BACKENDS });
+  });
+
+  test('Sub-pixel cells: a houndstooth at 0.3 px per thread mixes to its optical gray on canvas and the GPU backends', async () => {
+    const twill = [
+      [true, true, false, false],
+      [false, true, true, false],
+      [false, false, true, true],
+      [true, false, false, true],
+    ];
+    const checks = ['#000000', '#000000', '#000000', '#000000', '#ffffff', '#ffffff', '#ffffff', '#ffffff'];
+    const houndstooth = { threading: twill, warp_colors: checks, weft_colors: checks };
+    const canvasData = await expectBackendsMatch(houndstooth, { width: 60, height: 60, cell_size: 0.3, pixelRatio: 1 }, { backends: GPU_BACKENDS });
+
+    // Half the cloth is black: half the light of white, not a mid sRGB gray.
+    let light = 0;
+    for (let k = 0; k < canvasData.length; k += 4) {
+      const c = canvasData[k] / 255;
+      light += c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    }
+    expect(light / (canvasData.length / 4)).toBeCloseTo(0.5, 1);
+  });
+
+  test('Camera: a whole-thread pan shows the repeat moved on, and every backend pans alike', async () => {
+    const options = { width: 60, height: 40, cell_size: 4, pixelRatio: 1 };
+    const shift = (rows) => [...rows.slice(2), ...rows.slice(0, 2)];
+    const shifted = { ...twillDefinition, threading: shift(twillDefinition.threading).map(shift) };
+    const panned = await renderPixels(twillDefinition, { ...options, camera: { x: 8, y: 8 } }, 'canvas');
+    expect(comparePixelData(panned, await renderPixels(shifted, options, 'canvas')).match).toBe(true);
+
+    // A fractional pan, magnified, starts partway into a thread on every backend.
+    await expectBackendsMatch(twillDefinition, { ...options, camera: { x: 13, y: -6, scale: 2.5 }, overlay: { repeat: true } });
+  });
+
+  test('Rotation: a quarter turn turns the image alike on every backend', async () => {
+    const size = 40;
+    const options = { width: size, height: size, cell_size: 4, pixelRatio: 1 };
+    // Turned clockwise, pixel (x, y) shows what pixel (y, size - 1 - x) showed.
+    const stillData = await renderPixels(twillDefinition, options, 'canvas');
+    const expected = new Uint8ClampedArray(stillData.length);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const from = ((size - 1 - x) * size + y) * 4;
+        expected.set(stillData.subarray(from, from + 4), (y * size + x) * 4);
+      }
+    }
+    await expectBackendsMatch(twillDefinition, { ...options, rotation: 90 }, { expected });
+  });
+
+  test('Persistent renderer: updates redraw the same canvas like a fresh render, and dispose clears it', async () => {
+    const options = { width: 40, height: 40, cell_size: 4, pixelRatio: 1 };
+    const recolored = { warp_colors: ['crimson', 'white'] };
+    const expected = await renderPixels({ ...twillDefinition, ...recolored }, { ...options, overlay: { grid: true } }, 'webgl');
+
+    for (const backend of ['webgl', 'canvas']) {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const renderer = createWeaveRenderer(container, { ...options, backend });
+      await renderer.update(twillDefinition);
+      const canvas = container.querySelector('canvas');
+      // Overlapping updates are drawn together once the running render ends.
+      renderer.update(recolored);
+      await renderer.update(null, { overlay: { grid: true } });
+      expect(container.querySelector('canvas')).toBe(canvas);
+      expect(comparePixelData(expected, getCanvasPixelData(container)).match).toBe(true);
+
+      renderer.dispose();
+      expect(container.querySelector('canvas')).toBeNull();
+      await expect(renderer.update(recolored)).rejects.toThrow('disposed');
+      container.remove();
+    }
+  });
+
+  test.skipIf(!hasWebGPU)('Persistent renderer: WebGPU updates reuse the device, pipeline and buffers, and dispose releases them', async () => {
+    const options = { width: 40, height: 40, cell_size: 4, pixelRatio: 1, backend: 'webgpu' };
+    const expected = await renderPixels(twillDefinition, { ...options, overlay: { grid: true } }, 'webgpu');
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    try {
+      const renderer = createWeaveRenderer(container, options);
+      await renderer.update(twillDefinition);
+      const canvas = container.querySelector('canvas');
+
+      // An overlay change rewrites the uniforms in place: nothing is requested or created.
+      const requestAdapter = vi.spyOn(navigator.gpu, 'requestAdapter');
+      const createPipeline = vi.spyOn(GPUDevice.prototype, 'createRenderPipeline');
+      const createBuffer = vi.spyOn(GPUDevice.prototype, 'createBuffer');
+      await renderer.update(null, { overlay: { grid: true } });
+      expect(container.querySelector('canvas')).toBe(canvas);
+      expect(comparePixelData(expected, getCanvasPixelData(container)).match).toBe(true);
+      expect([requestAdapter, createPipeline, createBuffer].map((spy) => spy.mock.calls.length)).toEqual([0, 0, 0]);
+
+      const unconfigure = vi.spyOn(GPUCanvasContext.prototype, 'unconfigure');
+      const destroy = vi.spyOn(GPUBuffer.prototype, 'destroy');
+      renderer.dispose();
+      expect(container.querySelector('canvas')).toBeNull();
+      expect(unconfigure).toHaveBeenCalledTimes(1);
+      // The uniforms, threading, both palettes, the layout and the yarns
+      expect(destroy).toHaveBeenCalledTimes(6);
+    } finally {
+      vi.restoreAllMocks();
+      container.remove();
+    }
+  });
+
+  test('Zoom loop: moving the loop redraws its own small layer and leaves the base as drawn', async () => {
+    const options = { width: 60, height: 60, cell_size: 4, pixelRatio: 1, zoomLoop: { radius: 10, factor: 2, borderSize: 2 } };
+    const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    await renderWeave(container, twillDefinition, { ...options, backend: 'canvas' });
+    const base = container.querySelector('canvas');
+    const before = getCanvasPixelData(container);
+    const pointer = (type, x, y) => {
+      const rect = base.getBoundingClientRect();
+      base.dispatchEvent(new MouseEvent(type, { clientX: rect.left + x, clientY: rect.top + y, bubbles: true }));
+    };
+
+    // Nothing is drawn on the base canvas from here on.
+    const baseContext = base.getContext('2d');
+    const baseDraws = ['clearRect', 'fillRect', 'drawImage', 'putImageData'].map((name) => vi.spyOn(baseContext, name));
+
+    pointer('click', 15, 15);
+    pointer('mousemove', 40, 40);
+    pointer('mousemove', 45, 44);
+    await nextFrame();
+    expect(baseDraws.map((spy) => spy.mock.calls.length)).toEqual([0, 0, 0, 0]);
+    const loop = container.querySelector('canvas[data-context="zoom-overlay"]');
+    expect(loop).not.toBeNull();
+    // The layer covers the loop at the last position only: its radius, half its
+    // border and a pixel to spare each way.
+    expect([loop.style.left, loop.style.top, loop.width, loop.height]).toEqual(['33px', '32px', 25, 25]);
+    const layer = loop.getContext('2d');
+    expect(layer.getImageData(12, 12, 1, 1).data[3]).toBe(255);
+    expect(layer.getImageData(0, 0, 1, 1).data[3]).toBe(0);
+    expect(comparePixelData(before, getCanvasPixelData(container)).match).toBe(true);
+
+    // Clicking inside the loop closes it, layer and all.
+    pointer('click', 45, 44);
+    await nextFrame();
+    expect(container.querySelector('canvas[data-context="zoom-overlay"]')).toBeNull();
+    container.remove();
+  });
+
+  test('Zoom loop: the GPU backends draw the loop in their shaders, magnified like the canvas layer', async () => {
+    const options = { width: 60, height: 60, cell_size: 4, pixelRatio: 1, zoomLoop: { radius: 10, factor: 2, borderSize: 2 } };
+    const openLoop = async (backend) => {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      await renderWeave(container, twillDefinition, { ...options, backend });
+      const base = container.querySelector('canvas');
+      const rect = base.getBoundingClientRect();
+      base.dispatchEvent(new MouseEvent('click', { clientX: rect.left + 30, clientY: rect.top + 30, bubbles: true }));
+      // Read in the frame that draws the loop, before a GPU canvas is presented.
+      const data = await new Promise((resolve) => requestAnimationFrame(() => resolve(getCanvasPixelData(container))));
+      const layer = container.querySelector('canvas[data-context="zoom-overlay"]');
+      container.remove();
+      return { data, layer };
+    };
+
+    const { layer } = await openLoop('canvas');
+    const layerData = layer.getContext('2d').getImageData(0, 0, layer.width, layer.height).data;
+    const left = parseFloat(layer.style.left);
+    const top = parseFloat(layer.style.top);
+    // WebGPU joins where it runs: its loop pass packs its own uniforms.
+    for (const backend of GPU_BACKENDS) {
+      const { data, layer: gpuLayer } = await openLoop(backend);
+      // No layer of its own; inside the loop it shows what the canvas layer does.
+      expect(gpuLayer).toBeNull();
+      let inside = 0;
+      let mismatches = 0;
+      for (let y = 0; y < options.height; y++) {
+        for (let x = 0; x < options.width; x++) {
+          if (Math.hypot(x + 0.5 - 30, y + 0.5 - 30) > 8) continue;
+          inside++;
+          const viewIndex = (y * options.width + x) * 4;
+          const layerIndex = ((y - top) * layer.width + (x - left)) * 4;
+          for (let c = 0; c < 3; c++) {
+            if (Math.abs(data[viewIndex + c] - layerData[layerIndex + c]) > 2) {
+              mismatches++;
+              break;
+            }
+          }
+        }
+      }
+      expect(inside).toBeGreaterThan(150);
+      expect(mismatches / inside, backend).toBeLessThan(0.05);
+    }
+  });
 });
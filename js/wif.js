@@ -0,0 +1,309 @@
+import { materializeDefinition, resolveColor } from './renderers/utils.js';
+import { createDraft, compileDraft, decomposeDrawdown, draftLiftplan, isDraft } from './draft.js';
+import { reduceDefinition } from './repeat.js';
+
+const DEFAULT_WARP_COLOR = '#ffffff';
+const DEFAULT_WEFT_COLOR = '#000000';
+
+/**
+ * Split a WIF (Weaving Information File) document into its sections.
+ * Section names are upper-cased and keys lower-cased, since WIF is case-insensitive.
+ *
+ * @param {string} text - Raw WIF file contents.
+ * @returns {Object<string, Object<string, string>>} Map of section name to key/value pairs.
+ */
+export function parseWIFSections(text) {
+  const sections = {};
+  let current = null;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(';')) continue;
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      const name = header[1].trim().toUpperCase();
+      current = sections[name] || (sections[name] = {});
+      continue;
+    }
+    const eq = line.indexOf('=');
+    if (!current || eq < 0) continue;
+    const key = line.slice(0, eq).trim().toLowerCase();
+    current[key] = line.slice(eq + 1).trim();
+  }
+  return sections;
+}
+
+/**
+ * Parse a WIF document into a loom-level draft (see `createDraft` in `draft.js`).
+ * Reads THREADING plus either LIFTPLAN or TIEUP + TREADLING; a liftplan becomes a
+ * draft with one treadle per shaft and an identity tie-up. Warp thread 1 maps to
+ * index 0 and pick 1 maps to index 0. Colors come from COLOR TABLE, WARP COLORS and
+ * WEFT COLORS.
+ *
+ * @param {string} text - Raw WIF file contents.
+ * @returns {Object} Draft with `warp_colors` and `weft_colors` filled in.
+ */
+export function parseWIFDraft(text) {
+  const sections = parseWIFSections(text);
+  if (!sections.WIF) {
+    throw new Error('WIF: missing [WIF] section');
+  }
+  const weaving = sections.WEAVING || {};
+  const risingShed = weaving['rising shed'] === undefined ? true : readBool(weaving['rising shed']);
+
+  const threadingMap = readIndexedLists(sections.THREADING);
+  const useLiftplan = !!sections.LIFTPLAN;
+  const tieupMap = readIndexedLists(sections.TIEUP);
+  const pickMap = readIndexedLists(useLiftplan ? sections.LIFTPLAN : sections.TREADLING);
+
+  const warpCount = readInt(sections.WARP?.threads) || maxKey(threadingMap);
+  const weftCount = readInt(sections.WEFT?.threads) || maxKey(pickMap);
+  if (!warpCount) throw new Error('WIF: no warp threads found');
+  if (!weftCount) throw new Error('WIF: no weft picks found');
+
+  const toZeroBased = (list) => (list || []).map((v) => v - 1);
+  const threading = range(warpCount).map((i) => toZeroBased(threadingMap.get(i + 1)));
+  const treadling = range(weftCount).map((j) => toZeroBased(pickMap.get(j + 1)));
+  const shafts = Math.max(readInt(weaving.shafts), maxListValue(threadingMap), maxListValue(tieupMap), useLiftplan ? maxListValue(pickMap) : 0);
+
+  const treadles = useLiftplan ? shafts : Math.max(readInt(weaving.treadles), maxKey(tieupMap), maxListValue(pickMap));
+  let tieup;
+  if (useLiftplan) {
+    tieup = range(shafts).map((s) => range(shafts).map((t) => s === t));
+  } else {
+    tieup = range(shafts).map(() => new Array(treadles).fill(false));
+    for (const [treadle, tied] of tieupMap) {
+      for (const shaft of tied) tieup[shaft - 1][treadle - 1] = true;
+    }
+  }
+
+  const table = readColorTable(sections);
+  return createDraft({
+    shafts,
+    treadles,
+    threading,
+    tieup,
+    treadling,
+    risingShed,
+    warp_colors: readThreadColors(sections['WARP COLORS'], sections.WARP, table, warpCount, DEFAULT_WARP_COLOR),
+    weft_colors: readThreadColors(sections['WEFT COLORS'], sections.WEFT, table, weftCount, DEFAULT_WEFT_COLOR),
+  });
+}
+
+/**
+ * Parse a WIF document into a weave definition (the compiled drawdown of `parseWIFDraft`).
+ *
+ * @param {string} text - Raw WIF file contents.
+ * @returns {{ threading: boolean[][], warp_colors: string[], weft_colors: string[] }}
+ */
+export function parseWIF(text) {
+  return compileDraft(parseWIFDraft(text));
+}
+
+/**
+ * Serialize a weave definition or a draft as a WIF 1.1 document.
+ * Drafts are written with their own threading, tie-up and treadling; a plain
+ * definition is first shrunk to its minimal repeat (`reduceDefinition`) and factored
+ * with `decomposeDrawdown`. Thread counts cover the
+ * least common multiple of the threading and color repeats, so the periodic fabric
+ * round-trips exactly.
+ *
+ * @param {Object} definition - The weave definition, or a draft from `createDraft`.
+ * @param {Object} [options]
+ * @param {string} [options.title] - Optional title written to the [TEXT] section.
+ * @param {boolean} [options.liftplan=false] - Write a LIFTPLAN instead of TIEUP + TREADLING.
+ * @returns {string} WIF document text.
+ */
+export function serializeWIF(definition, options = {}) {
+  // Procedural definitions are written out over their declared period, and the colors
+  // defaulted, before the drawdown is reduced to its minimal repeat.
+  definition = materializeDefinition(definition);
+  definition = {
+    ...definition,
+    warp_colors: definition.warp_colors?.length ? definition.warp_colors : [DEFAULT_WARP_COLOR],
+    weft_colors: definition.weft_colors?.length ? definition.weft_colors : [DEFAULT_WEFT_COLOR],
+  };
+  if (!isDraft(definition) && definition.threading?.length) {
+    definition = reduceDefinition(definition);
+  }
+  const draft = isDraft(definition) ? createDraft(definition) : decomposeDrawdown(definition).draft;
+  const { warp_colors, weft_colors } = definition;
+  const width = draft.threading.length;
+  const height = draft.treadling.length;
+  if (!width || !height) {
+    throw new Error('WIF: cannot serialize an empty threading');
+  }
+  const warpCount = lcm(width, warp_colors.length);
+  const weftCount = lcm(height, weft_colors.length);
+  const lifts = draftLiftplan(draft);
+
+  // Color table: one entry per distinct resolved color.
+  const colorTable = [];
+  const colorKeys = new Map();
+  const colorIndex = (color) => {
+    const rgb = resolveColor(color).norm.slice(0, 3).map((v) => Math.round(v * 255));
+    const key = rgb.join(',');
+    if (!colorKeys.has(key)) {
+      colorKeys.set(key, colorTable.length + 1);
+      colorTable.push(key);
+    }
+    return colorKeys.get(key);
+  };
+  const warpColorIndices = range(warpCount).map((i) => colorIndex(warp_colors[i % warp_colors.length]));
+  const weftColorIndices = range(weftCount).map((j) => colorIndex(weft_colors[j % weft_colors.length]));
+
+  const useLiftplan = !!options.liftplan;
+  const oneBased = (list) => list.map((v) => v + 1).join(',');
+  const lines = [];
+  const section = (name, entries) => {
+    lines.push(`[${name}]`);
+    for (const [key, value] of entries) lines.push(`${key}=${value}`);
+    lines.push('');
+  };
+
+  section('WIF', [
+    ['Version', '1.1'],
+    ['Date', 'April 20, 1997'],
+    ['Developers', 'wif@mhsoft.com'],
+    ['Source Program', 'warpsnwefts'],
+  ]);
+  const contents = [
+    ['COLOR PALETTE', 'true'],
+    ['WEAVING', 'true'],
+    ['WARP', 'true'],
+    ['WEFT', 'true'],
+    ['COLOR TABLE', 'true'],
+    ['THREADING', 'true'],
+  ];
+  if (useLiftplan) {
+    contents.push(['LIFTPLAN', 'true']);
+  } else {
+    contents.push(['TIEUP', 'true'], ['TREADLING', 'true']);
+  }
+  contents.push(['WARP COLORS', 'true'], ['WEFT COLORS', 'true']);
+  if (options.title) contents.push(['TEXT', 'true']);
+  section('CONTENTS', contents);
+
+  if (options.title) section('TEXT', [['Title', options.title]]);
+  section('COLOR PALETTE', [
+    ['Entries', colorTable.length],
+    ['Form', 'RGB'],
+    ['Range', '0,255'],
+  ]);
+  section('WEAVING', [
+    ['Shafts', draft.shafts],
+    ['Treadles', useLiftplan ? 0 : draft.treadles],
+    ['Rising Shed', draft.risingShed ? 'true' : 'false'],
+  ]);
+  section('WARP', [
+    ['Threads', warpCount],
+    ['Color', warpColorIndices[0]],
+  ]);
+  section('WEFT', [
+    ['Threads', weftCount],
+    ['Color', weftColorIndices[0]],
+  ]);
+  section('COLOR TABLE', colorTable.map((rgb, idx) => [idx + 1, rgb]));
+  section('THREADING', range(warpCount)
+    .filter((i) => draft.threading[i % width].length)
+    .map((i) => [i + 1, oneBased(draft.threading[i % width])]));
+  if (useLiftplan) {
+    section('LIFTPLAN', range(weftCount)
+      .filter((j) => lifts[j % height].length)
+      .map((j) => [j + 1, oneBased(lifts[j % height])]));
+  } else {
+    section('TIEUP', range(draft.treadles)
+      .map((t) => [t + 1, oneBased(range(draft.shafts).filter((s) => draft.tieup[s][t]))])
+      .filter(([, tied]) => tied.length));
+    section('TREADLING', range(weftCount)
+      .filter((j) => draft.treadling[j % height].length)
+      .map((j) => [j + 1, oneBased(draft.treadling[j % height])]));
+  }
+  section('WARP COLORS', warpColorIndices.map((c, i) => [i + 1, c]));
+  section('WEFT COLORS', weftColorIndices.map((c, j) => [j + 1, c]));
+
+  return lines.join('\n');
+}
+
+function readBool(value) {
+  return /^(true|yes|on|1)$/i.test(String(value).trim());
+}
+
+function readInt(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function readList(value) {
+  return String(value)
+    .split(',')
+    .map((v) => parseInt(v, 10))
+    .filter((v) => Number.isFinite(v) && v > 0);
+}
+
+function readIndexedLists(section) {
+  const map = new Map();
+  if (!section) return map;
+  for (const [key, value] of Object.entries(section)) {
+    const idx = parseInt(key, 10);
+    if (Number.isFinite(idx) && idx > 0) map.set(idx, readList(value));
+  }
+  return map;
+}
+
+function maxKey(map) {
+  let max = 0;
+  for (const key of map.keys()) max = Math.max(max, key);
+  return max;
+}
+
+function maxListValue(map) {
+  let max = 0;
+  for (const list of map.values()) {
+    for (const v of list) max = Math.max(max, v);
+  }
+  return max;
+}
+
+function readColorTable(sections) {
+  const palette = sections['COLOR PALETTE'] || {};
+  const [lo, hi] = palette.range ? palette.range.split(',').map(Number) : [0, 255];
+  const span = hi - lo || 255;
+  const table = new Map();
+  for (const [key, value] of Object.entries(sections['COLOR TABLE'] || {})) {
+    const idx = parseInt(key, 10);
+    const parts = value.split(',').map(Number);
+    if (!Number.isFinite(idx) || parts.length < 3 || parts.some((v) => !Number.isFinite(v))) continue;
+    const hex = parts
+      .slice(0, 3)
+      .map((v) => Math.round(((v - lo) / span) * 255))
+      .map((v) => Math.max(0, Math.min(255, v)).toString(16).padStart(2, '0'))
+      .join('');
+    table.set(idx, `#${hex}`);
+  }
+  return table;
+}
+
+function readThreadColors(colorsSection, threadSection, table, count, fallback) {
+  const defaultIdx = readInt(threadSection?.color);
+  const defaultColor = table.get(defaultIdx) || fallback;
+  const perThread = readIndexedLists(colorsSection);
+  const colors = [];
+  for (let i = 0; i < count; i++) {
+    const idx = (perThread.get(i + 1) || [])[0];
+    colors.push(table.get(idx) || defaultColor);
+  }
+  return colors;
+}
+
+function range(n) {
+  return Array.from({ length: n }, (_, i) => i);
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function lcm(a, b) {
+  return (a / gcd(a, b)) * b;
+}
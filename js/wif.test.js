@@ -0,0 +1,129 @@
+import { describe, test, expect } from 'vitest';
+import { parseWIF, parseWIFDraft, serializeWIF } from './wif.js';
+
+const twillWIF = `
+[WIF]
+Version=1.1
+Date=April 20, 1997
+Developers=wif@mhsoft.com
+Source Program=test
+
+[CONTENTS]
+COLOR PALETTE=true
+WEAVING=true
+WARP=true
+WEFT=true
+COLOR TABLE=true
+THREADING=true
+TIEUP=true
+TREADLING=true
+WARP COLORS=true
+
+[COLOR PALETTE]
+Entries=2
+Form=RGB
+Range=0,999
+
+[WEAVING]
+Shafts=4
+Treadles=4
+Rising Shed=true
+
+[WARP]
+Threads=4
+Color=1
+
+[WEFT]
+Threads=4
+Color=2
+
+[COLOR TABLE]
+1=999,0,0
+2=0,0,999
+
+[THREADING]
+1=1
+2=2
+3=3
+4=4
+
+[TIEUP]
+1=1,2
+2=2,3
+3=3,4
+4=4,1
+
+[TREADLING]
+1=1
+2=2
+3=3
+4=4
+
+[WARP COLORS]
+2=2
+`;
+
+describe('WIF import/export', () => {
+  test('parses threading, tie-up and treadling into a drawdown', () => {
+    const def = parseWIF(twillWIF);
+    expect(def.threading).toEqual([
+      [true, true, false, false],
+      [false, true, true, false],
+      [false, false, true, true],
+      [true, false, false, true],
+    ]);
+    expect(def.warp_colors).toEqual(['#ff0000', '#0000ff', '#ff0000', '#ff0000']);
+    expect(def.weft_colors).toEqual(['#0000ff', '#0000ff', '#0000ff', '#0000ff']);
+  });
+
+  test('liftplan takes the place of tie-up and treadling', () => {
+    const text = twillWIF.replace(/\[TIEUP\][\s\S]*?\[WARP COLORS\]/, '[LIFTPLAN]\n1=1,3\n2=2,4\n3=1,3\n4=2,4\n\n[WARP COLORS]');
+    const def = parseWIF(text);
+    expect(def.threading).toEqual([
+      [true, false, true, false],
+      [false, true, false, true],
+      [true, false, true, false],
+      [false, true, false, true],
+    ]);
+  });
+
+  test('round-trips a definition through serializeWIF', () => {
+    const def = {
+      threading: [
+        [true, false, true],
+        [false, true, false],
+      ],
+      warp_colors: ['red', 'blue'],
+      weft_colors: ['#00ff00'],
+    };
+    const parsed = parseWIF(serializeWIF(def));
+    expect(parsed.threading).toEqual([
+      [true, false, true, true, false, true],
+      [false, true, false, false, true, false],
+    ]);
+    expect(parsed.warp_colors).toEqual(['#ff0000', '#0000ff', '#ff0000', '#0000ff', '#ff0000', '#0000ff']);
+    expect(parsed.weft_colors).toEqual(['#00ff00', '#00ff00']);
+
+    const viaLiftplan = parseWIF(serializeWIF(def, { liftplan: true }));
+    expect(viaLiftplan.threading).toEqual(parsed.threading);
+  });
+
+  test('serializes a definition without colors, or with function values over a period', () => {
+    const plain = { threading: [[true, false], [false, true]] };
+    const parsed = parseWIF(serializeWIF(plain));
+    expect(parsed.threading).toEqual(plain.threading);
+    expect(parsed.warp_colors).toEqual(['#ffffff', '#ffffff']);
+    expect(parsed.weft_colors).toEqual(['#000000', '#000000']);
+
+    const procedural = { threading: (i, j) => (i + j) % 2 === 0, period: { warps: 4, wefts: 4 } };
+    expect(parseWIF(serializeWIF(procedural)).threading).toEqual(plain.threading);
+  });
+
+  test('keeps the loom structure of a draft', () => {
+    const draft = parseWIFDraft(twillWIF);
+    expect(draft.shafts).toBe(4);
+    expect(draft.treadles).toBe(4);
+    expect(draft.threading).toEqual([[0], [1], [2], [3]]);
+    expect(parseWIFDraft(serializeWIF(draft)).tieup).toEqual(draft.tieup);
+  });
+});
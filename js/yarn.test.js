@@ -0,0 +1,51 @@
+import { describe, test, expect } from 'vitest';
+import { hash3, resolveYarns, yarnColor } from './renderers/yarn.js';
+import { definitionForSide } from './renderers/utils.js';
+
+const grey = [0.5, 0.5, 0.5, 1];
+
+describe('Yarn texture', () => {
+  test('twist draws striations that lean S or Z', () => {
+    const [z] = resolveYarns({ twist: 'Z' });
+    const [s] = resolveYarns({ twist: 'S' });
+    // Along a Z striation, one pixel across is one pixel back along the thread.
+    expect(yarnColor(z, grey, 0, 10.5, 1.5, 8)).toEqual(yarnColor(z, grey, 0, 11.5, 0.5, 8));
+    expect(yarnColor(s, grey, 0, 10.5, -1.5, 8)).toEqual(yarnColor(s, grey, 0, 11.5, -0.5, 8));
+    expect(yarnColor(z, grey, 0, 10.5, 0, 8)).not.toEqual(yarnColor(z, grey, 0, 12.5, 0, 8));
+    expect(yarnColor(resolveYarns({ twist: 'none' })[0], grey, 0, 10.5, 0, 8)).toEqual([0.5, 0.5, 0.5]);
+    expect(yarnColor(null, grey, 0, 10.5, 0, 8)).toBe(grey);
+  });
+
+  test('plies alternate along the twist, heathered plies mix fiber by fiber', () => {
+    const [plied] = resolveYarns({ twist: 'none', plies: ['#ff0000', '#0000ff'] });
+    expect(yarnColor(plied, grey, 0, 1, 0, 8)).toEqual([1, 0, 0]);
+    expect(yarnColor(plied, grey, 0, 5, 0, 8)).toEqual([0, 0, 1]);
+
+    const [heathered] = resolveYarns({ twist: 'none', plies: ['#ff0000', '#0000ff'], heather: true });
+    const colors = new Set();
+    for (let along = 0.5; along < 64; along += 1) {
+      for (let across = -3.5; across < 4; across += 1) {
+        colors.add(yarnColor(heathered, grey, 3, along, across, 8).join());
+      }
+    }
+    expect(colors).toEqual(new Set(['1,0,0', '0,0,1']));
+  });
+
+  test('the hash stays in small integers, and twist reverses on the back', () => {
+    for (const [a, b, c] of [[0, 0, 0], [-5, 1000, 144], [288, 288, 288], [12345, -678, 9]]) {
+      const value = hash3(a, b, c);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(289);
+    }
+    const back = definitionForSide({
+      threading: [[true, false]],
+      warp_colors: ['black'],
+      weft_colors: ['white'],
+      warp_yarns: [{ twist: 'S' }, null],
+      weft_yarns: { noise: 0.2 },
+    }, 'back');
+    expect(back.warp_yarns).toEqual([null, { twist: 'Z' }]);
+    expect(back.weft_yarns).toEqual({ noise: 0.2, twist: 'S' });
+  });
+});